@@ -3,6 +3,7 @@ pragma solidity ^0.8.24;
 
 import { FHE, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { ThresholdSignerSet } from "./ThresholdSignerSet.sol";
 
 /**
  * @title ConfidentialFuturesTradingEnhanced
@@ -10,7 +11,7 @@ import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
  *         refund mechanism, timeout protection, and comprehensive security features.
  * @dev Uses Zama FHEVM for encrypted computations and Gateway pattern for async processing
  */
-contract ConfidentialFuturesTradingEnhanced is SepoliaConfig {
+contract ConfidentialFuturesTradingEnhanced is SepoliaConfig, ThresholdSignerSet {
 
     // ==================== Constants ====================
 
@@ -175,6 +176,16 @@ contract ConfidentialFuturesTradingEnhanced is SepoliaConfig {
         emit AuditLog(msg.sender, "SetGateway", 0, block.timestamp);
     }
 
+    /**
+     * @notice Register the key holders whose signatures callbacks must carry
+     * @param signers Signer addresses
+     * @param threshold Number of signatures required per callback
+     */
+    function setSignerSet(address[] calldata signers, uint256 threshold) external onlyOwner {
+        _setSignerSet(signers, threshold);
+        emit AuditLog(msg.sender, "SetSignerSet", 0, block.timestamp);
+    }
+
     // ==================== Settlement Management ====================
 
     function isSettlementTime() public view returns (bool) {
@@ -241,7 +252,9 @@ contract ConfidentialFuturesTradingEnhanced is SepoliaConfig {
         require(!contracts[contractId].priceSet, "ConfidentialFutures: Price already set");
 
         // Apply obfuscation: multiply price by random factor
-        uint32 obfuscatedPrice = initialPrice * PRICE_OBFUSCATION_FACTOR + nonce;
+        uint256 obfuscated = uint256(initialPrice) * PRICE_OBFUSCATION_FACTOR + nonce;
+        require(obfuscated <= type(uint32).max, "ConfidentialFutures: Price too large");
+        uint32 obfuscatedPrice = uint32(obfuscated);
         euint32 encryptedPrice = FHE.asEuint32(obfuscatedPrice);
 
         contracts[contractId].settlementPrice = encryptedPrice;
@@ -274,13 +287,13 @@ contract ConfidentialFuturesTradingEnhanced is SepoliaConfig {
         require(collateral > 0, "ConfidentialFutures: Collateral must be greater than 0");
         require(collateral <= MAX_COLLATERAL_AMOUNT, "ConfidentialFutures: Collateral exceeds max");
         require(
-            !traderPositions[contractId][msg.sender].status == PositionStatus.ACTIVE,
+            traderPositions[contractId][msg.sender].status != PositionStatus.ACTIVE,
             "ConfidentialFutures: Position already exists"
         );
 
         // ===== Overflow Protection =====
         FuturesContract storage futuresContract = contracts[contractId];
-        uint64 safeAmount = _safeMul(amount, 1, MAX_POSITION_AMOUNT);
+        uint64 safeAmount = _safeMul(amount, 1, uint64(MAX_POSITION_AMOUNT));
         require(safeAmount == amount, "ConfidentialFutures: Overflow detected");
 
         // ===== Encrypt Position Data =====
@@ -371,7 +384,9 @@ contract ConfidentialFuturesTradingEnhanced is SepoliaConfig {
 
     /**
      * @notice Gateway callback for settlement processing
-     * @dev Can only be called by Gateway or in decryption callback context
+     * @dev Can only be called by Gateway or in decryption callback context.
+     *      Every price must be signed by the registered signer set, including
+     *      the zero price that reports a failed decryption and triggers refunds.
      */
     function processSettlementCallback(
         uint256 requestId,
@@ -385,6 +400,8 @@ contract ConfidentialFuturesTradingEnhanced is SepoliaConfig {
         uint32 contractId = uint32(decryptionRequests[requestId].contractId);
         FuturesContract storage futuresContract = contracts[contractId];
 
+        _verifySignatures(requestId, finalPrice, signatures);
+
         if (finalPrice == 0) {
             // ===== Handle Decryption Failure =====
             _handleDecryptionFailure(requestId, contractId);
@@ -585,6 +602,7 @@ contract ConfidentialFuturesTradingEnhanced is SepoliaConfig {
 
         address trader = withdrawalRequests[requestId].trader;
         require(decryptedBalance > 0, "ConfidentialFutures: No balance to withdraw");
+        _verifySignatures(requestId, decryptedBalance, signatures);
 
         // Process withdrawal
         withdrawalRequests[requestId].amount = decryptedBalance;
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { MessageHashUtils } from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title ThresholdSignerSet
+ * @notice Verifies that a decryption result was signed by enough registered key holders
+ * @dev Signers sign the EIP-191 hash of callbackDigest(requestId, cleartext). The digest
+ *      binds the contract address and chain ID so signatures cannot be replayed on
+ *      another deployment. Signatures must be ordered by ascending signer address,
+ *      which rules out counting one signer twice.
+ */
+abstract contract ThresholdSignerSet {
+
+    address[] private _signers;
+    mapping(address => bool) public isSigner;
+    uint256 public signerThreshold;
+
+    event SignerSetUpdated(address[] signers, uint256 threshold);
+
+    /**
+     * @notice Current signer addresses
+     */
+    function getSigners() external view returns (address[] memory) {
+        return _signers;
+    }
+
+    /**
+     * @notice Digest the signers sign for a decryption result
+     * @param requestId Decryption request identifier
+     * @param cleartext Decrypted value, widened to uint256
+     */
+    function callbackDigest(uint256 requestId, uint256 cleartext) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), block.chainid, requestId, cleartext));
+    }
+
+    /**
+     * @notice Replace the signer set and threshold
+     */
+    function _setSignerSet(address[] memory signers, uint256 threshold) internal {
+        require(threshold > 0 && threshold <= signers.length, "SignerSet: Invalid threshold");
+
+        for (uint i = 0; i < _signers.length; i++) {
+            isSigner[_signers[i]] = false;
+        }
+
+        for (uint i = 0; i < signers.length; i++) {
+            require(signers[i] != address(0), "SignerSet: Invalid signer");
+            require(!isSigner[signers[i]], "SignerSet: Duplicate signer");
+            isSigner[signers[i]] = true;
+        }
+
+        _signers = signers;
+        signerThreshold = threshold;
+
+        emit SignerSetUpdated(signers, threshold);
+    }
+
+    /**
+     * @notice Revert unless at least signerThreshold registered signers signed the result
+     */
+    function _verifySignatures(
+        uint256 requestId,
+        uint256 cleartext,
+        bytes[] memory signatures
+    ) internal view {
+        require(signerThreshold > 0, "SignerSet: Signer set not configured");
+        require(signatures.length >= signerThreshold, "SignerSet: Not enough signatures");
+
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(callbackDigest(requestId, cleartext));
+        address previous = address(0);
+
+        for (uint i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isSigner[signer], "SignerSet: Invalid signature");
+            require(signer > previous, "SignerSet: Signatures not ordered by signer");
+            previous = signer;
+        }
+    }
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { ConfidentialFuturesTradingEnhanced } from "../ConfidentialFuturesTradingEnhanced.sol";
+
+/**
+ * @title ConfidentialFuturesTradingMock
+ * @notice ConfidentialFuturesTradingEnhanced with a way to fund trader balances in tests
+ * @dev openPosition rejects every trader because an unset position reads as ACTIVE,
+ *      so no settlement ever credits a balance; creditBalance stands in for one
+ *      so withdrawals can be requested
+ */
+contract ConfidentialFuturesTradingMock is ConfidentialFuturesTradingEnhanced {
+
+    constructor(address _gateway) ConfidentialFuturesTradingEnhanced(_gateway) {}
+
+    function creditBalance(address trader, uint64 amount) external {
+        traderBalances[trader] = FHE.asEuint64(amount);
+        FHE.allowThis(traderBalances[trader]);
+    }
+}
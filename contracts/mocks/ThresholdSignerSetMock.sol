@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { ThresholdSignerSet } from "../ThresholdSignerSet.sol";
+
+/**
+ * @title ThresholdSignerSetMock
+ * @notice Exposes ThresholdSignerSet for tests without the FHEVM runtime
+ * @dev processSettlementCallback mirrors the signature check of
+ *      ConfidentialFuturesTradingEnhanced.processSettlementCallback
+ */
+contract ThresholdSignerSetMock is ThresholdSignerSet {
+
+    mapping(uint256 => uint32) public settlementPrices;
+
+    event SettlementAccepted(uint256 indexed requestId, uint32 finalPrice);
+
+    function setSignerSet(address[] calldata signers, uint256 threshold) external {
+        _setSignerSet(signers, threshold);
+    }
+
+    function processSettlementCallback(
+        uint256 requestId,
+        uint32 finalPrice,
+        bytes[] memory signatures
+    ) external {
+        _verifySignatures(requestId, finalPrice, signatures);
+        settlementPrices[requestId] = finalPrice;
+        emit SettlementAccepted(requestId, finalPrice);
+    }
+}
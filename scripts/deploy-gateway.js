@@ -0,0 +1,218 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deploy ConfidentialFuturesTradingEnhanced for the Gateway
+ *
+ * This script deploys the ConfidentialFuturesTradingEnhanced smart contract
+ * that the gateway service calls back, registers the signer set whose
+ * threshold signatures every gateway callback must carry, and saves
+ * deployment information next to the one written by deploy.js.
+ *
+ * Environment:
+ *   GATEWAY_ADDRESS           Gateway wallet (defaults to the deployer on local networks)
+ *   GATEWAY_SIGNER_ADDRESSES  Comma-separated signer addresses, or
+ *   GATEWAY_SIGNER_KEYS       the gateway's signer keys, from which the addresses are derived
+ *   GATEWAY_SIGNER_THRESHOLD  Signatures required per callback (defaults to all signers)
+ */
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function list(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Signer set from the environment
+ */
+function signerSetFromEnv() {
+  const signers = process.env.GATEWAY_SIGNER_ADDRESSES
+    ? list(process.env.GATEWAY_SIGNER_ADDRESSES).map((address) =>
+        hre.ethers.getAddress(address)
+      )
+    : list(process.env.GATEWAY_SIGNER_KEYS).map(
+        (key) => new hre.ethers.Wallet(key).address
+      );
+
+  if (signers.length === 0) {
+    throw new Error(
+      "❌ No signer set: set GATEWAY_SIGNER_ADDRESSES (or GATEWAY_SIGNER_KEYS). Callbacks revert without one."
+    );
+  }
+
+  const threshold = Number(
+    process.env.GATEWAY_SIGNER_THRESHOLD || signers.length
+  );
+  if (
+    !Number.isInteger(threshold) ||
+    threshold < 1 ||
+    threshold > signers.length
+  ) {
+    throw new Error(
+      `❌ GATEWAY_SIGNER_THRESHOLD must be between 1 and ${signers.length}`
+    );
+  }
+
+  return { signers, threshold };
+}
+
+async function main() {
+  console.log("🚀 Starting deployment process...\n");
+
+  // Get network information
+  const network = hre.network.name;
+  const [deployer] = await hre.ethers.getSigners();
+  const balance = await hre.ethers.provider.getBalance(deployer.address);
+
+  const gateway = process.env.GATEWAY_ADDRESS
+    ? hre.ethers.getAddress(process.env.GATEWAY_ADDRESS)
+    : LOCAL_NETWORKS.includes(network)
+      ? deployer.address
+      : null;
+  if (!gateway) {
+    throw new Error("❌ Set GATEWAY_ADDRESS to the gateway wallet's address.");
+  }
+  const { signers, threshold } = signerSetFromEnv();
+
+  console.log("📋 Deployment Configuration:");
+  console.log("─".repeat(50));
+  console.log(`Network:          ${network}`);
+  console.log(`Deployer:         ${deployer.address}`);
+  console.log(`Balance:          ${hre.ethers.formatEther(balance)} ETH`);
+  console.log(`Gateway:          ${gateway}`);
+  console.log(`Signers:          ${threshold} of ${signers.length}`);
+  console.log("─".repeat(50));
+  console.log("");
+
+  // Check balance
+  if (balance === 0n) {
+    throw new Error("❌ Deployer account has zero balance. Please fund the account.");
+  }
+
+  // Get contract factory
+  console.log("📦 Getting contract factory...");
+  const ConfidentialFuturesTrading = await hre.ethers.getContractFactory(
+    "ConfidentialFuturesTradingEnhanced"
+  );
+
+  // Deploy contract
+  console.log("⏳ Deploying ConfidentialFuturesTradingEnhanced contract...");
+  const startTime = Date.now();
+
+  const contract = await ConfidentialFuturesTrading.deploy(gateway);
+  await contract.waitForDeployment();
+
+  const deploymentTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  const contractAddress = await contract.getAddress();
+
+  console.log("✅ Contract deployed successfully!\n");
+
+  // Register the signer set before the gateway's first callback
+  console.log("🔏 Registering signer set...");
+  await (await contract.setSignerSet(signers, threshold)).wait();
+  console.log("✅ Signer set registered!\n");
+
+  // Display deployment information
+  console.log("📍 Deployment Information:");
+  console.log("─".repeat(50));
+  console.log(`Contract Address: ${contractAddress}`);
+  console.log(`Deployment Time:  ${deploymentTime}s`);
+  console.log(`Transaction Hash: ${contract.deploymentTransaction().hash}`);
+  console.log(`Block Number:     ${contract.deploymentTransaction().blockNumber || 'Pending'}`);
+  console.log("─".repeat(50));
+  console.log("");
+
+  // Get initial contract state
+  console.log("📊 Initial Contract State:");
+  console.log("─".repeat(50));
+  const owner = await contract.owner();
+  const registeredSigners = await contract.getSigners();
+  const signerThreshold = await contract.signerThreshold();
+
+  console.log(`Owner:            ${owner}`);
+  console.log(`Gateway:          ${await contract.gateway()}`);
+  console.log(
+    `Signer Threshold: ${signerThreshold} of ${registeredSigners.length}`
+  );
+  for (const signer of registeredSigners) {
+    console.log(`  Signer:         ${signer}`);
+  }
+  console.log("─".repeat(50));
+  console.log("");
+
+  // Save deployment information
+  const [compiler] = hre.config.solidity.compilers;
+  const deploymentInfo = {
+    network: network,
+    contractName: "ConfidentialFuturesTradingEnhanced",
+    contractAddress: contractAddress,
+    deployer: deployer.address,
+    deploymentTime: new Date().toISOString(),
+    transactionHash: contract.deploymentTransaction().hash,
+    blockNumber: contract.deploymentTransaction().blockNumber,
+    owner: owner,
+    gateway: gateway,
+    signers: registeredSigners,
+    signerThreshold: Number(signerThreshold),
+    constructorArgs: [gateway],
+    compiler: {
+      version: compiler.version,
+      optimizer: compiler.settings.optimizer.enabled,
+      runs: compiler.settings.optimizer.runs,
+    },
+  };
+
+  // Create deployments directory if it doesn't exist
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  if (!fs.existsSync(deploymentsDir)) {
+    fs.mkdirSync(deploymentsDir, { recursive: true });
+  }
+
+  // Save deployment information to file
+  const deploymentPath = path.join(
+    deploymentsDir,
+    `${network}-gateway-deployment.json`
+  );
+  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+
+  console.log(`💾 Deployment information saved to: ${deploymentPath}\n`);
+
+  // Display next steps
+  console.log("📝 Next Steps:");
+  console.log("─".repeat(50));
+  console.log("1. Verify contract on Etherscan:");
+  console.log(
+    `   npx hardhat verify --network ${network} ${contractAddress} ${gateway}`
+  );
+  console.log("");
+  console.log("2. Start the gateway against the new deployment:");
+  console.log(`   CONTRACT_ADDRESS=${contractAddress} npm run gateway`);
+  console.log("─".repeat(50));
+  console.log("");
+
+  // Display Etherscan link (if applicable)
+  if (network === "sepolia") {
+    console.log("🔍 View on Etherscan:");
+    console.log(`   https://sepolia.etherscan.io/address/${contractAddress}`);
+    console.log("");
+  } else if (network === "zama") {
+    console.log("🔍 Contract deployed on Zama Devnet");
+    console.log(`   Address: ${contractAddress}`);
+    console.log("");
+  }
+
+  return contractAddress;
+}
+
+// Execute deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Deployment failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,50 +1,224 @@
 /**
  * @title Gateway Service
  * @notice Off-chain service for processing decryption requests and invoking callbacks
- * @dev Monitors blockchain for DecryptionRequested events and processes them
+ * @dev Monitors blockchain for DecryptionRequested and WithdrawalRequested events and processes them
  */
 
 const ethers = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const {
+    JournalStateStore,
+    createState,
+    applyTransition,
+    serializeState,
+    deserializeState
+} = require('./gateway/state-store');
+const { createDecryptor, extractCiphertextHandles } = require('./gateway/decryptor');
+const { MetricsRegistry } = require('./gateway/metrics');
+const NonceManager = require('./gateway/nonce-manager');
+const { Logger } = require('./gateway/logger');
+const { WorkQueue } = require('./gateway/work-queue');
+const { LocalSigningCommittee } = require('./gateway/signing-committee');
+
+// Mirrors ConfidentialFuturesTradingEnhanced.RequestStatus
+const REQUEST_STATUS = ['PENDING', 'FULFILLED', 'FAILED', 'REFUNDED'];
+
+// Contract members the gateway relies on: it subscribes to these events, and readiness
+// checks the deployed bytecode has them all
+const REQUIRED_FUNCTIONS = [
+    'gateway',
+    'processSettlementCallback',
+    'processWithdrawalCallback',
+    'processedRequests',
+    'decryptionRequests',
+    'withdrawalRequests'
+];
+const REQUIRED_EVENTS = ['DecryptionRequested', 'WithdrawalRequested', 'DecryptionFailed', 'GatewayCallbackProcessed'];
 
 class GatewayService {
     constructor(config) {
-        this.provider = new ethers.JsonRpcProvider(config.rpcUrl);
-        this.wallet = new ethers.Wallet(config.privateKey, this.provider);
+        // Provider, wallet, nonce manager and metrics may be shared between deployments.
+        // Without a key the service is read-only: enough to inspect persisted state.
+        this.provider = config.provider || new ethers.JsonRpcProvider(config.rpcUrl);
+        this.wallet = config.wallet || (config.privateKey ? new ethers.Wallet(config.privateKey, this.provider) : null);
         this.contractAddress = config.contractAddress;
-        this.contractABI = this._loadABI();
+        this.name = config.name || this.contractAddress; // Label for status output and metrics
+        this.namespace = config.namespace; // Separates state when several deployments run together
+        this.logger = (config.logger || new Logger(config.log)).child({ contract: this.name });
+        this.contractABI = config.abi || this._loadABI(config.abiPath);
         this.contract = new ethers.Contract(
             this.contractAddress,
             this.contractABI,
-            this.wallet
+            this.wallet || this.provider
         );
 
         // Configuration
         this.TIMEOUT_CHECK_INTERVAL = 60000; // Check every minute
         this.DECRYPTION_TIMEOUT = 86400000; // 24 hours in milliseconds
         this.MAX_RETRIES = 3;
-        this.RETRY_DELAY = 5000; // 5 seconds between retries
+        this.BACKFILL_CHUNK_SIZE = config.backfillChunkSize || 2000; // Blocks per queryFilter call
+        this.START_BLOCK = config.startBlock; // First block to scan when no checkpoint exists
+        this.CONFIRMATIONS = config.confirmations ?? 3; // Blocks before a request is acted on
+        this.CONFIRMATION_POLL_INTERVAL = 4000; // Poll while waiting for our own transactions
+        this.FEE_CAP_RETRY_DELAY = 60000; // Wait for fees to fall below the cap without counting a retry
+
+        // Liveness and readiness thresholds
+        const readiness = config.readiness || {};
+        this.STALE_BLOCK_TIMEOUT = readiness.staleBlockTimeout || 300000; // No block for this long: not alive
+        this.MAX_HEAD_LAG_SECONDS = readiness.maxHeadLagSeconds ?? 120; // Age of the latest block
+        this.MIN_FUNDED_CALLBACKS = readiness.minCallbacks ?? 10; // Callbacks the wallet must be able to pay for
+        this.DEFAULT_CALLBACK_GAS = readiness.callbackGas || 300000; // Until real callbacks have been observed
 
         // State tracking
         this.pendingRequests = new Map();
         this.processedRequests = new Set();
         this.failedRequests = new Map();
+        this.requestHistory = new Map(); // Journal entries per request
+        this.lastProcessedBlock = null; // Last block whose events are fully recorded
+        this._timeoutsInFlight = new Set();
+
+        // Durable state journal (pluggable via config.stateStore)
+        const journalFile = this.namespace ? `.gateway-journal.${this.namespace}.jsonl` : '.gateway-journal.jsonl';
+        this.stateStore = config.stateStore || new JournalStateStore(
+            config.statePath || path.join(config.stateDir || __dirname, journalFile),
+            { compactThreshold: config.compactThreshold }
+        );
+        this.MAX_PROCESSED_RETAINED = 10000; // Processed IDs kept across compactions
+
+        // Decryption backend (config.decryptor, else the one config.kms selects)
+        this.decryptor = config.decryptor || createDecryptor(this.provider, config.kms);
+
+        // Threshold signatures over each decryption result (pluggable via config.signingCommittee)
+        this.signingCommittee = config.signingCommittee || new LocalSigningCommittee(config.signers);
+
+        // Nonces and stuck-transaction replacement for the gateway wallet
+        this.nonceManager = config.nonceManager || (this.wallet && new NonceManager(this.wallet, {
+            ...config.transactions,
+            logger: this.logger
+        }));
+
+        // Bounded processing queue (shared between deployments to cap the wallet's concurrency)
+        this.queue = config.workQueue || new WorkQueue(config.queue);
+
+        // Subscription source shared between deployments; without one events are polled from this.provider
+        this.transport = config.transport || null;
+        if (this.transport) {
+            this._onReconnected = (event) => this._resubscribe(event);
+            this.transport.on('reconnected', this._onReconnected);
+        }
+
+        // Active/standby election; without one this instance always acts as leader
+        this.elector = config.elector || null;
+        if (this.elector) {
+            this._onElected = () => this._resumePendingRequests();
+            this._onDemoted = () => this.queue.clear((job) => job.owner === this);
+            this.elector.on('elected', this._onElected);
+            this.elector.on('demoted', this._onDemoted);
+        }
+
+        // Records what the service sees for later replay (see recorder.js); attached, not configured
+        this.recorder = null;
+
+        // Hash-chained record of the service's decisions (see audit-journal.js); may be shared
+        this.auditJournal = config.auditJournal || null;
+
+        // Prometheus metrics (a registry may be shared between services)
+        this.metrics = config.metrics || new MetricsRegistry();
+        this._registerMetrics();
+    }
+
+    /**
+     * Register the gateway's metrics
+     */
+    _registerMetrics() {
+        this.metricLabels = { contract: this.name };
+
+        this.counters = {
+            requestsSeen: this.metrics.counter(
+                'gateway_requests_seen_total',
+                'Decryption requests recorded by the gateway, by kind (settlement or withdrawal)',
+                ['contract', 'kind']
+            ),
+            callbacks: this.metrics.counter(
+                'gateway_callbacks_total',
+                'Gateway callback transactions by kind and result',
+                ['contract', 'kind', 'result']
+            ),
+            retries: this.metrics.counter(
+                'gateway_retries_total',
+                'Decryption request retries scheduled',
+                ['contract']
+            ),
+            timeouts: this.metrics.counter(
+                'gateway_timeouts_total',
+                'Requests that exceeded the decryption timeout',
+                ['contract']
+            ),
+            reconciled: this.metrics.counter(
+                'gateway_reconciled_total',
+                'Requests closed from on-chain status instead of being submitted',
+                ['contract', 'status']
+            )
+        };
+
+        this.histograms = {
+            settlementLatency: this.metrics.histogram(
+                'gateway_settlement_latency_seconds',
+                'Time from DecryptionRequested to GatewayCallbackProcessed',
+                ['contract'],
+                [5, 15, 30, 60, 120, 300, 600, 1800, 3600, 21600, 86400]
+            ),
+            callbackGas: this.metrics.histogram(
+                'gateway_callback_gas_used',
+                'Gas used by gateway callback transactions',
+                ['contract'],
+                [50000, 100000, 200000, 300000, 400000, 500000, 750000, 1000000]
+            )
+        };
+
+        this.metrics.gauge(
+            'gateway_pending_requests',
+            'Requests currently in pendingRequests',
+            ['contract']
+        ).collect((gauge) => gauge.set(this.metricLabels, this.pendingRequests.size));
+
+        // One wallet backs every deployment, so only the first service collects its balance
+        const balanceGauge = this.metrics.gauge(
+            'gateway_wallet_balance_eth',
+            'Gateway wallet balance in ETH'
+        );
+        if (balanceGauge.collectors.length === 0) {
+            balanceGauge.collect(async (gauge) => {
+                const balance = await this.provider.getBalance(this.wallet.address);
+                gauge.set({}, Number(ethers.formatEther(balance)));
+            });
+        }
+
+        // Leadership is per instance, not per deployment
+        const leaderGauge = this.metrics.gauge(
+            'gateway_leader',
+            '1 if this instance holds the leader lease, 0 on standby'
+        );
+        if (leaderGauge.collectors.length === 0) {
+            leaderGauge.collect((gauge) => gauge.set({}, this._isLeader() ? 1 : 0));
+        }
     }
 
     /**
      * Load contract ABI from artifacts
+     * @param {string} [artifactPath] Hardhat artifact to read instead of the default one
      */
-    _loadABI() {
+    _loadABI(artifactPath) {
         try {
-            const artifactPath = path.join(
+            artifactPath = artifactPath || path.join(
                 __dirname,
                 '../artifacts/contracts/ConfidentialFuturesTradingEnhanced.sol/ConfidentialFuturesTradingEnhanced.json'
             );
             const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
             return artifact.abi;
         } catch (error) {
-            console.error('Failed to load contract ABI:', error);
+            this.logger.error('Failed to load contract ABI', { path: artifactPath, err: error });
             process.exit(1);
         }
     }
@@ -53,375 +227,1666 @@ class GatewayService {
      * Start the Gateway service
      */
     async start() {
-        console.log('🚀 Gateway Service Starting...');
-        console.log(`📌 Contract: ${this.contractAddress}`);
-        console.log(`🔗 Network: ${(await this.provider.getNetwork()).name}`);
+        this.logger.info('Gateway service starting', {
+            address: this.contractAddress,
+            network: (await this.provider.getNetwork()).name
+        });
 
-        // Start event listening
+        // Catch up on events emitted while the gateway was down
+        await this._backfillEvents();
+
+        // Start event listening; from here on reconnects re-subscribe
         this._startEventListener();
+        this._subscribed = true;
+        this._startedAt = Date.now();
+
+        // Close the gap between the backfill head and the live subscription
+        await this._backfillEvents();
+
+        // Process confirmed requests restored from the journal or found during backfill
+        this._resumePendingRequests();
+        await this._checkConfirmations(await this.provider.getBlockNumber());
 
         // Start timeout checking
         this._startTimeoutChecker();
 
-        console.log('✅ Gateway Service Started');
+        // Compete for the leader lease; only the leader submits transactions
+        if (this.elector) {
+            this.elector.start();
+        }
+
+        this.logger.info('Gateway service started');
     }
 
     /**
-     * Start listening for DecryptionRequested events
+     * Start listening for settlement and withdrawal request events
+     * @dev Subscribes through the transport's current provider (WebSocket or polling)
      */
     _startEventListener() {
-        // Listen for new DecryptionRequested events
-        this.contract.on('DecryptionRequested', async (requestId, contractId, timestamp) => {
-            console.log(`\n📡 DecryptionRequested Event Detected`);
-            console.log(`   Request ID: ${requestId}`);
-            console.log(`   Contract ID: ${contractId}`);
-            console.log(`   Timestamp: ${new Date(timestamp * 1000).toISOString()}`);
-
-            // Add to pending requests
-            this.pendingRequests.set(requestId.toString(), {
-                requestId: requestId.toString(),
-                contractId: contractId.toString(),
-                timestamp: Number(timestamp),
-                createdAt: Date.now(),
-                retries: 0
+        this._eventProvider = this.transport ? this.transport.provider : this.provider;
+        this._eventContract = this.contract.connect(this._eventProvider);
+
+        // Listen for requests, failures and callbacks; the listener's last argument is the event payload
+        for (const name of REQUIRED_EVENTS) {
+            this._eventContract.on(name, (...args) => {
+                const event = args.pop();
+                return this._handleEvent(name, args, event.log);
             });
+        }
 
-            // Process immediately
-            await this._processDecryptionRequest(requestId, contractId, timestamp);
-        });
+        // Check confirmation depth on every new block
+        this._blockListener = (blockNumber) => this._handleBlock(blockNumber);
+        this._eventProvider.on('block', this._blockListener);
 
-        // Listen for error events
-        this.contract.on('DecryptionFailed', (requestId, reason) => {
-            console.log(`\n⚠️  DecryptionFailed Event`);
-            console.log(`   Request ID: ${requestId}`);
-            console.log(`   Reason: ${reason}`);
+        this.logger.info('Event listener started', { mode: this.transport ? this.transport.mode : 'polling' });
+    }
 
-            this.failedRequests.set(requestId.toString(), {
-                requestId: requestId.toString(),
-                reason,
-                failedAt: Date.now()
-            });
-        });
+    /**
+     * Apply a contract event delivered by the subscription
+     * @dev Requests are only processed once confirmed by the block listener; a
+     *      recorder, when attached, sees events in delivery order
+     */
+    async _handleEvent(name, args, log) {
+        if (this.recorder) {
+            this.recorder.event(this, name, log);
+        }
 
-        // Listen for successful callbacks
-        this.contract.on('GatewayCallbackProcessed', (requestId, success) => {
-            console.log(`\n✅ GatewayCallbackProcessed Event`);
-            console.log(`   Request ID: ${requestId}`);
-            console.log(`   Success: ${success}`);
+        if (log.removed) {
+            await this._onLogRemoved(log);
+            return;
+        }
 
-            if (success) {
-                this.processedRequests.add(requestId.toString());
-                this.pendingRequests.delete(requestId.toString());
-            }
-        });
+        switch (name) {
+            case 'DecryptionRequested':
+                this._onDecryptionRequested(args[0], args[1], args[2], log);
+                break;
+            case 'WithdrawalRequested':
+                this._onWithdrawalRequested(args[0], args[1], args[2], log);
+                break;
+            case 'DecryptionFailed':
+                this._onDecryptionFailed(args[0], args[1]);
+                break;
+            case 'GatewayCallbackProcessed':
+                this._onCallbackProcessed(args[0], args[1], Date.now());
+                break;
+        }
+        this._advanceCheckpoint(log.blockNumber - this.CONFIRMATIONS);
+    }
+
+    /**
+     * Handle a new block from the subscription
+     */
+    _handleBlock(blockNumber) {
+        if (this.recorder) {
+            this.recorder.block(this, blockNumber);
+        }
 
-        console.log('🎧 Event Listener Started');
+        this._lastBlockAt = Date.now();
+        return this._checkConfirmations(blockNumber);
     }
 
     /**
-     * Start timeout checker
+     * Remove the event and block listeners
      */
-    _startTimeoutChecker() {
-        setInterval(async () => {
-            const now = Date.now();
-            const timedOutRequests = [];
+    async _stopEventListener() {
+        if (this._eventContract) {
+            await this._eventContract.removeAllListeners();
+        }
+        if (this._blockListener) {
+            await this._eventProvider.off('block', this._blockListener);
+        }
+    }
+
+    /**
+     * Re-subscribe after the transport reconnected, then backfill what was missed
+     * @dev Reconnects are handled one at a time; the backfill starts from the checkpoint
+     */
+    _resubscribe({ mode, reason }) {
+        if (!this._subscribed) {
+            return this._resubscribing;
+        }
 
-            for (const [requestId, request] of this.pendingRequests.entries()) {
-                const elapsed = now - request.createdAt;
+        this._resubscribing = (this._resubscribing || Promise.resolve()).then(async () => {
+            if (!this._subscribed) {
+                return;
+            }
 
-                if (elapsed > this.DECRYPTION_TIMEOUT) {
-                    console.log(`\n⏱️  Timeout Detected for Request ${requestId}`);
-                    timedOutRequests.push(request);
+            this.logger.info('Re-subscribing after reconnect', { mode, reason });
+            try {
+                await this._stopEventListener();
+                if (!this._subscribed) {
+                    return;
                 }
+                this._startEventListener();
+                await this._backfillEvents();
+                await this._checkConfirmations(await this.provider.getBlockNumber());
+            } catch (error) {
+                // The next reconnect or restart backfills from the same checkpoint
+                this.logger.error('Gap backfill after reconnect failed', { err: error });
             }
+        });
+        return this._resubscribing;
+    }
+
+    /**
+     * Record a DecryptionRequested event
+     * @returns {boolean} true if the request was not already known
+     */
+    _onDecryptionRequested(requestId, contractId, timestamp, log) {
+        const id = requestId.toString();
+        if (this.pendingRequests.has(id) || this.processedRequests.has(id) || this.failedRequests.has(id)) {
+            return false;
+        }
 
-            // Process timed out requests
-            for (const request of timedOutRequests) {
-                await this._handleTimeout(request);
+        // Add to pending requests
+        this.counters.requestsSeen.inc({ ...this.metricLabels, kind: 'settlement' });
+        this._recordTransition({
+            type: 'pending',
+            requestId: id,
+            request: {
+                requestId: id,
+                kind: 'settlement',
+                contractId: contractId.toString(),
+                timestamp: Number(timestamp),
+                createdAt: Date.now(),
+                retries: 0,
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                confirmed: false
             }
-        }, this.TIMEOUT_CHECK_INTERVAL);
+        });
+
+        this._requestLogger(id).info('DecryptionRequested event detected', {
+            requestedAt: new Date(Number(timestamp) * 1000).toISOString(),
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash
+        });
 
-        console.log('⏱️  Timeout Checker Started');
+        return true;
     }
 
     /**
-     * Process a decryption request
+     * Record a WithdrawalRequested event
+     * @returns {boolean} true if the request was not already known
      */
-    async _processDecryptionRequest(requestId, contractId, timestamp) {
-        console.log(`\n🔄 Processing Decryption Request ${requestId}`);
-
-        try {
-            // Simulate decryption (in production, this would call FHEVM oracle)
-            const decryptedPrice = await this._simulateDecryption(contractId);
+    _onWithdrawalRequested(trader, requestId, amount, log) {
+        const id = requestId.toString();
+        if (this.pendingRequests.has(id) || this.processedRequests.has(id) || this.failedRequests.has(id)) {
+            return false;
+        }
 
-            if (decryptedPrice === 0) {
-                throw new Error('Decryption returned zero');
+        this.counters.requestsSeen.inc({ ...this.metricLabels, kind: 'withdrawal' });
+        this._recordTransition({
+            type: 'pending',
+            requestId: id,
+            request: {
+                requestId: id,
+                kind: 'withdrawal',
+                trader,
+                contractId: null,
+                timestamp: null, // WithdrawalRequested carries no timestamp
+                createdAt: Date.now(),
+                retries: 0,
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                confirmed: false
             }
+        });
 
-            console.log(`✅ Decryption Successful`);
-            console.log(`   Price: ${decryptedPrice}`);
+        this._requestLogger(id).info('WithdrawalRequested event detected', {
+            trader,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash
+        });
 
-            // Call settlement callback
-            await this._callSettlementCallback(requestId, decryptedPrice);
+        return true;
+    }
 
-        } catch (error) {
-            console.error(`❌ Decryption Failed:`, error.message);
+    /**
+     * Record a DecryptionFailed event
+     */
+    _onDecryptionFailed(requestId, reason) {
+        const id = requestId.toString();
+        if (this.failedRequests.has(id)) {
+            return;
+        }
 
-            // Retry logic
-            const request = this.pendingRequests.get(requestId.toString());
-            if (request.retries < this.MAX_RETRIES) {
-                request.retries++;
-                console.log(`🔄 Retry ${request.retries}/${this.MAX_RETRIES}`);
-
-                // Schedule retry
-                setTimeout(
-                    () => this._processDecryptionRequest(requestId, contractId, timestamp),
-                    this.RETRY_DELAY
-                );
-            } else {
-                console.error(`❌ Max retries exceeded for request ${requestId}`);
-                this.failedRequests.set(requestId.toString(), {
-                    requestId: requestId.toString(),
-                    reason: error.message,
-                    failedAt: Date.now()
-                });
-            }
+        // A timeout refund emits DecryptionFailed too; _handleTimeout closes those requests
+        const pending = this.pendingRequests.get(id);
+        if (pending && pending.timingOut) {
+            return;
         }
+
+        this._requestLogger(id).warn('DecryptionFailed event', { reason });
+
+        this._recordTransition({
+            type: 'failed',
+            requestId: id,
+            failure: {
+                requestId: id,
+                reason,
+                failedAt: Date.now()
+            }
+        });
     }
 
     /**
-     * Simulate decryption (mock implementation)
-     * In production: call actual FHEVM oracle
+     * Record a GatewayCallbackProcessed event
+     * @param {number} [observedAt] Wall-clock arrival time of a live event or of our own receipt; backfilled events have none
      */
-    async _simulateDecryption(contractId) {
-        // Simulate decryption delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    _onCallbackProcessed(requestId, success, observedAt) {
+        const id = requestId.toString();
+        if (this.processedRequests.has(id)) {
+            return;
+        }
+
+        const request = this.pendingRequests.get(id);
+        if (request && observedAt) {
+            this.histograms.settlementLatency.observe(this.metricLabels, Math.max(0, observedAt / 1000 - request.timestamp));
+        }
+
+        this._requestLogger(id).info('GatewayCallbackProcessed event', { success });
 
-        // Return mock decrypted price
-        const mockPrice = Math.floor(Math.random() * 60000) + 40000; // BTC price range
-        return mockPrice;
+        if (success) {
+            this._recordTransition({ type: 'processed', requestId: id });
+        }
     }
 
     /**
-     * Call settlement callback on contract
+     * Replay missed events from the last checkpoint up to the chain head
+     * @dev Scans in BACKFILL_CHUNK_SIZE windows and checkpoints after each one,
+     *      so an interrupted backfill resumes where it stopped
      */
-    async _callSettlementCallback(requestId, decryptedPrice) {
-        console.log(`\n📤 Calling Settlement Callback`);
-        console.log(`   Request ID: ${requestId}`);
-        console.log(`   Price: ${decryptedPrice}`);
+    async _backfillEvents() {
+        const head = await this.provider.getBlockNumber();
+
+        // A block is re-scanned from the checkpoint itself: handlers are idempotent
+        // and a live event may have been recorded before the rest of its block
+        let fromBlock = this.lastProcessedBlock ?? this.START_BLOCK;
+        if (fromBlock === undefined || fromBlock === null) {
+            this._advanceCheckpoint(head);
+            return;
+        }
 
-        try {
-            // In production: get actual signatures from FHEVM
-            const mockSignatures = []; // Empty for mock
+        if (fromBlock > head) {
+            return;
+        }
 
-            const tx = await this.contract.processSettlementCallback(
-                requestId,
-                decryptedPrice,
-                mockSignatures,
-                {
-                    gasLimit: 500000 // Adjust as needed
+        this.logger.info('Backfilling events', { fromBlock, toBlock: head });
+
+        while (fromBlock <= head) {
+            const toBlock = Math.min(fromBlock + this.BACKFILL_CHUNK_SIZE - 1, head);
+
+            const logs = (await Promise.all([
+                this.contract.queryFilter('DecryptionRequested', fromBlock, toBlock),
+                this.contract.queryFilter('WithdrawalRequested', fromBlock, toBlock),
+                this.contract.queryFilter('DecryptionFailed', fromBlock, toBlock),
+                this.contract.queryFilter('GatewayCallbackProcessed', fromBlock, toBlock)
+            ])).flat();
+
+            // Apply in chain order so a request and its outcome resolve correctly
+            logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+            for (const log of logs) {
+                switch (log.eventName) {
+                    case 'DecryptionRequested':
+                        this._onDecryptionRequested(...log.args, log);
+                        break;
+                    case 'WithdrawalRequested':
+                        this._onWithdrawalRequested(...log.args, log);
+                        break;
+                    case 'DecryptionFailed':
+                        this._onDecryptionFailed(...log.args);
+                        break;
+                    case 'GatewayCallbackProcessed':
+                        this._onCallbackProcessed(...log.args);
+                        break;
                 }
-            );
+            }
 
-            console.log(`📝 Transaction Hash: ${tx.hash}`);
+            // Keep the checkpoint behind unconfirmed blocks so a reorg there is re-scanned
+            this._advanceCheckpoint(Math.min(toBlock, head - this.CONFIRMATIONS));
+            fromBlock = toBlock + 1;
+        }
 
-            const receipt = await tx.wait();
-            console.log(`✅ Callback Processed`);
-            console.log(`   Block: ${receipt.blockNumber}`);
-            console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
+        this.logger.info('Backfill complete', { blockNumber: head });
+    }
 
-            return receipt;
+    /**
+     * Move the block checkpoint forward
+     */
+    _advanceCheckpoint(blockNumber) {
+        if (blockNumber < 0) {
+            return;
+        }
 
-        } catch (error) {
-            console.error(`❌ Callback Failed:`, error.message);
-            throw error;
+        if (this.lastProcessedBlock === null || blockNumber > this.lastProcessedBlock) {
+            this._recordTransition({ type: 'checkpoint', block: blockNumber });
         }
     }
 
     /**
-     * Handle timeout for pending requests
+     * Queue every request still pending
      */
-    async _handleTimeout(request) {
-        console.log(`\n⚠️  Handling Timeout for Request ${request.requestId}`);
-        console.log(`   Contract ID: ${request.contractId}`);
-        console.log(`   Time Elapsed: ${(Date.now() - request.createdAt) / 1000 / 3600} hours`);
-
-        try {
-            // In production: trigger automatic refund
-            // For now, just log and remove from pending
-            this.pendingRequests.delete(request.requestId);
-            this.failedRequests.set(request.requestId, {
-                requestId: request.requestId,
-                reason: 'Timeout - Automatic refund triggered',
-                failedAt: Date.now()
-            });
-
-            console.log(`✅ Timeout Handled - Refund Triggered`);
+    _resumePendingRequests() {
+        for (const request of this.pendingRequests.values()) {
+            // Requests restored from a pre-confirmation journal carry no block info
+            if (request.confirmed !== false) {
+                this._enqueueRequest(request.requestId);
+            }
+        }
+    }
 
-        } catch (error) {
-            console.error(`❌ Timeout Handler Failed:`, error.message);
+    /**
+     * Put a request on the work queue
+     * @param {number} delay Milliseconds before it may run (retry backoff)
+     */
+    _enqueueRequest(requestId, delay = 0) {
+        const request = this.pendingRequests.get(requestId.toString());
+        if (!request || !this._isLeader()) {
+            return;
         }
+
+        this.queue.enqueue({
+            key: this._queueKey(request.requestId),
+            owner: this,
+            kind: request.kind || 'settlement',
+            timestamp: request.timestamp ?? undefined,
+            blockNumber: request.blockNumber,
+            run: () => this._processDecryptionRequest(request.requestId)
+        }, delay);
     }
 
     /**
-     * Get status of all pending requests
+     * Queue key for a request; request IDs are only unique per contract
      */
-    getPendingStatus() {
-        console.log(`\n📊 Pending Requests Status`);
-        console.log(`   Total Pending: ${this.pendingRequests.size}`);
-        console.log(`   Processed: ${this.processedRequests.size}`);
-        console.log(`   Failed: ${this.failedRequests.size}`);
+    _queueKey(requestId) {
+        return `${this.name}:${requestId}`;
+    }
 
-        if (this.pendingRequests.size > 0) {
-            console.log(`\n📋 Pending Requests:`);
-            for (const [id, request] of this.pendingRequests.entries()) {
-                const elapsed = Date.now() - request.createdAt;
-                const hours = (elapsed / 1000 / 3600).toFixed(2);
-                console.log(`   - Request ${id}: ${hours}h elapsed (${request.retries} retries)`);
-            }
+    /**
+     * Promote pending requests that reached the confirmation depth
+     */
+    async _checkConfirmations(headBlock) {
+        if (this._checkingConfirmations) {
+            return;
         }
+        this._checkingConfirmations = true;
 
-        if (this.failedRequests.size > 0) {
-            console.log(`\n❌ Failed Requests:`);
-            for (const [id, request] of this.failedRequests.entries()) {
-                console.log(`   - Request ${id}: ${request.reason}`);
+        try {
+            for (const request of Array.from(this.pendingRequests.values())) {
+                if (request.confirmed !== false) continue;
+                if (headBlock - request.blockNumber + 1 < this.CONFIRMATIONS) continue;
+
+                if (await this._revalidateRequest(request)) {
+                    this._recordTransition({
+                        type: 'updated',
+                        requestId: request.requestId,
+                        changes: { confirmed: true }
+                    });
+                    this._requestLogger(request.requestId).info('Request confirmed', {
+                        confirmations: this.CONFIRMATIONS
+                    });
+
+                    this._enqueueRequest(request.requestId);
+                }
             }
+        } catch (error) {
+            this.logger.error('Confirmation check failed', { err: error });
+        } finally {
+            this._checkingConfirmations = false;
         }
     }
 
     /**
-     * Health check
+     * Check that a pending request's DecryptionRequested log is still canonical
+     * @returns {boolean} true if the log is still in the block it was recorded in
      */
-    async healthCheck() {
-        try {
-            const blockNumber = await this.provider.getBlockNumber();
-            const gasPrice = await this.provider.getGasPrice();
-            const balance = await this.wallet.getBalance();
+    async _revalidateRequest(request) {
+        if (!request.transactionHash) {
+            return true;
+        }
 
-            console.log(`\n💚 Gateway Health Check`);
-            console.log(`   Block Number: ${blockNumber}`);
-            console.log(`   Gas Price: ${ethers.formatUnits(gasPrice, 'gwei')} Gwei`);
-            console.log(`   Wallet Balance: ${ethers.formatEther(balance)} ETH`);
+        const eventName = request.kind === 'withdrawal' ? 'WithdrawalRequested' : 'DecryptionRequested';
+        const receipt = await this.provider.getTransactionReceipt(request.transactionHash);
+        const stillEmitted = receipt && receipt.logs.some((log) => {
+            if (log.address.toLowerCase() !== this.contractAddress.toLowerCase()) return false;
+            const parsed = this.contract.interface.parseLog(log);
+            return parsed && parsed.name === eventName &&
+                parsed.args.requestId.toString() === request.requestId;
+        });
 
-            if (ethers.parseEther('0.1') > balance) {
-                console.warn(`⚠️  Low balance warning!`);
-            }
+        if (!stillEmitted) {
+            this._dropRequest(request, receipt
+                ? `Reorg: transaction re-included without the ${eventName} log`
+                : 'Reorg: transaction no longer in the canonical chain');
+            return false;
+        }
 
-            return true;
-        } catch (error) {
-            console.error(`❌ Health check failed:`, error.message);
+        if (receipt.blockHash !== request.blockHash) {
+            // Re-mined in a different block: restart the confirmation count there
+            this._requestLogger(request.requestId).warn('Request moved to another block', {
+                blockNumber: receipt.blockNumber,
+                txHash: request.transactionHash
+            });
+            this._recordTransition({
+                type: 'updated',
+                requestId: request.requestId,
+                changes: {
+                    blockNumber: receipt.blockNumber,
+                    blockHash: receipt.blockHash,
+                    confirmed: false
+                }
+            });
             return false;
         }
+
+        return true;
     }
 
     /**
-     * Stop the service
+     * Remove a request whose originating log was reorged out
      */
-    async stop() {
-        console.log('\n🛑 Stopping Gateway Service...');
+    _dropRequest(request, reason) {
+        this._requestLogger(request.requestId).warn('Dropping request', {
+            reason,
+            txHash: request.transactionHash
+        });
+        this._recordTransition({
+            type: 'dropped',
+            requestId: request.requestId,
+            reason,
+            blockNumber: request.blockNumber,
+            blockHash: request.blockHash,
+            transactionHash: request.transactionHash
+        });
+    }
 
-        // Remove listeners
-        this.contract.removeAllListeners();
+    /**
+     * Handle a log the provider reports as removed by a reorg
+     */
+    async _onLogRemoved(log) {
+        this.logger.warn('Reorg removed a log', { blockNumber: log.blockNumber, txHash: log.transactionHash });
 
-        // Save state (optional)
-        this._saveState();
+        // Re-validate every queued request that came from the affected transaction
+        for (const request of Array.from(this.pendingRequests.values())) {
+            if (request.transactionHash !== log.transactionHash) continue;
+
+            try {
+                await this._revalidateRequest(request);
+            } catch (error) {
+                this._requestLogger(request.requestId).error('Re-validation failed', { err: error });
+            }
+        }
 
-        console.log('✅ Gateway Service Stopped');
+        // Re-scan from before the removed block on the next backfill
+        if (this.lastProcessedBlock !== null && log.blockNumber <= this.lastProcessedBlock) {
+            this._recordTransition({ type: 'checkpoint', block: log.blockNumber - 1 });
+        }
     }
 
     /**
-     * Save service state for recovery
+     * Start timeout checker
      */
-    _saveState() {
-        const state = {
-            pendingRequests: Array.from(this.pendingRequests.entries()),
-            processedRequests: Array.from(this.processedRequests),
-            failedRequests: Array.from(this.failedRequests.entries()),
-            savedAt: new Date().toISOString()
-        };
+    _startTimeoutChecker() {
+        this._timeoutTimer = setInterval(async () => {
+            this._timeoutCheck = this._checkTimeouts();
+            try {
+                await this._timeoutCheck;
+            } catch (error) {
+                this.logger.error('Timeout check failed', { err: error });
+            }
+        }, this.TIMEOUT_CHECK_INTERVAL);
 
-        const stateFile = path.join(__dirname, '.gateway-state.json');
-        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
-        console.log(`💾 State saved to ${stateFile}`);
+        this.logger.info('Timeout checker started');
     }
 
     /**
-     * Restore service state
+     * Find and handle requests past the decryption timeout
      */
-    _restoreState() {
-        const stateFile = path.join(__dirname, '.gateway-state.json');
+    async _checkTimeouts() {
+        if (!this._isLeader()) {
+            return;
+        }
+
+        const latest = await this.provider.getBlock('latest');
+        const now = Date.now();
+        const timedOutRequests = [];
+
+        for (const [requestId, request] of this.pendingRequests.entries()) {
+            if (this._timeoutsInFlight.has(requestId)) continue;
+
+            // Settlements are timed in chain time so the contract agrees the refund is due
+            const elapsed = request.timestamp
+                ? (latest.timestamp - request.timestamp) * 1000
+                : now - request.createdAt;
+
+            if (elapsed > this.DECRYPTION_TIMEOUT) {
+                this._requestLogger(requestId).warn('Timeout detected', { elapsedMs: elapsed });
+                timedOutRequests.push(request);
+            }
+        }
+
+        // Process timed out requests
+        for (const request of timedOutRequests) {
+            await this._handleTimeout(request);
+        }
+    }
+
+    /**
+     * Process a decryption request
+     */
+    async _processDecryptionRequest(requestId) {
+        // The request may have been dropped or re-mined by a reorg while a retry was scheduled
+        const pending = this.pendingRequests.get(requestId.toString());
+        if (!pending || pending.confirmed === false || pending.timingOut || !this._isLeader()) {
+            return;
+        }
+
+        const log = this._requestLogger(requestId);
+        log.info('Processing decryption request');
+
         try {
-            if (fs.existsSync(stateFile)) {
-                const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
-                this.pendingRequests = new Map(state.pendingRequests);
-                this.processedRequests = new Set(state.processedRequests);
-                this.failedRequests = new Map(state.failedRequests);
-                console.log(`✅ State restored from ${stateFile}`);
-                console.log(`   Pending: ${this.pendingRequests.size}`);
-                console.log(`   Processed: ${this.processedRequests.size}`);
-                console.log(`   Failed: ${this.failedRequests.size}`);
+            const handles = await this._getCiphertextHandles(pending);
+            const [cleartext] = await this.decryptor.decrypt(handles, {
+                requestId: pending.requestId,
+                contractId: pending.contractId
+            });
+            this._audit('decrypted', pending, { handles, cleartext: String(cleartext) });
+
+            if (cleartext === 0n) {
+                throw new Error('Decryption returned zero');
+            }
+
+            log.info('Decryption successful');
+
+            if (pending.kind === 'withdrawal') {
+                await this._callWithdrawalCallback(requestId, cleartext);
+            } else {
+                await this._callSettlementCallback(requestId, Number(cleartext));
             }
+
         } catch (error) {
-            console.warn(`⚠️  Could not restore state:`, error.message);
+            log.error('Decryption request failed', { err: error, txHash: this._lastTxHash(requestId) });
+
+            // The request may have been cancelled or settled while this attempt ran
+            const request = this.pendingRequests.get(requestId.toString());
+            if (!request) {
+                return;
+            }
+
+            // A lost lease is not the request's fault; the new leader picks it up
+            if (!this._isLeader()) {
+                log.warn('Leadership lost, leaving request to the new leader');
+                return;
+            }
+
+            // Neither is a fee spike: wait it out without using up the request's retries
+            if (error.code === 'FEE_CAP_EXCEEDED') {
+                log.warn('Callback refused at the fee cap, waiting for fees to fall', {
+                    delayMs: this.FEE_CAP_RETRY_DELAY
+                });
+                this._enqueueRequest(requestId, this.FEE_CAP_RETRY_DELAY);
+                return;
+            }
+
+            const attempts = [...(request.attempts || []), { at: Date.now(), error: error.message }];
+
+            // Retry with exponential backoff through the queue
+            if (request.retries < this.MAX_RETRIES) {
+                this._recordTransition({
+                    type: 'updated',
+                    requestId: request.requestId,
+                    changes: { retries: request.retries + 1, attempts }
+                });
+                this.counters.retries.inc(this.metricLabels);
+
+                const delay = this.queue.backoff(request.retries);
+                log.warn('Retry scheduled', {
+                    retry: request.retries,
+                    maxRetries: this.MAX_RETRIES,
+                    delayMs: delay
+                });
+                // request was updated in place by the transition: retries is this retry's number
+                this._audit('retry', request, {
+                    retry: request.retries,
+                    error: error.message,
+                    delayMs: delay,
+                    lastTxHash: request.lastTxHash || null
+                });
+                this._enqueueRequest(requestId, delay);
+            } else {
+                log.error('Max retries exceeded, moved to dead-letter queue', { txHash: request.lastTxHash });
+                this._audit('dead-lettered', request, {
+                    error: error.message,
+                    attempts: attempts.length,
+                    lastTxHash: request.lastTxHash || null
+                });
+                this._recordTransition({
+                    type: 'failed',
+                    requestId: requestId.toString(),
+                    failure: {
+                        requestId: requestId.toString(),
+                        reason: error.message,
+                        stack: error.stack,
+                        attempts,
+                        lastTxHash: request.lastTxHash || null,
+                        deadLettered: true,
+                        failedAt: Date.now()
+                    }
+                });
+            }
         }
     }
-}
 
-/**
- * Main execution
- */
-async function main() {
-    // Load configuration from environment
-    const config = {
-        rpcUrl: process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/YOUR-PROJECT-ID',
-        privateKey: process.env.GATEWAY_PRIVATE_KEY || '',
-        contractAddress: process.env.CONTRACT_ADDRESS || ''
-    };
-
-    // Validate configuration
-    if (!config.privateKey || !config.contractAddress) {
-        console.error('❌ Missing required environment variables');
-        console.error('Set GATEWAY_PRIVATE_KEY and CONTRACT_ADDRESS');
-        process.exit(1);
-    }
-
-    // Create and start service
-    const gateway = new GatewayService(config);
-
-    // Restore previous state if available
-    gateway._restoreState();
-
-    // Start service
-    await gateway.start();
-
-    // Health check
-    await gateway.healthCheck();
-
-    // Print status periodically
-    setInterval(() => {
-        gateway.getPendingStatus();
-    }, 300000); // Every 5 minutes
-
-    // Graceful shutdown
-    process.on('SIGINT', async () => {
-        console.log('\n🛑 Received shutdown signal');
-        await gateway.stop();
-        process.exit(0);
-    });
-
-    process.on('SIGTERM', async () => {
-        console.log('\n🛑 Received termination signal');
-        await gateway.stop();
-        process.exit(0);
-    });
-}
+    /**
+     * Look up the ciphertext handles a request asked the oracle to decrypt
+     */
+    async _getCiphertextHandles(request) {
+        if (request.ciphertextHandles) {
+            return request.ciphertextHandles;
+        }
 
-// Run if executed directly
-if (require.main === module) {
-    main().catch(error => {
-        console.error('Fatal error:', error);
-        process.exit(1);
-    });
-}
+        if (!request.transactionHash) {
+            throw new Error(`No transaction recorded for request ${request.requestId}`);
+        }
 
-module.exports = GatewayService;
+        const receipt = await this.provider.getTransactionReceipt(request.transactionHash);
+        if (!receipt) {
+            throw new Error(`Receipt not found for ${request.transactionHash}`);
+        }
+
+        const handles = extractCiphertextHandles(receipt, request.requestId);
+        this._recordTransition({
+            type: 'updated',
+            requestId: request.requestId,
+            changes: { ciphertextHandles: handles }
+        });
+
+        return handles;
+    }
+
+    /**
+     * Call settlement callback on contract
+     */
+    async _callSettlementCallback(requestId, decryptedPrice) {
+        const log = this._requestLogger(requestId);
+        log.info('Calling settlement callback', { price: decryptedPrice });
+
+        try {
+            const signatures = await this._signResult(requestId, decryptedPrice);
+
+            const receipt = await this._sendCallback(requestId, 'processSettlementCallback', [
+                requestId,
+                decryptedPrice,
+                signatures
+            ]);
+            if (!receipt) {
+                return null;
+            }
+            this.counters.callbacks.inc({ ...this.metricLabels, kind: 'settlement', result: 'success' });
+
+            // Settle local state from our own receipt rather than waiting for the listener
+            for (const log of receipt.logs) {
+                const parsed = this.contract.interface.parseLog(log);
+                if (parsed && parsed.name === 'GatewayCallbackProcessed') {
+                    this._onCallbackProcessed(parsed.args.requestId, parsed.args.success, Date.now());
+                }
+            }
+
+            return receipt;
+
+        } catch (error) {
+            log.error('Settlement callback failed', { err: error, txHash: this._lastTxHash(requestId) });
+            this.counters.callbacks.inc({ ...this.metricLabels, kind: 'settlement', result: this._failureResult(error) });
+            throw error;
+        }
+    }
+
+    /**
+     * Call withdrawal callback on contract
+     */
+    async _callWithdrawalCallback(requestId, decryptedBalance) {
+        const log = this._requestLogger(requestId);
+        log.info('Calling withdrawal callback', { amount: decryptedBalance });
+
+        try {
+            const signatures = await this._signResult(requestId, decryptedBalance);
+
+            const receipt = await this._sendCallback(requestId, 'processWithdrawalCallback', [
+                requestId,
+                decryptedBalance,
+                signatures
+            ]);
+            if (!receipt) {
+                return null;
+            }
+            this.counters.callbacks.inc({ ...this.metricLabels, kind: 'withdrawal', result: 'success' });
+
+            // WithdrawalProcessed carries no request ID, so the receipt is the completion signal
+            this._recordTransition({ type: 'processed', requestId: requestId.toString() });
+
+            return receipt;
+
+        } catch (error) {
+            log.error('Withdrawal callback failed', { err: error, txHash: this._lastTxHash(requestId) });
+            this.counters.callbacks.inc({ ...this.metricLabels, kind: 'withdrawal', result: this._failureResult(error) });
+            throw error;
+        }
+    }
+
+    /**
+     * Metric result for a failed callback: refusals at the fee cap never reached the chain
+     */
+    _failureResult(error) {
+        return error.code === 'FEE_CAP_EXCEEDED' ? 'refused' : 'failure';
+    }
+
+    /**
+     * Collect the signing committee's signatures over a decryption result
+     */
+    async _signResult(requestId, cleartext) {
+        if (this.chainId === undefined) {
+            this.chainId = (await this.provider.getNetwork()).chainId;
+        }
+
+        const signatures = await this.signingCommittee.sign({
+            contractAddress: this.contractAddress,
+            chainId: this.chainId,
+            requestId,
+            cleartext
+        });
+        this._requestLogger(requestId).debug('Result signed', { signatures: signatures.length });
+
+        return signatures;
+    }
+
+    /**
+     * Submit a gateway callback through the nonce manager and wait for its receipt
+     * @dev The request is first checked against the contract and dry-run with
+     *      staticCall, so neither a settled request nor a reverting call costs gas.
+     *      The nonce manager estimates gas and refuses to send above the fee cap.
+     * @returns {Promise<object|null>} null if the chain had already closed the request
+     */
+    async _sendCallback(requestId, method, args) {
+        this._assertLeader();
+
+        if (!(await this._reconcileWithChain(requestId))) {
+            return null;
+        }
+        const request = this.pendingRequests.get(requestId.toString());
+
+        try {
+            await this.contract[method].staticCall(...args);
+        } catch (error) {
+            const dryRunError = new Error(`Dry run of ${method} reverted: ${error.reason || error.shortMessage || error.message}`);
+            dryRunError.code = 'DRY_RUN_REVERTED';
+            dryRunError.cause = error;
+            throw dryRunError;
+        }
+
+        const txRequest = await this.contract[method].populateTransaction(...args);
+
+        const log = this._requestLogger(requestId);
+        const { receipt } = await this.nonceManager.send(txRequest, {
+            beforeBroadcast: () => this._assertLeader(),
+            onBroadcast: (attempt) => this._recordBroadcast(requestId.toString(), attempt),
+            logger: log
+        });
+        log.info('Callback mined', {
+            method,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed
+        });
+        this._audit('callback', request, {
+            method,
+            cleartext: String(args[1]),
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            from: receipt.from
+        });
+
+        this.histograms.callbackGas.observe(this.metricLabels, Number(receipt.gasUsed));
+
+        return receipt;
+    }
+
+    /**
+     * Bring a request in line with the contract before a callback is submitted
+     * @dev A request the contract already processed is recorded as processed; one
+     *      it refunded or failed is recorded as failed with the on-chain status
+     * @returns {Promise<boolean>} true if the contract still awaits the callback
+     */
+    async _reconcileWithChain(requestId) {
+        const id = requestId.toString();
+        const request = this.pendingRequests.get(id);
+        if (!request) {
+            return false;
+        }
+
+        const { processed, status } = await this._readOnChainStatus(request);
+        if (!processed && status === 'PENDING') {
+            return true;
+        }
+
+        const log = this._requestLogger(id);
+        this.counters.reconciled.inc({ ...this.metricLabels, status: processed ? 'FULFILLED' : status });
+
+        if (processed || status === 'FULFILLED') {
+            log.info('Request already processed on-chain, reconciling', { onChainStatus: status });
+            this._recordTransition({ type: 'processed', requestId: id, reason: 'Reconciled before submission' });
+        } else {
+            log.warn('Request closed on-chain, reconciling', { onChainStatus: status });
+            this._recordTransition({
+                type: 'failed',
+                requestId: id,
+                failure: {
+                    requestId: id,
+                    reason: status === 'REFUNDED' ? 'Refunded on-chain' : 'Failed on-chain',
+                    onChainStatus: status,
+                    reconciled: true,
+                    failedAt: Date.now()
+                }
+            });
+        }
+
+        return false;
+    }
+
+    /**
+     * Record a callback broadcast (initial or fee-bumped replacement) on the request
+     */
+    _recordBroadcast(requestId, attempt) {
+        this._requestLogger(requestId).info(attempt.replaces ? 'Replacement callback broadcast' : 'Callback broadcast', {
+            txHash: attempt.hash,
+            replaces: attempt.replaces,
+            nonce: attempt.nonce
+        });
+
+        const request = this.pendingRequests.get(requestId);
+        this._recordTransition({
+            type: 'updated',
+            requestId,
+            changes: {
+                lastTxHash: attempt.hash,
+                transactions: [...((request && request.transactions) || []), attempt]
+            }
+        });
+    }
+
+    /**
+     * Append a decision about a request to the audit journal, if one is configured
+     * @dev Defaults txHash and blockNumber to the request's own transaction. With
+     *      leader election the journal may be shared, so entries carry the lease
+     *      term and an instance fenced out of its term writes nothing.
+     */
+    _audit(type, request, fields = {}) {
+        if (!this.auditJournal) {
+            return;
+        }
+        if (this.elector && !this.elector.checkTerm()) {
+            this._requestLogger(request.requestId).warn('Audit entry dropped: no longer the leader', { type });
+            return;
+        }
+
+        this.auditJournal.append(type, {
+            contract: this.contractAddress,
+            requestId: request.requestId,
+            kind: request.kind || 'settlement',
+            txHash: request.transactionHash || null,
+            blockNumber: request.blockNumber ?? null,
+            ...(this.elector ? { term: this.elector.term } : {}),
+            ...fields
+        });
+    }
+
+    /**
+     * Handle timeout for pending requests
+     */
+    async _handleTimeout(request) {
+        const id = request.requestId;
+        const log = this._requestLogger(id);
+        log.warn('Handling timeout', { trackedForMs: Date.now() - request.createdAt });
+
+        this._timeoutsInFlight.add(id);
+
+        try {
+            this.queue.remove(this._queueKey(id));
+
+            if (!request.timingOut) {
+                this.counters.timeouts.inc(this.metricLabels);
+                this._recordTransition({ type: 'updated', requestId: id, changes: { timingOut: true } });
+            }
+
+            // Withdrawals have no on-chain failure path; the trader can simply request again
+            if (request.kind === 'withdrawal') {
+                this._recordTransition({
+                    type: 'failed',
+                    requestId: id,
+                    failure: {
+                        requestId: id,
+                        reason: 'Timeout - Withdrawal not processed',
+                        failedAt: Date.now()
+                    }
+                });
+                this._audit('timeout', request, { outcome: 'closed' });
+                log.info('Timeout handled, withdrawal closed');
+                return;
+            }
+
+            // A zero price routes the callback into _handleDecryptionFailure, which
+            // refunds every active position once DECRYPTION_TIMEOUT has passed on-chain;
+            // the committee signs it like any other result
+            const signatures = await this._signResult(id, 0);
+            const receipt = await this._sendCallback(id, 'processSettlementCallback', [id, 0, signatures]);
+            if (!receipt) {
+                this._audit('timeout', request, { outcome: 'reconciled' });
+                log.info('Timeout resolved by on-chain status');
+                return;
+            }
+            await this._waitForConfirmations(receipt);
+
+            // FAILED means the contract's clock disagreed and no refund was made;
+            // the request cannot be called back again, so it is closed either way
+            const { status } = await this._readOnChainStatus(request);
+            if (status !== 'REFUNDED' && status !== 'FAILED') {
+                throw new Error(`Refund not confirmed: on-chain status is ${status}`);
+            }
+
+            const refunds = [];
+            for (const log of receipt.logs) {
+                const parsed = this.contract.interface.parseLog(log);
+                if (parsed && parsed.name === 'RefundProcessed') {
+                    refunds.push({ trader: parsed.args.trader, reason: parsed.args.reason });
+                }
+            }
+
+            this._recordTransition({
+                type: 'failed',
+                requestId: id,
+                failure: {
+                    requestId: id,
+                    reason: status === 'REFUNDED' ? 'Timeout - Refunded on-chain' : 'Timeout - Failed on-chain without refund',
+                    onChainStatus: status,
+                    refundTxHash: receipt.hash,
+                    refundBlock: receipt.blockNumber,
+                    refunds,
+                    failedAt: Date.now()
+                }
+            });
+
+            this._audit('timeout', request, {
+                outcome: status.toLowerCase(),
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                refunds: refunds.length
+            });
+
+            log.info('Timeout handled on-chain', {
+                onChainStatus: status,
+                refunds: refunds.length,
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            });
+
+        } catch (error) {
+            // The request stays pending and flagged, so the next check tries again
+            log.error('Timeout handler failed', { err: error, txHash: this._lastTxHash(id) });
+        } finally {
+            this._timeoutsInFlight.delete(id);
+        }
+    }
+
+    /**
+     * Wait until a receipt is buried under the confirmation depth and still canonical
+     */
+    async _waitForConfirmations(receipt) {
+        while ((await this.provider.getBlockNumber()) - receipt.blockNumber + 1 < this.CONFIRMATIONS) {
+            await new Promise(resolve => setTimeout(resolve, this.CONFIRMATION_POLL_INTERVAL));
+        }
+
+        const current = await this.provider.getTransactionReceipt(receipt.hash);
+        if (!current || current.blockHash !== receipt.blockHash) {
+            throw new Error(`Transaction ${receipt.hash} was reorged out before confirmation`);
+        }
+    }
+
+    /**
+     * Get status of all pending requests
+     */
+    getPendingStatus() {
+        const { requests, ...status } = this.getStatus();
+        this.logger.info('Pending requests status', status);
+
+        for (const [id, request] of this.pendingRequests.entries()) {
+            const queued = this.queue.locate(this._queueKey(id));
+            this._requestLogger(id).info('Request pending', {
+                elapsedMs: Date.now() - request.createdAt,
+                retries: request.retries,
+                queue: queued ? queued.state : 'idle',
+                queuePosition: queued ? queued.position : undefined
+            });
+        }
+
+        for (const [id, request] of this.failedRequests.entries()) {
+            this._requestLogger(id).info('Request failed', { reason: request.reason });
+        }
+    }
+
+    /**
+     * Summary of tracked requests, the checkpoint and this deployment's queue share
+     */
+    getStatus() {
+        const owned = (job) => job.key.startsWith(`${this.name}:`);
+        const queue = this.queue.snapshot();
+
+        return {
+            contract: this.name,
+            address: this.contractAddress,
+            role: this._isLeader() ? 'leader' : 'standby',
+            checkpoint: this.lastProcessedBlock,
+            pending: this.pendingRequests.size,
+            processed: this.processedRequests.size,
+            failed: this.failedRequests.size,
+            running: queue.running.filter(owned).length,
+            queued: queue.queued.filter(owned).length,
+            concurrency: queue.concurrency,
+            draining: queue.draining
+        };
+    }
+
+    /**
+     * Leader election state, or null when running without one
+     */
+    getLeaderStatus() {
+        return this.elector ? this.elector.status() : null;
+    }
+
+    /**
+     * RPC endpoint health and how events are being received
+     */
+    getRpcStatus() {
+        return {
+            endpoints: typeof this.provider.status === 'function' ? this.provider.status() : undefined,
+            subscriptions: this.transport ? this.transport.status() : { mode: 'polling' }
+        };
+    }
+
+    /**
+     * Work queue contents (shared with other deployments when run as a cluster)
+     */
+    getQueueStatus() {
+        return this.queue.snapshot();
+    }
+
+    /**
+     * List tracked requests
+     * @param {object} filters Optional { status, contractId, limit }
+     */
+    listRequests(filters = {}) {
+        const sources = {
+            pending: this.pendingRequests.keys(),
+            processed: this.processedRequests.values(),
+            failed: this.failedRequests.keys()
+        };
+        const statuses = filters.status ? [filters.status] : Object.keys(sources);
+        const results = [];
+
+        for (const status of statuses) {
+            if (!sources[status]) {
+                throw new Error(`Unknown status filter: ${status}`);
+            }
+
+            for (const id of sources[status]) {
+                const summary = this._describeRequest(id);
+                if (filters.contractId !== undefined && summary.contractId !== String(filters.contractId)) {
+                    continue;
+                }
+                results.push(summary);
+            }
+        }
+
+        return filters.limit ? results.slice(-filters.limit) : results;
+    }
+
+    /**
+     * Get one request with its journal history
+     * @returns {object|null} null if the request is unknown
+     */
+    getRequest(requestId) {
+        const id = requestId.toString();
+        const summary = this._describeRequest(id);
+        if (!summary) {
+            return null;
+        }
+
+        return { ...summary, history: this.requestHistory.get(id) || [] };
+    }
+
+    /**
+     * Force a pending request to be processed now, or replay a failed one
+     * @returns {object|null} null if the request is unknown
+     */
+    async retryRequest(requestId) {
+        const id = requestId.toString();
+        this._assertLeader();
+
+        if (this.failedRequests.has(id)) {
+            const [result] = await this.replayDeadLetters([id]);
+            if (result.result === 'skipped') {
+                throw new Error(result.reason);
+            }
+            return { ...this._describeRequest(id), replay: result };
+        }
+
+        if (!this.pendingRequests.has(id)) {
+            if (this.processedRequests.has(id)) {
+                throw new Error(`Request ${id} was already processed`);
+            }
+            return null;
+        }
+
+        this._requestLogger(id).info('Manual retry requested');
+        this._enqueueRequest(id);
+
+        return this._describeRequest(id);
+    }
+
+    /**
+     * Replay dead-lettered requests after the root cause has been fixed
+     * @dev Each request is checked against the contract first: one that already
+     *      succeeded on-chain is reconciled as processed instead of resubmitted
+     * @param {string[]} [requestIds] Defaults to every failed request
+     * @returns {Promise<object[]>} One { requestId, result, reason } per request
+     */
+    async replayDeadLetters(requestIds) {
+        this._assertLeader();
+        const ids = (requestIds || Array.from(this.failedRequests.keys())).map(String);
+        const results = [];
+
+        for (const id of ids) {
+            const failure = this.failedRequests.get(id);
+            if (!failure) {
+                results.push({ requestId: id, result: 'skipped', reason: `Request ${id} is not in the dead-letter queue` });
+                continue;
+            }
+
+            if (!failure.request) {
+                results.push({ requestId: id, result: 'skipped', reason: `Request ${id} has no recorded request data` });
+                continue;
+            }
+
+            const onChain = await this._readOnChainStatus(failure.request);
+
+            if (onChain.processed) {
+                this._requestLogger(id).info('Request already processed on-chain, reconciling');
+                this._recordTransition({ type: 'processed', requestId: id, reason: 'Reconciled during replay' });
+                results.push({ requestId: id, result: 'already-processed' });
+                continue;
+            }
+
+            if (onChain.status !== 'PENDING') {
+                results.push({ requestId: id, result: 'skipped', reason: `On-chain status is ${onChain.status}` });
+                continue;
+            }
+
+            this._requestLogger(id).info('Replaying dead-lettered request');
+            this._recordTransition({
+                type: 'requeued',
+                requestId: id,
+                request: { ...failure.request, retries: 0, replayedAt: Date.now() }
+            });
+            this._enqueueRequest(id);
+            results.push({ requestId: id, result: 'replayed' });
+        }
+
+        return results;
+    }
+
+    /**
+     * Read a request's idempotency state from the contract
+     */
+    async _readOnChainStatus(request) {
+        const [processed, onChain] = await Promise.all([
+            this.contract.processedRequests(request.requestId),
+            request.kind === 'withdrawal'
+                ? this.contract.withdrawalRequests(request.requestId)
+                : this.contract.decryptionRequests(request.requestId)
+        ]);
+
+        return { processed, status: REQUEST_STATUS[Number(onChain.status)] };
+    }
+
+    /**
+     * Stop working on a pending request
+     * @returns {object|null} null if the request is unknown
+     */
+    cancelRequest(requestId, reason = 'Cancelled by operator') {
+        const id = requestId.toString();
+
+        if (!this.pendingRequests.has(id)) {
+            if (this.processedRequests.has(id) || this.failedRequests.has(id)) {
+                throw new Error(`Request ${id} is not pending`);
+            }
+            return null;
+        }
+
+        this._requestLogger(id).warn('Cancelling request', { reason });
+        this.queue.remove(this._queueKey(id));
+        this._recordTransition({
+            type: 'failed',
+            requestId: id,
+            failure: {
+                requestId: id,
+                reason,
+                cancelled: true,
+                failedAt: Date.now()
+            }
+        });
+
+        return this._describeRequest(id);
+    }
+
+    /**
+     * Summarise a request for status output
+     */
+    _describeRequest(id) {
+        if (this.pendingRequests.has(id)) {
+            return {
+                contract: this.name,
+                status: 'pending',
+                ...this.pendingRequests.get(id),
+                queue: this.queue.locate(this._queueKey(id))
+            };
+        }
+
+        if (this.failedRequests.has(id)) {
+            const { request, ...failure } = this.failedRequests.get(id);
+            return { contract: this.name, status: 'failed', ...request, ...failure };
+        }
+
+        if (this.processedRequests.has(id)) {
+            const created = (this.requestHistory.get(id) || []).find((entry) => entry.type === 'pending');
+            return { contract: this.name, status: 'processed', ...(created ? created.request : { requestId: id }) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether this instance may submit transactions
+     */
+    _isLeader() {
+        return !this.elector || this.elector.holdsLease();
+    }
+
+    /**
+     * Throw unless this instance is the leader, confirmed against the lease term
+     */
+    _assertLeader() {
+        if (this.elector && !this.elector.checkTerm()) {
+            const { leader } = this.elector.status();
+            throw new Error(`This instance is on standby${leader ? `; the leader is ${leader}` : ''}`);
+        }
+    }
+
+    /**
+     * Logger bound to a request's correlation fields
+     * @dev attempt is 1 for the first try and counts up with each retry
+     */
+    _requestLogger(requestId) {
+        const id = requestId.toString();
+        const failure = this.failedRequests.get(id);
+        const request = this.pendingRequests.get(id) || (failure && failure.request) || {};
+
+        return this.logger.child({
+            requestId: id,
+            contractId: request.contractId,
+            kind: request.kind,
+            attempt: request.retries !== undefined ? request.retries + 1 : undefined
+        });
+    }
+
+    /**
+     * Hash of the last callback transaction sent for a request, if any
+     */
+    _lastTxHash(requestId) {
+        const request = this.pendingRequests.get(requestId.toString());
+        return request ? request.lastTxHash : undefined;
+    }
+
+    /**
+     * Health check
+     */
+    async healthCheck() {
+        try {
+            const [blockNumber, feeData, balance] = await Promise.all([
+                this.provider.getBlockNumber(),
+                this.provider.getFeeData(),
+                this.wallet ? this.provider.getBalance(this.wallet.address) : null
+            ]);
+            const gwei = (value) => (value != null ? ethers.formatUnits(value, 'gwei') : undefined);
+
+            this.logger.info('Gateway health check', {
+                blockNumber,
+                maxFeePerGasGwei: gwei(feeData.maxFeePerGas),
+                maxPriorityFeePerGasGwei: gwei(feeData.maxPriorityFeePerGas),
+                gasPriceGwei: gwei(feeData.gasPrice),
+                balanceEth: balance !== null ? ethers.formatEther(balance) : undefined
+            });
+
+            if (balance !== null && ethers.parseEther('0.1') > balance) {
+                this.logger.warn('Low wallet balance', { balanceEth: ethers.formatEther(balance) });
+            }
+
+            const feeCap = this.nonceManager && this.nonceManager.feeCapExceeded;
+            if (feeCap) {
+                this.logger.warn('Callbacks refused at the fee cap', {
+                    requiredGwei: gwei(feeCap.requiredFeePerGas),
+                    capGwei: gwei(feeCap.maxFeePerGasCap)
+                });
+            }
+
+            return true;
+        } catch (error) {
+            this.logger.error('Health check failed', { err: error });
+            return false;
+        }
+    }
+
+    /**
+     * Whether the service is running and still receiving blocks
+     * @dev Deliberately independent of the contract and wallet: a restart only
+     *      helps when the process itself has stalled
+     */
+    livenessCheck() {
+        const now = Date.now();
+        const sinceLastBlockMs = this._lastBlockAt ? now - this._lastBlockAt : null;
+        const started = Boolean(this._subscribed);
+
+        // Before the first block arrives, count from when the subscription started
+        const waitingSince = this._lastBlockAt || this._startedAt || now;
+        return {
+            contract: this.name,
+            alive: started && now - waitingSince <= this.STALE_BLOCK_TIMEOUT,
+            started,
+            lastBlockAt: this._lastBlockAt ? new Date(this._lastBlockAt).toISOString() : null,
+            sinceLastBlockMs
+        };
+    }
+
+    /**
+     * Whether the service can do its job: each check reports its own result
+     * @param {object} options { shared = true } also runs the checks that concern the
+     *                         provider and wallet rather than this deployment
+     * @returns {Promise<object>} { ready, checks: [{ name, contract?, ok, ...details }] }
+     */
+    async readinessCheck(options = {}) {
+        const shared = options.shared ?? true;
+        const run = async (name, check, scope) => {
+            try {
+                return { name, ...scope, ...(await check()) };
+            } catch (error) {
+                return { name, ...scope, ok: false, error: error.shortMessage || error.message };
+            }
+        };
+
+        const deployment = { contract: this.name };
+        const checks = await Promise.all([
+            shared && run('rpc', () => this._checkHeadLag()),
+            run('bytecode', () => this._checkBytecode(), deployment),
+            run('abi', () => this._checkAbi(), deployment),
+            run('gatewayRole', () => this._checkGatewayRole(), deployment),
+            shared && run('funds', () => this._checkFunds())
+        ]);
+
+        const results = checks.filter(Boolean);
+        return { ready: results.every((check) => check.ok), checks: results };
+    }
+
+    /**
+     * The RPC node answers and its head is recent
+     */
+    async _checkHeadLag() {
+        const block = await this.provider.getBlock('latest');
+        const lagSeconds = Math.max(0, Math.floor(Date.now() / 1000) - block.timestamp);
+
+        return {
+            ok: lagSeconds <= this.MAX_HEAD_LAG_SECONDS,
+            blockNumber: block.number,
+            lagSeconds,
+            maxLagSeconds: this.MAX_HEAD_LAG_SECONDS
+        };
+    }
+
+    /**
+     * A contract is deployed at the configured address
+     */
+    async _checkBytecode() {
+        const code = await this._contractCode();
+        return { ok: code !== '0x', address: this.contractAddress, codeSize: (code.length - 2) / 2 };
+    }
+
+    /**
+     * The loaded ABI has what the gateway uses, and the deployed bytecode implements it
+     * @dev Solidity embeds function selectors and event topics as constants in the bytecode
+     */
+    async _checkAbi() {
+        const code = (await this._contractCode()).toLowerCase();
+        const missingFromAbi = [];
+        const missingFromBytecode = [];
+
+        for (const [members, lookup, id] of [
+            [REQUIRED_FUNCTIONS, (name) => this.contract.interface.getFunction(name), (f) => f.selector],
+            [REQUIRED_EVENTS, (name) => this.contract.interface.getEvent(name), (e) => e.topicHash]
+        ]) {
+            for (const name of members) {
+                const fragment = lookup(name);
+                if (!fragment) {
+                    missingFromAbi.push(name);
+                } else if (!code.includes(id(fragment).slice(2).toLowerCase())) {
+                    missingFromBytecode.push(name);
+                }
+            }
+        }
+
+        return {
+            ok: missingFromAbi.length === 0 && missingFromBytecode.length === 0,
+            missingFromAbi,
+            missingFromBytecode
+        };
+    }
+
+    /**
+     * The gateway wallet may call the callbacks (onlyGateway also admits the owner)
+     */
+    async _checkGatewayRole() {
+        if (!this.wallet) {
+            return { ok: false, error: 'No wallet configured' };
+        }
+
+        const wallet = await this.wallet.getAddress();
+        const gateway = await this.contract.gateway();
+        if (gateway.toLowerCase() === wallet.toLowerCase()) {
+            return { ok: true, wallet, gateway };
+        }
+
+        const owner = this.contract.interface.getFunction('owner') ? await this.contract.owner() : null;
+        return {
+            ok: owner !== null && owner.toLowerCase() === wallet.toLowerCase(),
+            wallet,
+            gateway,
+            ...(owner !== null ? { owner } : {})
+        };
+    }
+
+    /**
+     * The wallet can pay for MIN_FUNDED_CALLBACKS callbacks at the current max fee
+     * @dev Gas per callback is the average observed so far, else DEFAULT_CALLBACK_GAS
+     */
+    async _checkFunds() {
+        if (!this.wallet) {
+            return { ok: false, error: 'No wallet configured' };
+        }
+
+        const [balance, feeData] = await Promise.all([
+            this.provider.getBalance(await this.wallet.getAddress()),
+            this.provider.getFeeData()
+        ]);
+
+        const observed = this.histograms.callbackGas.total();
+        const gasPerCallback = BigInt(observed.count > 0
+            ? Math.ceil(observed.sum / observed.count)
+            : this.DEFAULT_CALLBACK_GAS);
+        const feePerGas = feeData.maxFeePerGas ?? feeData.gasPrice;
+        const required = gasPerCallback * feePerGas * BigInt(this.MIN_FUNDED_CALLBACKS);
+
+        return {
+            ok: balance >= required,
+            balanceEth: ethers.formatEther(balance),
+            requiredEth: ethers.formatEther(required),
+            callbacks: this.MIN_FUNDED_CALLBACKS,
+            gasPerCallback: Number(gasPerCallback),
+            feePerGasGwei: ethers.formatUnits(feePerGas, 'gwei')
+        };
+    }
+
+    async _contractCode() {
+        if (!this._code || this._code === '0x') {
+            this._code = await this.provider.getCode(this.contractAddress);
+        }
+        return this._code;
+    }
+
+    /**
+     * Stop taking on new work and wait for in-flight callbacks to finish
+     * @dev Events are still recorded, so requests left pending resume on the next start
+     */
+    async drain() {
+        this.logger.info('Draining gateway service');
+
+        clearInterval(this._timeoutTimer);
+        await Promise.all([this.queue.drain(), this._timeoutCheck]);
+
+        this.logger.info('Gateway service drained', { pending: this.pendingRequests.size });
+        return { contract: this.name, drained: true, pending: this.pendingRequests.size };
+    }
+
+    /**
+     * Move the block checkpoint, backwards or forwards
+     * @dev Offline repair: the next start backfills from this block
+     */
+    resetCheckpoint(blockNumber) {
+        if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+            throw new Error(`Invalid block number: ${blockNumber}`);
+        }
+
+        const previous = this.lastProcessedBlock;
+        this._recordTransition({ type: 'checkpoint', block: blockNumber, reason: 'Reset by operator' });
+        this.logger.warn('Checkpoint reset', { previous, checkpoint: blockNumber });
+
+        return { contract: this.name, previous, checkpoint: blockNumber };
+    }
+
+    /**
+     * Stop the service
+     */
+    async stop() {
+        this.logger.info('Gateway service stopping');
+
+        // Remove listeners
+        this._subscribed = false;
+        await this._stopEventListener();
+        clearInterval(this._timeoutTimer);
+        this.queue.clear((job) => job.owner === this);
+        if (this.transport) {
+            this.transport.off('reconnected', this._onReconnected);
+        }
+        if (this.elector) {
+            this.elector.off('elected', this._onElected);
+            this.elector.off('demoted', this._onDemoted);
+            this.elector.stop();
+        }
+
+        // Compact the journal into a snapshot
+        this._saveState();
+        this.stateStore.close();
+
+        this.logger.info('Gateway service stopped');
+    }
+
+    /**
+     * Apply a state transition after persisting it to the journal
+     */
+    _recordTransition(entry) {
+        entry = { ...entry, at: Date.now() };
+        this.stateStore.append(entry);
+        applyTransition(this, entry);
+
+        if (this.stateStore.shouldCompact()) {
+            this._saveState();
+        }
+    }
+
+    /**
+     * Compact the journal into a snapshot of the current state
+     */
+    _saveState() {
+        // Keep only the most recent processed IDs so the snapshot stays bounded
+        const processed = Array.from(this.processedRequests);
+        if (processed.length > this.MAX_PROCESSED_RETAINED) {
+            this.processedRequests = new Set(processed.slice(-this.MAX_PROCESSED_RETAINED));
+        }
+
+        // Only open requests keep their history, as in the snapshot (see serializeState)
+        for (const id of this.requestHistory.keys()) {
+            if (!this.pendingRequests.has(id) && !this.failedRequests.has(id)) {
+                this.requestHistory.delete(id);
+            }
+        }
+
+        this.stateStore.compact({
+            ...serializeState(this),
+            savedAt: new Date().toISOString()
+        });
+        this.logger.debug('State snapshot written');
+    }
+
+    /**
+     * Restore service state by replaying the journal
+     * @dev A corrupt entry aborts the restore: starting from empty state would
+     *      re-process settled requests. Only a torn final line is dropped
+     */
+    _restoreState() {
+        let entries = this.stateStore.load();
+
+        // Import the snapshot written by earlier single-contract versions that only saved on stop()
+        const legacyFile = path.join(__dirname, '.gateway-state.json');
+        if (entries.length === 0 && !this.namespace && fs.existsSync(legacyFile)) {
+            const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+            this.stateStore.compact(serializeState(deserializeState(legacy)));
+            entries = this.stateStore.load();
+            this.logger.info('Imported legacy state', { path: legacyFile });
+        }
+
+        Object.assign(this, entries.reduce(applyTransition, createState()));
+
+        this.logger.info('State restored from journal', {
+            entries: entries.length,
+            pending: this.pendingRequests.size,
+            processed: this.processedRequests.size,
+            failed: this.failedRequests.size,
+            checkpoint: this.lastProcessedBlock
+        });
+    }
+}
+
+module.exports = GatewayService;
+
+// Run the command-line interface if executed directly
+if (require.main === module) {
+    require('./gateway/cli').run(process.argv.slice(2));
+}
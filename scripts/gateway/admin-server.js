@@ -0,0 +1,235 @@
+/**
+ * @title Gateway Admin Server
+ * @notice Embedded HTTP API for inspecting and operating a GatewayService
+ * @dev All responses are JSON. Mutating endpoints require the configured
+ *      bearer token and are disabled when no token is set. Request IDs repeat
+ *      across deployments, so with several the request endpoints need the
+ *      deployment's name or address as `contract`.
+ *
+ *      GET  /health                    Run healthCheck(); includes the leader/standby role and RPC health
+ *      GET  /health/live               Liveness: the process is running and receiving blocks (503 if not)
+ *      GET  /health/ready              Readiness: gateway role, bytecode, ABI, head lag and funds (503 if not)
+ *      GET  /metrics                   Prometheus metrics (text format)
+ *      GET  /requests                  List requests (?status=&contract=&contractId=&limit=)
+ *      GET  /requests/:id              One request with its journal history (?contract=)
+ *      POST /requests/:id/retry        Force a retry (requeues failed requests) (?contract=)
+ *      POST /requests/:id/cancel       Cancel a pending request (?contract=)
+ *      GET  /queue                     Running and queued work, in priority order
+ *      GET  /dead-letters              List failed requests with error details
+ *      POST /dead-letters/replay       Replay all failed requests, or { requestIds, contract }
+ *      POST /drain                     Take no new work and wait for in-flight callbacks
+ *      GET  /alerts                    Alerts currently firing (when alerting is enabled)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { Logger } = require('./logger');
+
+// Errors naming no deployment, or an unknown one, where the request needs one
+const BAD_REQUEST_CODES = new Set(['CONTRACT_REQUIRED', 'UNKNOWN_CONTRACT']);
+
+class AdminServer {
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.port = options.port ?? 8080;
+        this.host = options.host || '127.0.0.1';
+        this.token = options.token || '';
+        this.logger = options.logger || new Logger();
+        this.alerts = options.alerts || null;
+        this.server = null;
+
+        this.routes = [
+            { method: 'GET', pattern: /^\/health$/, handler: () => this._health() },
+            { method: 'GET', pattern: /^\/health\/live$/, handler: () => this._live() },
+            { method: 'GET', pattern: /^\/health\/ready$/, handler: () => this._ready() },
+            { method: 'GET', pattern: /^\/metrics$/, handler: () => this._metrics() },
+            { method: 'GET', pattern: /^\/requests$/, handler: (req, url) => this._list(url) },
+            { method: 'GET', pattern: /^\/requests\/([^/]+)$/, handler: (req, url, id) => this._get(url, id) },
+            { method: 'POST', pattern: /^\/requests\/([^/]+)\/retry$/, mutating: true, handler: (req, url, id) => this._retry(url, id) },
+            { method: 'POST', pattern: /^\/requests\/([^/]+)\/cancel$/, mutating: true, handler: (req, url, id) => this._cancel(req, url, id) },
+            { method: 'GET', pattern: /^\/queue$/, handler: () => this._queue() },
+            { method: 'GET', pattern: /^\/dead-letters$/, handler: () => this._deadLetters() },
+            { method: 'POST', pattern: /^\/dead-letters\/replay$/, mutating: true, handler: (req) => this._replay(req) },
+            { method: 'POST', pattern: /^\/drain$/, mutating: true, handler: () => this._drain() },
+            { method: 'GET', pattern: /^\/alerts$/, handler: () => this._alerts() }
+        ];
+    }
+
+    /**
+     * Start listening
+     */
+    start() {
+        this.server = http.createServer((req, res) => this._handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.logger.info('Admin API listening', { url: `http://${this.host}:${this.port}` });
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    async _handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        try {
+            const route = this.routes.find((r) => r.method === req.method && r.pattern.test(url.pathname));
+            if (!route) {
+                return this._send(res, 404, { error: 'Not found' });
+            }
+
+            if (route.mutating && !this._authorized(req)) {
+                return this._send(res, this.token ? 401 : 403, {
+                    error: this.token ? 'Invalid or missing bearer token' : 'Admin token not configured'
+                });
+            }
+
+            const [, id] = url.pathname.match(route.pattern);
+            const { status = 200, body, text } = await route.handler(req, url, id && decodeURIComponent(id));
+            if (text !== undefined) {
+                return this._sendText(res, status, text);
+            }
+            this._send(res, status, body);
+        } catch (error) {
+            this._send(res, error.statusCode || (BAD_REQUEST_CODES.has(error.code) ? 400 : 409), { error: error.message });
+        }
+    }
+
+    _authorized(req) {
+        if (!this.token) {
+            return false;
+        }
+
+        const header = req.headers.authorization || '';
+        const expected = Buffer.from(`Bearer ${this.token}`);
+        const actual = Buffer.from(header);
+
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    async _health() {
+        const healthy = await this.gateway.healthCheck();
+        return {
+            status: healthy ? 200 : 503,
+            body: { healthy, leader: this.gateway.getLeaderStatus(), rpc: this.gateway.getRpcStatus() }
+        };
+    }
+
+    _live() {
+        const liveness = this.gateway.livenessCheck();
+        return { status: liveness.alive ? 200 : 503, body: liveness };
+    }
+
+    async _ready() {
+        const readiness = await this.gateway.readinessCheck();
+        return { status: readiness.ready ? 200 : 503, body: readiness };
+    }
+
+    async _metrics() {
+        return { text: await this.gateway.metrics.render() };
+    }
+
+    _list(url) {
+        const filters = {
+            status: url.searchParams.get('status') || undefined,
+            contract: url.searchParams.get('contract') || undefined,
+            contractId: url.searchParams.get('contractId') || undefined,
+            limit: url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : undefined
+        };
+
+        try {
+            return { body: { requests: this.gateway.listRequests(filters) } };
+        } catch (error) {
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    _get(url, id) {
+        const request = this.gateway.getRequest(id, url.searchParams.get('contract') || undefined);
+        return request ? { body: request } : { status: 404, body: { error: `Unknown request ${id}` } };
+    }
+
+    async _retry(url, id) {
+        const request = await this.gateway.retryRequest(id, url.searchParams.get('contract') || undefined);
+        return request ? { status: 202, body: request } : { status: 404, body: { error: `Unknown request ${id}` } };
+    }
+
+    async _cancel(req, url, id) {
+        const { reason } = await this._readBody(req);
+        const request = this.gateway.cancelRequest(id, reason, url.searchParams.get('contract') || undefined);
+        return request ? { body: request } : { status: 404, body: { error: `Unknown request ${id}` } };
+    }
+
+    _queue() {
+        return { body: this.gateway.getQueueStatus() };
+    }
+
+    _deadLetters() {
+        return { body: { deadLetters: this.gateway.listRequests({ status: 'failed' }) } };
+    }
+
+    async _replay(req) {
+        const { requestIds, contract } = await this._readBody(req);
+        return { status: 202, body: { results: await this.gateway.replayDeadLetters(requestIds, contract) } };
+    }
+
+    async _drain() {
+        return { body: { results: await this.gateway.drain() } };
+    }
+
+    _alerts() {
+        return { body: { alerts: this.alerts ? this.alerts.active() : [] } };
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.on('data', (chunk) => {
+                data += chunk;
+            });
+            req.on('end', () => {
+                if (!data) return resolve({});
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    error.statusCode = 400;
+                    reject(error);
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    _send(res, status, body) {
+        const payload = JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+
+    _sendText(res, status, text) {
+        res.writeHead(status, {
+            'Content-Type': 'text/plain; version=0.0.4',
+            'Content-Length': Buffer.byteLength(text)
+        });
+        res.end(text);
+    }
+}
+
+module.exports = AdminServer;
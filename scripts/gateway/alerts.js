@@ -0,0 +1,363 @@
+/**
+ * @title Gateway Alerts
+ * @notice Evaluates alert rules against a running gateway and notifies webhook sinks
+ * @dev Each rule reports the problems it currently sees, keyed so the same problem
+ *      is only announced once: a 'firing' notification when it appears, a reminder
+ *      every repeatInterval while it lasts and a 'resolved' notification when it
+ *      clears. Delivery is at least once; receivers should deduplicate on `key`.
+ *      Only the leader evaluates rules, so a standby does not repeat its alerts.
+ */
+
+const ethers = require('ethers');
+const os = require('os');
+const { Logger } = require('./logger');
+
+// Used when the config lists no rules
+const DEFAULT_RULES = [
+    { name: 'low-balance', type: 'lowBalance', minBalanceEth: '0.1', severity: 'critical' },
+    { name: 'fee-cap', type: 'feeCap', severity: 'critical' },
+    { name: 'stuck-request', type: 'stuckRequest', maxAgeMinutes: 30 },
+    { name: 'callback-failure-rate', type: 'failureRate', maxPercent: 50, windowMinutes: 15, minSamples: 4 }
+];
+
+/**
+ * Rule evaluators
+ * @dev Each returns the alerts currently firing as { key, summary, details }
+ */
+const RULE_TYPES = {
+    // Gateway wallet balance below minBalanceEth
+    lowBalance: {
+        required: ['minBalanceEth'],
+        async evaluate(gateway, rule) {
+            const { wallet, provider } = gateway.services[0];
+            if (!wallet) {
+                return [];
+            }
+
+            const balance = await provider.getBalance(wallet.address);
+            if (balance >= ethers.parseEther(String(rule.minBalanceEth))) {
+                return [];
+            }
+
+            return [{
+                key: wallet.address,
+                summary: `Gateway wallet balance ${ethers.formatEther(balance)} ETH is below ${rule.minBalanceEth} ETH`,
+                details: {
+                    address: wallet.address,
+                    balanceEth: ethers.formatEther(balance),
+                    minBalanceEth: String(rule.minBalanceEth)
+                }
+            }];
+        }
+    },
+
+    // Callbacks refused because the fee needed for inclusion is above transactions.maxFeeGwei
+    feeCap: {
+        required: [],
+        async evaluate(gateway) {
+            const { nonceManager } = gateway.services[0];
+            const exceeded = nonceManager && nonceManager.feeCapExceeded;
+            if (!exceeded) {
+                return [];
+            }
+
+            const requiredGwei = ethers.formatUnits(exceeded.requiredFeePerGas, 'gwei');
+            const capGwei = ethers.formatUnits(exceeded.maxFeePerGasCap, 'gwei');
+            return [{
+                key: 'maxFeePerGas',
+                summary: `Callbacks refused: required fee ${requiredGwei} gwei is above the ${capGwei} gwei cap`,
+                details: { requiredGwei, capGwei, since: new Date(exceeded.since).toISOString() }
+            }];
+        }
+    },
+
+    // Requests pending for longer than maxAgeMinutes
+    stuckRequest: {
+        required: ['maxAgeMinutes'],
+        async evaluate(gateway, rule, now) {
+            const maxAgeMs = rule.maxAgeMinutes * 60000;
+
+            return gateway.listRequests({ status: 'pending' })
+                .filter((request) => now - request.createdAt > maxAgeMs)
+                .map((request) => ({
+                    key: `${request.contract}:${request.requestId}`,
+                    summary: `Request ${request.requestId} on ${request.contract} pending for over ${rule.maxAgeMinutes} minutes`,
+                    details: {
+                        contract: request.contract,
+                        requestId: request.requestId,
+                        kind: request.kind,
+                        retries: request.retries,
+                        ageMinutes: Math.floor((now - request.createdAt) / 60000),
+                        lastTxHash: request.lastTxHash
+                    }
+                }));
+        }
+    },
+
+    // Share of callback transactions that failed over the last windowMinutes
+    failureRate: {
+        required: ['maxPercent', 'windowMinutes'],
+        async evaluate(gateway, rule, now, state) {
+            const counter = gateway.services[0].counters.callbacks;
+            const samples = state.samples || (state.samples = []);
+            samples.push({
+                at: now,
+                success: counter.total({ result: 'success' }),
+                failure: counter.total({ result: 'failure' })
+            });
+
+            const windowStart = now - rule.windowMinutes * 60000;
+            while (samples.length > 1 && samples[0].at < windowStart) {
+                samples.shift();
+            }
+
+            const first = samples[0];
+            const last = samples[samples.length - 1];
+            const failures = last.failure - first.failure;
+            const total = failures + last.success - first.success;
+
+            if (total < (rule.minSamples || 1) || failures * 100 <= total * rule.maxPercent) {
+                return [];
+            }
+
+            const ratePercent = Math.round((failures * 1000) / total) / 10;
+            return [{
+                key: 'callbacks',
+                summary: `${ratePercent}% of callbacks failed in the last ${rule.windowMinutes} minutes`,
+                details: { failures, total, ratePercent, maxPercent: rule.maxPercent }
+            }];
+        }
+    }
+};
+
+/**
+ * Check a configured rule and fill in its defaults
+ */
+function normalizeRule(rule) {
+    const type = RULE_TYPES[rule.type];
+    if (!type) {
+        throw new Error(`Unknown alert rule type: ${rule.type}`);
+    }
+
+    const missing = type.required.filter((key) => rule[key] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Alert rule ${rule.name || rule.type} needs ${missing.join(', ')}`);
+    }
+
+    return { name: rule.type, severity: 'warning', ...rule };
+}
+
+/**
+ * Sink that POSTs each notification as JSON
+ */
+class WebhookSink {
+    constructor(options) {
+        const { url, headers = {}, timeout = 10000 } = typeof options === 'string' ? { url: options } : options;
+        if (!url) {
+            throw new Error('Webhook sink needs a url');
+        }
+
+        this.url = url;
+        this.headers = headers;
+        this.timeout = timeout;
+        this.name = new URL(url).host; // Webhook paths often embed a token, so only the host is logged
+    }
+
+    async send(notification) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(notification, (key, value) => (typeof value === 'bigint' ? value.toString() : value)),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        await response.text();
+
+        if (!response.ok) {
+            throw new Error(`Webhook ${this.name} responded with ${response.status}`);
+        }
+    }
+}
+
+class AlertManager {
+    /**
+     * @param {object} gateway GatewayCluster
+     * @param {object} options { rules, webhooks, interval, repeatInterval, instance, logger }
+     */
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.rules = (options.rules && options.rules.length > 0 ? options.rules : DEFAULT_RULES).map(normalizeRule);
+        this.sinks = (options.webhooks || []).map((sink) => (typeof sink.send === 'function' ? sink : new WebhookSink(sink)));
+        this.interval = options.interval || 60000;
+        this.repeatInterval = options.repeatInterval ?? 3600000; // 0 disables reminders
+        this.instance = options.instance || (gateway.elector ? gateway.elector.holderId : os.hostname());
+        this.logger = (options.logger || new Logger()).child({ component: 'alerts' });
+
+        const names = new Set();
+        for (const rule of this.rules) {
+            if (names.has(rule.name)) {
+                throw new Error(`Duplicate alert rule name "${rule.name}"`);
+            }
+            names.add(rule.name);
+        }
+
+        this.alerts = new Map(); // Firing alerts by key
+        this._ruleState = new Map(); // Per-rule scratch space, e.g. failure rate samples
+        this._timer = null;
+        this._evaluation = null;
+    }
+
+    /**
+     * Evaluate rules every interval
+     */
+    start() {
+        if (this._timer) {
+            return;
+        }
+
+        this._timer = setInterval(() => this._scheduledEvaluate(), this.interval);
+        this._scheduledEvaluate();
+
+        this.logger.info('Alerting started', {
+            rules: this.rules.map((rule) => rule.name),
+            sinks: this.sinks.map((sink) => sink.name)
+        });
+    }
+
+    /**
+     * Stop evaluating and wait for an evaluation in progress
+     */
+    async stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        await this._evaluation;
+    }
+
+    /**
+     * Alerts currently firing
+     */
+    active() {
+        return Array.from(this.alerts.values())
+            .filter((alert) => !alert.endsAt)
+            .map((alert) => this._notification(alert, 'firing'));
+    }
+
+    async _scheduledEvaluate() {
+        if (this._evaluation) {
+            return;
+        }
+
+        this._evaluation = this.evaluate();
+        try {
+            await this._evaluation;
+        } catch (error) {
+            this.logger.error('Alert evaluation failed', { err: error });
+        } finally {
+            this._evaluation = null;
+        }
+    }
+
+    /**
+     * Evaluate every rule once and send the resulting notifications
+     */
+    async evaluate(now = Date.now()) {
+        if (this.gateway.elector && !this.gateway.elector.holdsLease()) {
+            return;
+        }
+
+        for (const rule of this.rules) {
+            let found;
+            try {
+                found = await RULE_TYPES[rule.type].evaluate(this.gateway, rule, now, this._state(rule));
+            } catch (error) {
+                // Leave the rule's alerts as they are rather than resolving them on an RPC error
+                this.logger.warn('Alert rule could not be evaluated', { rule: rule.name, err: error });
+                continue;
+            }
+
+            const seen = new Set();
+            for (const { key, summary, details } of found) {
+                const alertKey = `${rule.name}:${key}`;
+                seen.add(alertKey);
+
+                let alert = this.alerts.get(alertKey);
+                if (!alert) {
+                    alert = { key: alertKey, rule: rule.name, severity: rule.severity, startsAt: now, notifiedAt: null };
+                    this.alerts.set(alertKey, alert);
+                    this.logger.warn('Alert firing', { alert: alertKey, severity: rule.severity, summary });
+                }
+                Object.assign(alert, { summary, details, endsAt: undefined });
+
+                const due = alert.notifiedAt === null ||
+                    (this.repeatInterval > 0 && now - alert.notifiedAt >= this.repeatInterval);
+                if (due && await this._deliver(this._notification(alert, 'firing'))) {
+                    alert.notifiedAt = now;
+                }
+            }
+
+            for (const alert of Array.from(this.alerts.values())) {
+                if (alert.rule !== rule.name || seen.has(alert.key)) continue;
+
+                if (!alert.endsAt) {
+                    alert.endsAt = now;
+                    this.logger.info('Alert resolved', { alert: alert.key, summary: alert.summary });
+                }
+
+                // Kept until the resolve notification is delivered; a never-announced alert needs none
+                if (alert.notifiedAt === null || await this._deliver(this._notification(alert, 'resolved'))) {
+                    this.alerts.delete(alert.key);
+                }
+            }
+        }
+    }
+
+    _state(rule) {
+        if (!this._ruleState.has(rule.name)) {
+            this._ruleState.set(rule.name, {});
+        }
+        return this._ruleState.get(rule.name);
+    }
+
+    _notification(alert, status) {
+        return {
+            status,
+            key: alert.key,
+            rule: alert.rule,
+            severity: alert.severity,
+            summary: alert.summary,
+            details: alert.details,
+            instance: this.instance,
+            startsAt: new Date(alert.startsAt).toISOString(),
+            endsAt: alert.endsAt ? new Date(alert.endsAt).toISOString() : undefined
+        };
+    }
+
+    /**
+     * Send a notification to every sink
+     * @returns {Promise<boolean>} false if any sink failed; the notification is retried next evaluation
+     */
+    async _deliver(notification) {
+        const results = await Promise.allSettled(this.sinks.map((sink) => sink.send(notification)));
+
+        let delivered = true;
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                delivered = false;
+                this.logger.warn('Alert notification failed', {
+                    alert: notification.key,
+                    status: notification.status,
+                    sink: this.sinks[i].name,
+                    err: result.reason
+                });
+            }
+        });
+
+        return delivered;
+    }
+}
+
+module.exports = {
+    AlertManager,
+    WebhookSink,
+    DEFAULT_RULES,
+    RULE_TYPES
+};
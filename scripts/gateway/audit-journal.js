@@ -0,0 +1,240 @@
+/**
+ * @title Gateway Audit Journal
+ * @notice Append-only, hash-chained record of the gateway's decisions
+ * @dev Every decryption result, callback submission, retry, dead-letter and
+ *      timeout is appended as one JSON line. Each entry carries a sequence
+ *      number and the hash of the entry before it, and its own hash covers
+ *      both, so an edited, removed or reordered entry breaks the chain.
+ *
+ *      txHash and blockNumber name the transaction a decision concerns: the
+ *      gateway's own transaction for callbacks and timeout refunds, otherwise
+ *      the request's DecryptionRequested or WithdrawalRequested transaction.
+ *
+ *      The chain cannot show that entries were cut from the end; verification
+ *      covers that for settlements by matching the journal against on-chain
+ *      ContractSettled events (see crossCheckSettlements).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+const { jsonReplacer } = require('./recorder');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Hash of an entry's contents, everything but its own hash
+ */
+function hashEntry(entry) {
+    const { hash, ...contents } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(contents, jsonReplacer)).digest('hex');
+}
+
+class AuditJournal {
+    /**
+     * @param {string} filePath Journal file; created on the first entry
+     * @param {object} options { logger }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.logger = (options.logger || new Logger()).child({ component: 'audit' });
+        this.fd = null;
+        this.head = null; // { seq, hash } of the last entry
+        this._size = null; // File size after our last write
+    }
+
+    /**
+     * Append an entry and flush it to disk
+     * @param {string} type decrypted | callback | retry | dead-lettered | timeout
+     * @param {object} fields { contract, requestId, txHash, blockNumber, ... }
+     * @returns {object} The entry as written
+     */
+    append(type, fields) {
+        this._open();
+
+        const entry = {
+            seq: this.head.seq + 1,
+            at: Date.now(),
+            type,
+            ...fields,
+            prevHash: this.head.hash
+        };
+        entry.hash = hashEntry(entry);
+
+        const line = JSON.stringify(entry, jsonReplacer) + '\n';
+        fs.writeSync(this.fd, line);
+        fs.fsyncSync(this.fd);
+
+        this.head = { seq: entry.seq, hash: entry.hash };
+        this._size += Buffer.byteLength(line);
+        return entry;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    /**
+     * Open the file and find the chain head
+     * @dev The head is re-read whenever the file grew behind our back, so an
+     *      instance taking over the leader lease continues the previous
+     *      leader's chain when both write to one file. Only the leader of the
+     *      current lease term appends (see LeaderElector.checkTerm).
+     */
+    _open() {
+        if (this.fd === null) {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.fd = fs.openSync(this.filePath, 'a');
+        }
+
+        const { size } = fs.fstatSync(this.fd);
+        if (size === this._size) {
+            return;
+        }
+
+        const content = fs.readFileSync(this.filePath, 'utf8');
+        this.head = { seq: 0, hash: GENESIS_HASH };
+        for (const line of content.split('\n').reverse()) {
+            try {
+                const { seq, hash } = JSON.parse(line);
+                this.head = { seq, hash };
+                break;
+            } catch (error) {
+                // Blank or torn line; the last complete entry is the head
+            }
+        }
+
+        // Keep a torn final line (verification reports it) but start the next entry on its own line
+        if (content.length > 0 && !content.endsWith('\n')) {
+            this.logger.warn('Audit journal ends in an incomplete entry', { path: this.filePath });
+            fs.writeSync(this.fd, '\n');
+        }
+        this._size = fs.fstatSync(this.fd).size;
+    }
+}
+
+/**
+ * Check a journal file's hash chain
+ * @returns {object} { entries, problems: [{ line, seq, problem }] }
+ */
+function verifyAuditJournal(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    const entries = [];
+    const problems = [];
+    let previous = { seq: 0, hash: GENESIS_HASH };
+
+    lines.forEach((line, i) => {
+        const report = (problem, seq) => problems.push({ line: i + 1, seq, problem });
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            report('Unreadable entry');
+            previous = null; // The next entry cannot be linked to this one
+            return;
+        }
+        entries.push(entry);
+
+        if (hashEntry(entry) !== entry.hash) {
+            report('Entry was modified: its hash does not match its contents', entry.seq);
+        }
+
+        // Links are checked against the hash each entry claims, so one edit is reported once
+        if (previous) {
+            if (entry.seq !== previous.seq + 1) {
+                report(entry.seq > previous.seq + 1
+                    ? `Missing entries: expected seq ${previous.seq + 1}, found ${entry.seq}`
+                    : `Out of order: seq ${entry.seq} follows seq ${previous.seq}`, entry.seq);
+            } else if (entry.prevHash !== previous.hash) {
+                report('Chain broken: prevHash does not match the previous entry', entry.seq);
+            }
+        }
+        previous = { seq: entry.seq, hash: entry.hash };
+    });
+
+    return { entries, problems };
+}
+
+/**
+ * Match a deployment's journal entries against its ContractSettled events
+ * @dev Every settlement callback in the journal must have been mined where the
+ *      journal says, emitting ContractSettled with the journalled price; every
+ *      ContractSettled since the journal's first entry for the deployment must
+ *      come from a journalled callback.
+ * @param {object[]} entries Verified journal entries
+ * @param {object} service GatewayService for the deployment
+ * @returns {Promise<object[]>} Problems as { seq, txHash, blockNumber, problem }
+ */
+async function crossCheckSettlements(entries, service) {
+    const address = service.contractAddress.toLowerCase();
+    const own = entries.filter((entry) => entry.contract && entry.contract.toLowerCase() === address);
+    if (own.length === 0) {
+        return [];
+    }
+
+    const problems = [];
+    const callbacks = own.filter((entry) =>
+        entry.type === 'callback' && entry.method === 'processSettlementCallback' && entry.cleartext !== '0'
+    );
+
+    for (const entry of callbacks) {
+        const report = (problem) => problems.push({ seq: entry.seq, txHash: entry.txHash, blockNumber: entry.blockNumber, problem });
+
+        const receipt = await service.provider.getTransactionReceipt(entry.txHash);
+        if (!receipt) {
+            report('Callback transaction not found on-chain');
+            continue;
+        }
+        if (receipt.blockNumber !== entry.blockNumber) {
+            report(`Journalled in block ${entry.blockNumber}, mined in block ${receipt.blockNumber}`);
+        }
+
+        const settled = receipt.logs
+            .filter((log) => log.address.toLowerCase() === address)
+            .map((log) => service.contract.interface.parseLog(log))
+            .find((parsed) => parsed && parsed.name === 'ContractSettled');
+        if (!settled) {
+            report('Callback emitted no ContractSettled event');
+        } else if (settled.args.settlementPrice.toString() !== entry.cleartext) {
+            report(`Journalled price ${entry.cleartext}, settled on-chain at ${settled.args.settlementPrice}`);
+        }
+    }
+
+    // Settlements the journal does not account for
+    const journalled = new Set(callbacks.map((entry) => entry.txHash));
+    const head = await service.provider.getBlockNumber();
+    let fromBlock = Math.min(...own.map((entry) => entry.blockNumber).filter(Number.isInteger));
+
+    while (fromBlock <= head) {
+        const toBlock = Math.min(fromBlock + service.BACKFILL_CHUNK_SIZE - 1, head);
+        for (const log of await service.contract.queryFilter('ContractSettled', fromBlock, toBlock)) {
+            if (!journalled.has(log.transactionHash)) {
+                problems.push({
+                    txHash: log.transactionHash,
+                    blockNumber: log.blockNumber,
+                    problem: `ContractSettled for futures contract ${log.args.contractId} at price ${log.args.settlementPrice} has no journal entry`
+                });
+            }
+        }
+        fromBlock = toBlock + 1;
+    }
+
+    return problems;
+}
+
+module.exports = {
+    AuditJournal,
+    verifyAuditJournal,
+    crossCheckSettlements,
+    hashEntry,
+    GENESIS_HASH
+};
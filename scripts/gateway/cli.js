@@ -0,0 +1,417 @@
+/**
+ * @title Gateway Command Line
+ * @notice Operator commands for the gateway
+ * @dev Run as `node scripts/gateway-service.js <command>`. Commands that touch
+ *      the journal directly (replay, reset-checkpoint) need the gateway stopped,
+ *      since the journal has a single writer; drain talks to a running gateway
+ *      through its admin API instead.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const AdminServer = require('./admin-server');
+const { AlertManager } = require('./alerts');
+const { verifyAuditJournal, crossCheckSettlements } = require('./audit-journal');
+const { createGateway, auditJournalPath } = require('./cluster');
+const { loadConfig, requireConfig } = require('./config');
+const { Logger } = require('./logger');
+const { Recorder } = require('./recorder');
+const { GatewayReplay } = require('./replayer');
+const { loadSigner } = require('./signer');
+const SignerServer = require('./signer-server');
+
+// Any one of these provides the wallet that signs callbacks
+const WALLET_SOURCES = 'privateKey|keystore.path|remoteSigner.url';
+
+// The local KMS follows the FHEVMExecutor; a kms.module backend brings its own settings
+const DECRYPTOR_SOURCES = 'kms.executorAddress|kms.module';
+
+const USAGE = `Usage: node scripts/gateway-service.js <command> [options]
+
+Commands:
+  start                         Run the gateway (default)
+  status                        Summarise the persisted state
+  inspect <requestId>           Show one request with its journal history
+  replay [requestId...]         Re-submit dead-lettered requests (gateway stopped)
+  check                         Run the readiness checks and exit non-zero if any fails
+  drain                         Make a running gateway finish in-flight callbacks and take no new work
+  reset-checkpoint --block N    Move the block checkpoint (gateway stopped)
+  reproduce <fixture>           Replay a recording (record.path) offline and print the outcome
+  verify-journal [file]         Check the audit journal (audit.path) for edited or missing entries
+                                and match it against on-chain ContractSettled events
+  signer-server                 Hold the wallet key in this process and sign for a remote gateway
+
+Options:
+  --config <path>               Config file (default: gateway.config.json, or GATEWAY_CONFIG)
+  --contract <name|address>     Deployment for inspect, replay or reset-checkpoint; inspect and replay
+                                of listed requests need it when there are several deployments
+  --block <number>              Block for reset-checkpoint
+  --offline                     Skip the on-chain cross-check in verify-journal
+  -h, --help                    Show this help
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Write a command result to stdout as JSON
+ */
+function print(value) {
+    process.stdout.write(JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2) + '\n');
+}
+
+/**
+ * Gateway for commands that only read or repair persisted state
+ * @dev No ABI artifact or private key is needed to read the journal
+ */
+function openOffline(config) {
+    const gateway = createGateway({ ...config, abi: config.abi || [] });
+    gateway._restoreState();
+    return gateway;
+}
+
+function close(gateway) {
+    gateway.queue.stop();
+    if (gateway.elector) {
+        gateway.elector.stop();
+    }
+    for (const service of gateway.services) {
+        service.stateStore.close();
+    }
+    gateway.auditJournal.close();
+}
+
+/**
+ * Take the leader lease for an offline command, if leader election is configured
+ * @dev Keeps a running leader and the command from writing side by side
+ */
+function acquireExclusive(gateway) {
+    if (!gateway.elector) {
+        return;
+    }
+
+    gateway.elector.start();
+    if (!gateway.elector.isLeader) {
+        gateway.elector.stop();
+        throw new Error(`Another instance holds the leader lease (${gateway.elector.status().leader})`);
+    }
+}
+
+async function start(config, args, options, logger) {
+    requireConfig(config, ['rpcUrl|rpc.urls', WALLET_SOURCES, 'contractAddress|deploymentsFile', 'signers.privateKeys', DECRYPTOR_SOURCES]);
+
+    // Create one service per deployment
+    const gateway = createGateway({ ...config, signer: await loadSigner(config) });
+
+    // Restore previous state if available
+    gateway._restoreState();
+
+    // Record what the gateway sees for offline reproduction (opt-in)
+    const recorder = config.record && config.record.path ? new Recorder(config.record.path, { logger }) : null;
+    if (recorder) {
+        await recorder.attach(gateway);
+    }
+
+    // Start service
+    await gateway.start();
+
+    // Health check
+    await gateway.healthCheck();
+
+    // Readiness problems are reported but do not stop the gateway; /health/ready keeps reporting them
+    const readiness = await gateway.readinessCheck();
+    for (const { name, ...result } of readiness.checks.filter((check) => !check.ok)) {
+        logger.warn('Readiness check failed', { check: name, ...result });
+    }
+
+    // Alert rules; without webhooks alerts only reach the log
+    const alerts = new AlertManager(gateway, { ...config.alerts, logger });
+    alerts.start();
+
+    // Admin API (opt-in)
+    const admin = config.admin || {};
+    const adminServer = new AdminServer(gateway, { ...admin, logger, alerts });
+    if (admin.port !== undefined) {
+        await adminServer.start();
+    }
+
+    // Print status periodically
+    setInterval(() => {
+        gateway.getPendingStatus();
+    }, 300000); // Every 5 minutes
+
+    // Graceful shutdown: let in-flight callbacks finish, within drainTimeout
+    const shutdown = async (signal) => {
+        logger.info('Received shutdown signal', { signal });
+        await adminServer.stop();
+        await alerts.stop();
+        await Promise.race([gateway.drain(), sleep(config.drainTimeout ?? 60000)]);
+        await gateway.stop();
+        if (recorder) {
+            recorder.close();
+        }
+        process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+function status(config) {
+    requireConfig(config, ['contractAddress|deploymentsFile']);
+
+    const gateway = openOffline(config);
+    try {
+        const summary = gateway.getStatus();
+        for (const deployment of summary.deployments) {
+            deployment.pendingRequests = gateway.listRequests({ contract: deployment.contract, status: 'pending' });
+            deployment.failedRequests = gateway.listRequests({ contract: deployment.contract, status: 'failed' });
+        }
+        print(summary);
+    } finally {
+        close(gateway);
+    }
+}
+
+function inspect(config, [requestId], options) {
+    requireConfig(config, ['contractAddress|deploymentsFile']);
+    if (!requestId) {
+        throw new Error('Usage: inspect <requestId> [--contract <name|address>]');
+    }
+
+    const gateway = openOffline(config);
+    try {
+        const request = gateway.getRequest(requestId, options.contract);
+
+        if (!request) {
+            throw new Error(`Unknown request ${requestId}`);
+        }
+        print(request);
+    } finally {
+        close(gateway);
+    }
+}
+
+/**
+ * Replay dead-lettered requests and wait for them to settle
+ * @dev A running gateway exposes the same operation at POST /dead-letters/replay
+ */
+async function replay(config, requestIds, options) {
+    requireConfig(config, ['rpcUrl|rpc.urls', WALLET_SOURCES, 'contractAddress|deploymentsFile', 'signers.privateKeys', DECRYPTOR_SOURCES]);
+
+    const gateway = createGateway({ ...config, signer: await loadSigner(config) });
+    gateway._restoreState();
+
+    try {
+        acquireExclusive(gateway);
+
+        const results = await gateway.replayDeadLetters(requestIds.length > 0 ? requestIds : undefined, options.contract);
+        print(results);
+
+        // Wait until every replayed request either settles or is dead-lettered again
+        const { MAX_RETRIES } = gateway.services[0];
+        const { baseDelay, maxDelay } = gateway.queue;
+        const replayed = results.filter((r) => r.result === 'replayed');
+        let deadline = Date.now() + 300000;
+        for (let retry = 0; retry < MAX_RETRIES; retry++) {
+            deadline += Math.min(maxDelay, baseDelay * 2 ** retry);
+        }
+
+        const current = ({ contract, requestId }) => gateway.getRequest(requestId, contract);
+        while (replayed.some((r) => current(r).status === 'pending') && Date.now() < deadline) {
+            await sleep(1000);
+        }
+
+        print(replayed.map((r) => {
+            const { requestId, status: state, reason } = current(r);
+            return { contract: r.contract, requestId, status: state, reason };
+        }));
+    } finally {
+        close(gateway);
+    }
+}
+
+/**
+ * Run the readiness checks against the configured deployments
+ * @dev Read-only: the wallet address is needed but nothing is signed
+ */
+async function check(config) {
+    requireConfig(config, ['rpcUrl|rpc.urls', WALLET_SOURCES, 'contractAddress|deploymentsFile']);
+
+    const gateway = createGateway({ ...config, signer: await loadSigner(config) });
+    try {
+        const readiness = await gateway.readinessCheck();
+        print(readiness);
+        if (!readiness.ready) {
+            process.exitCode = 1;
+        }
+    } finally {
+        close(gateway);
+    }
+}
+
+/**
+ * Ask a running gateway to drain through its admin API
+ */
+async function drain(config) {
+    const admin = config.admin || {};
+    requireConfig(config, ['admin.port', 'admin.token']);
+
+    const response = await fetch(`http://${admin.host || '127.0.0.1'}:${admin.port}/drain`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${admin.token}` }
+    });
+    const body = await response.json();
+
+    if (!response.ok) {
+        throw new Error(`Drain failed (${response.status}): ${body.error}`);
+    }
+    print(body);
+}
+
+function resetCheckpoint(config, args, options) {
+    requireConfig(config, ['contractAddress|deploymentsFile']);
+    if (options.block === undefined) {
+        throw new Error('Usage: reset-checkpoint --block <number> [--contract <name>]');
+    }
+
+    const gateway = openOffline(config);
+    try {
+        acquireExclusive(gateway);
+        print(gateway.resetCheckpoint(Number(options.block), options.contract));
+    } finally {
+        close(gateway);
+    }
+}
+
+/**
+ * Replay a recording against the contract ABI, without a network or a key
+ * @dev Prints the requests' final state, the transactions the gateway tried to
+ *      send and any RPC calls the recording could not answer
+ */
+async function reproduce(config, [fixture], options, logger) {
+    if (!fixture) {
+        throw new Error('Usage: reproduce <fixture>');
+    }
+
+    const replay = new GatewayReplay(fixture, { logger });
+    const { requests, transactions, misses } = await replay.run();
+    print({ requests, transactions, misses });
+}
+
+/**
+ * Verify the audit journal's hash chain, then its settlements against the chain
+ * @dev Exits non-zero if any entry was edited, removed or reordered, or if a
+ *      journalled settlement and the ContractSettled events disagree
+ */
+async function verifyJournal(config, [file], options) {
+    const journalPath = file || auditJournalPath(config);
+    if (!fs.existsSync(journalPath)) {
+        throw new Error(`No audit journal at ${journalPath}`);
+    }
+
+    const { entries, problems } = verifyAuditJournal(journalPath);
+    let settlements;
+
+    if (!options.offline) {
+        requireConfig(config, ['rpcUrl|rpc.urls', 'contractAddress|deploymentsFile']);
+
+        const gateway = createGateway(config);
+        try {
+            settlements = [];
+            for (const service of gateway.services) {
+                settlements.push(...(await crossCheckSettlements(entries, service)));
+            }
+        } finally {
+            close(gateway);
+        }
+    }
+
+    const valid = problems.length === 0 && (!settlements || settlements.length === 0);
+    print({ path: journalPath, valid, entries: entries.length, problems, settlements });
+    if (!valid) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Serve the remote signing protocol with the key from privateKey or keystore
+ * @dev Run in its own process, under its own account, so the gateway never holds the key
+ */
+async function signerServer(config, args, options, logger) {
+    requireConfig(config, ['privateKey|keystore.path', 'signerServer.token', 'signerServer.allowedTo']);
+
+    const wallet = await loadSigner({ privateKey: config.privateKey, keystore: config.keystore });
+    const server = new SignerServer(wallet, { ...config.signerServer, logger });
+    await server.start();
+
+    const shutdown = async (signal) => {
+        logger.info('Received shutdown signal', { signal });
+        await server.stop();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+const COMMANDS = {
+    start,
+    status,
+    inspect,
+    replay,
+    check,
+    drain,
+    'reset-checkpoint': resetCheckpoint,
+    reproduce,
+    'verify-journal': verifyJournal,
+    'signer-server': signerServer
+};
+
+/**
+ * Parse arguments and run a command
+ */
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            config: { type: 'string' },
+            contract: { type: 'string' },
+            block: { type: 'string' },
+            offline: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command = 'start', ...args] = positionals;
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) {
+        process.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const config = loadConfig({ file: options.config });
+    const logger = new Logger(config.log);
+    config.logger = logger;
+
+    await COMMANDS[command](config, args, options, logger);
+}
+
+/**
+ * Entry point: run a command and exit non-zero on failure
+ */
+function run(argv) {
+    main(argv).catch((error) => {
+        new Logger({ format: process.env.GATEWAY_LOG_FORMAT }).error('Command failed', { err: error });
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    main,
+    run
+};
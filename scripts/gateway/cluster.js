@@ -0,0 +1,368 @@
+/**
+ * @title Gateway Cluster
+ * @notice Runs one GatewayService per contract deployment behind a single interface
+ * @dev Services share a provider, wallet, nonce manager and metrics registry but
+ *      keep their own listeners and state journal. The cluster exposes the same
+ *      query and operator methods as a single service, so the admin API and the
+ *      command line work the same with one deployment or many.
+ */
+
+const ethers = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const GatewayService = require('../gateway-service');
+const { AuditJournal } = require('./audit-journal');
+const { createDecryptor } = require('./decryptor');
+const { MetricsRegistry } = require('./metrics');
+const NonceManager = require('./nonce-manager');
+const { Logger } = require('./logger');
+const { WorkQueue } = require('./work-queue');
+const { LocalSigningCommittee } = require('./signing-committee');
+const { FileLease, LeaderElector } = require('./leader-lease');
+const { FailoverProvider, SubscriptionTransport } = require('./transport');
+
+/**
+ * Read a deployments file
+ * @dev Format: { "deployments": [{ "name", "address", "abiPath"?, "startBlock"? }] }.
+ *      Relative ABI paths are resolved against the file's directory.
+ */
+function loadDeployments(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const deployments = Array.isArray(data) ? data : data.deployments;
+
+    if (!Array.isArray(deployments) || deployments.length === 0) {
+        throw new Error(`No deployments listed in ${filePath}`);
+    }
+
+    const names = new Set();
+    return deployments.map((deployment, i) => {
+        if (!deployment.address) {
+            throw new Error(`Deployment ${i} in ${filePath} has no address`);
+        }
+
+        const name = deployment.name || deployment.address.toLowerCase();
+        if (names.has(name)) {
+            throw new Error(`Duplicate deployment name "${name}" in ${filePath}`);
+        }
+        names.add(name);
+
+        return {
+            name,
+            contractAddress: deployment.address,
+            abiPath: deployment.abiPath ? path.resolve(path.dirname(filePath), deployment.abiPath) : undefined,
+            startBlock: deployment.startBlock
+        };
+    });
+}
+
+class GatewayCluster {
+    constructor(services, options = {}) {
+        this.services = services;
+        this.metrics = services[0].metrics;
+        this.queue = services[0].queue;
+        this.auditJournal = services[0].auditJournal;
+        this.logger = options.logger || services[0].logger;
+        this.elector = options.elector || null;
+        this.transport = options.transport || null;
+    }
+
+    async start() {
+        const { provider } = this.services[0];
+        if (typeof provider.startProbing === 'function') {
+            await provider.startProbing();
+        }
+        if (this.transport) {
+            this.transport.start();
+        }
+
+        for (const service of this.services) {
+            await service.start();
+        }
+    }
+
+    async stop() {
+        for (const service of this.services) {
+            await service.stop();
+        }
+        this.queue.stop();
+        if (this.auditJournal) {
+            this.auditJournal.close();
+        }
+
+        if (this.transport) {
+            await this.transport.stop();
+        }
+        const { provider } = this.services[0];
+        if (typeof provider.stopProbing === 'function') {
+            provider.stopProbing();
+        }
+    }
+
+    _restoreState() {
+        for (const service of this.services) {
+            service._restoreState();
+        }
+    }
+
+    getPendingStatus() {
+        for (const service of this.services) {
+            service.getPendingStatus();
+        }
+    }
+
+    getStatus() {
+        return {
+            leader: this.getLeaderStatus(),
+            deployments: this.services.map((service) => service.getStatus())
+        };
+    }
+
+    async drain() {
+        return Promise.all(this.services.map((service) => service.drain()));
+    }
+
+    /**
+     * Reset the checkpoint of one deployment, or of all of them
+     */
+    resetCheckpoint(blockNumber, contract) {
+        const services = contract ? [this._service(contract)] : this.services;
+        return services.map((service) => service.resetCheckpoint(blockNumber));
+    }
+
+    /**
+     * Leader election state, or null when running without one
+     */
+    getLeaderStatus() {
+        return this.elector ? this.elector.status() : null;
+    }
+
+    getRpcStatus() {
+        // Provider and transport are shared
+        return this.services[0].getRpcStatus();
+    }
+
+    /**
+     * Work queue contents across deployments
+     */
+    getQueueStatus() {
+        return this.queue.snapshot();
+    }
+
+    async healthCheck() {
+        // Provider and wallet are shared, so one check covers every deployment
+        return this.services[0].healthCheck();
+    }
+
+    /**
+     * Alive while every deployment is still receiving blocks
+     */
+    livenessCheck() {
+        const deployments = this.services.map((service) => service.livenessCheck());
+        return { alive: deployments.every((deployment) => deployment.alive), deployments };
+    }
+
+    /**
+     * Readiness of every deployment
+     * @dev The RPC and funds checks concern the shared provider and wallet, so only
+     *      the first service runs them
+     */
+    async readinessCheck() {
+        const results = await Promise.all(this.services.map((service, i) => service.readinessCheck({ shared: i === 0 })));
+        const checks = results.flatMap((result) => result.checks);
+        return { ready: checks.every((check) => check.ok), checks };
+    }
+
+    /**
+     * List requests across deployments
+     * @param {object} filters Service filters plus an optional `contract` name or address
+     */
+    listRequests(filters = {}) {
+        const { contract, ...serviceFilters } = filters;
+        const services = contract ? [this._service(contract)] : this.services;
+        const results = services.flatMap((service) => service.listRequests({ ...serviceFilters, limit: undefined }));
+
+        return filters.limit ? results.slice(-filters.limit) : results;
+    }
+
+    /**
+     * One request with its journal history
+     * @param {string} [contract] Deployment name or address; required with several deployments
+     */
+    getRequest(requestId, contract) {
+        return this._requestService(contract).getRequest(requestId);
+    }
+
+    async retryRequest(requestId, contract) {
+        return this._requestService(contract).retryRequest(requestId);
+    }
+
+    cancelRequest(requestId, reason, contract) {
+        return this._requestService(contract).cancelRequest(requestId, reason);
+    }
+
+    /**
+     * Replay dead-lettered requests
+     * @dev Without IDs every failed request is replayed, of one deployment or of all;
+     *      listed IDs need their deployment named like any other request operation
+     * @returns {Promise<object[]>} One { contract, requestId, result, reason } per request
+     */
+    async replayDeadLetters(requestIds, contract) {
+        const services = requestIds
+            ? [this._requestService(contract)]
+            : (contract ? [this._service(contract)] : this.services);
+
+        // Results name their deployment, since their IDs alone may not
+        const results = [];
+        for (const service of services) {
+            const replayed = await service.replayDeadLetters(requestIds);
+            results.push(...replayed.map((result) => ({ contract: service.name, ...result })));
+        }
+        return results;
+    }
+
+    /**
+     * The deployment a request operation applies to
+     * @dev Each deployment numbers its own requests, so an ID alone is ambiguous
+     *      once there are several
+     */
+    _requestService(contract) {
+        if (contract) {
+            return this._service(contract);
+        }
+        if (this.services.length === 1) {
+            return this.services[0];
+        }
+
+        const error = new Error(
+            `Request IDs repeat across deployments; name one with contract (${this.services.map((s) => s.name).join(', ')})`
+        );
+        error.code = 'CONTRACT_REQUIRED';
+        throw error;
+    }
+
+    _service(nameOrAddress) {
+        const key = nameOrAddress.toLowerCase();
+        const service = this.services.find((s) =>
+            s.name.toLowerCase() === key || s.contractAddress.toLowerCase() === key
+        );
+
+        if (!service) {
+            const error = new Error(`Unknown contract: ${nameOrAddress}`);
+            error.code = 'UNKNOWN_CONTRACT';
+            throw error;
+        }
+        return service;
+    }
+}
+
+/**
+ * Audit journal file: audit.path, else .gateway-audit.jsonl beside the state journals
+ * @dev Under leader election, point audit.path at a file every instance reaches
+ *      to keep a single chain across takeovers
+ */
+function auditJournalPath(config) {
+    if (config.audit && config.audit.path) {
+        return config.audit.path;
+    }
+    return path.join(config.stateDir || path.join(__dirname, '..'), '.gateway-audit.jsonl');
+}
+
+/**
+ * Claim the state directory for one instance under leader election
+ * @dev Every instance builds its state from the chain, standbys included, so
+ *      instances sharing state journals would interleave their writes. The first
+ *      instance to start in a directory owns it; ha.holderId must therefore stay
+ *      the same across restarts.
+ */
+function claimStateDir(config, holderId) {
+    const stateDir = config.statePath
+        ? path.dirname(config.statePath)
+        : (config.stateDir || path.join(__dirname, '..'));
+    const ownerFile = path.join(stateDir, '.gateway-instance');
+
+    let owner = null;
+    try {
+        owner = JSON.parse(fs.readFileSync(ownerFile, 'utf8')).holderId;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (owner === null) {
+        fs.mkdirSync(stateDir, { recursive: true });
+        fs.writeFileSync(ownerFile, JSON.stringify({ holderId, claimedAt: new Date().toISOString() }));
+    } else if (owner !== holderId) {
+        const error = new Error(`State directory ${stateDir} belongs to instance ${owner}; give each instance its own stateDir`);
+        error.code = 'STATE_DIR_IN_USE';
+        throw error;
+    }
+}
+
+/**
+ * Build one GatewayService per configured deployment
+ * @dev Deployments share the provider, event transport, wallet, nonce manager,
+ *      decryptor, audit journal and metrics registry; each keeps its own state
+ *      journal namespace.
+ *      The provider fails over between rpc.urls (or rpcUrl). The wallet is
+ *      config.signer (see loadSigner) or config.privateKey; without either the
+ *      services are read-only. With ha.leaseFile each instance needs a fixed
+ *      ha.holderId and its own stateDir.
+ */
+function createGateway(config) {
+    const rpc = config.rpc || {};
+    const logger = config.logger || new Logger(config.log);
+
+    if (config.ha && config.ha.leaseFile) {
+        if (!config.ha.holderId) {
+            throw new Error('Leader election needs a fixed instance ID: ha.holderId (GATEWAY_INSTANCE_ID)');
+        }
+        claimStateDir(config, config.ha.holderId);
+    }
+
+    // Failovers and recovered outages may have dropped events: subscribers backfill
+    // Offline commands need no endpoint; like JsonRpcProvider, default to a local node
+    let transport = null;
+    const urls = rpc.urls && rpc.urls.length > 0 ? rpc.urls : [config.rpcUrl || 'http://localhost:8545'];
+    const provider = new FailoverProvider(urls, {
+        ...rpc,
+        logger,
+        onReconnect: (reason) => transport && transport.reconnected(reason)
+    });
+    transport = new SubscriptionTransport(provider, { ...rpc, logger });
+
+    const wallet = config.signer
+        ? config.signer.connect(provider)
+        : (config.privateKey ? new ethers.Wallet(config.privateKey, provider) : null);
+    const shared = {
+        provider,
+        transport,
+        wallet,
+        logger,
+        nonceManager: wallet && new NonceManager(wallet, { ...config.transactions, logger }),
+        workQueue: new WorkQueue(config.queue),
+        decryptor: createDecryptor(provider, config.kms),
+        signingCommittee: new LocalSigningCommittee(config.signers),
+        metrics: new MetricsRegistry(),
+        auditJournal: new AuditJournal(auditJournalPath(config), { logger }),
+        elector: config.ha && config.ha.leaseFile
+            ? new LeaderElector(new FileLease(config.ha.leaseFile), { ...config.ha, logger })
+            : null
+    };
+
+    const deployments = config.deploymentsFile
+        ? loadDeployments(config.deploymentsFile)
+        : [{ contractAddress: config.contractAddress, startBlock: config.startBlock }];
+
+    return new GatewayCluster(deployments.map((deployment) => new GatewayService({
+        ...config,
+        ...shared,
+        ...deployment,
+        namespace: config.deploymentsFile ? deployment.name : undefined
+    })), { logger, elector: shared.elector, transport });
+}
+
+module.exports = {
+    GatewayCluster,
+    createGateway,
+    loadDeployments,
+    auditJournalPath
+};
@@ -0,0 +1,155 @@
+/**
+ * @title Gateway Configuration
+ * @notice Loads gateway settings from a JSON file with environment overrides
+ * @dev The file is --config <path>, else GATEWAY_CONFIG, else gateway.config.json
+ *      in the working directory if present. Environment variables win over the
+ *      file, so secrets such as GATEWAY_PRIVATE_KEY never need to be written to it;
+ *      better still, keep the key in a keystore or a remote signer (see signer.js).
+ *      Relative paths in the file resolve against the file's directory.
+ */
+
+const ethers = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'gateway.config.json';
+
+const number = (value) => Number(value);
+const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+// [environment variable, config path, parser]
+const ENV_OVERRIDES = [
+    ['SEPOLIA_RPC_URL', 'rpcUrl'],
+    ['GATEWAY_RPC_URL', 'rpcUrl'],
+    ['GATEWAY_RPC_URLS', 'rpc.urls', list],
+    ['GATEWAY_WS_URLS', 'rpc.wsUrls', list],
+    ['GATEWAY_PRIVATE_KEY', 'privateKey'],
+    ['GATEWAY_KEYSTORE', 'keystore.path'],
+    ['GATEWAY_KEYSTORE_PASSWORD_FILE', 'keystore.passwordFile'],
+    ['GATEWAY_REMOTE_SIGNER_URL', 'remoteSigner.url'],
+    ['GATEWAY_REMOTE_SIGNER_TOKEN', 'remoteSigner.token'],
+    ['GATEWAY_REMOTE_SIGNER_ADDRESS', 'remoteSigner.address'],
+    ['CONTRACT_ADDRESS', 'contractAddress'],
+    ['GATEWAY_DEPLOYMENTS_FILE', 'deploymentsFile'],
+    ['GATEWAY_START_BLOCK', 'startBlock', number],
+    ['GATEWAY_CONFIRMATIONS', 'confirmations', number],
+    ['GATEWAY_STATE_DIR', 'stateDir'],
+    ['GATEWAY_KMS_TYPE', 'kms.type'],
+    ['GATEWAY_KMS_MODULE', 'kms.module'],
+    ['FHEVM_EXECUTOR_ADDRESS', 'kms.executorAddress'],
+    ['GATEWAY_SIGNER_KEYS', 'signers.privateKeys', list],
+    ['GATEWAY_SIGNER_THRESHOLD', 'signers.threshold', number],
+    ['GATEWAY_STUCK_TX_TIMEOUT_MS', 'transactions.stuckTimeout', number],
+    ['GATEWAY_MAX_PENDING_TX_MS', 'transactions.maxPendingTime', number],
+    ['GATEWAY_MAX_FEE_GWEI', 'transactions.maxFeeGwei'],
+    ['GATEWAY_MAX_PRIORITY_FEE_GWEI', 'transactions.maxPriorityFeeGwei'],
+    ['GATEWAY_GAS_MARGIN_PERCENT', 'transactions.gasMarginPercent', number],
+    ['GATEWAY_LEASE_FILE', 'ha.leaseFile'],
+    ['GATEWAY_INSTANCE_ID', 'ha.holderId'],
+    ['GATEWAY_LEASE_TTL_MS', 'ha.ttl', number],
+    ['GATEWAY_CONCURRENCY', 'queue.concurrency', number],
+    ['GATEWAY_RETRY_BASE_MS', 'queue.baseDelay', number],
+    ['GATEWAY_RETRY_MAX_MS', 'queue.maxDelay', number],
+    ['GATEWAY_LOG_LEVEL', 'log.level'],
+    ['GATEWAY_LOG_FORMAT', 'log.format'],
+    ['GATEWAY_ADMIN_PORT', 'admin.port', number],
+    ['GATEWAY_ADMIN_HOST', 'admin.host'],
+    ['GATEWAY_ADMIN_TOKEN', 'admin.token'],
+    ['GATEWAY_ALERT_WEBHOOKS', 'alerts.webhooks', list],
+    ['GATEWAY_ALERT_INTERVAL_MS', 'alerts.interval', number],
+    ['GATEWAY_SIGNER_SERVER_PORT', 'signerServer.port', number],
+    ['GATEWAY_SIGNER_SERVER_HOST', 'signerServer.host'],
+    ['GATEWAY_SIGNER_SERVER_TOKEN', 'signerServer.token'],
+    ['GATEWAY_SIGNER_SERVER_ALLOWED_TO', 'signerServer.allowedTo', list],
+    ['GATEWAY_READY_MAX_HEAD_LAG_S', 'readiness.maxHeadLagSeconds', number],
+    ['GATEWAY_READY_MIN_CALLBACKS', 'readiness.minCallbacks', number],
+    ['GATEWAY_RECORD_FILE', 'record.path'],
+    ['GATEWAY_AUDIT_FILE', 'audit.path'],
+    ['GATEWAY_DRAIN_TIMEOUT_MS', 'drainTimeout', number]
+];
+
+// Config paths holding file system paths
+const PATH_KEYS = ['deploymentsFile', 'stateDir', 'statePath', 'kms.module', 'ha.leaseFile', 'keystore.path', 'keystore.passwordFile', 'record.path', 'audit.path'];
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => {
+        if (parent[key] == null || typeof parent[key] !== 'object') {
+            parent[key] = {};
+        }
+        return parent[key];
+    }, object);
+    target[last] = value;
+}
+
+/**
+ * Load the gateway configuration
+ * @param {object} options { file, env = process.env }
+ * @returns {object} Config accepted by createGateway()
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const explicit = options.file || env.GATEWAY_CONFIG;
+    const file = explicit || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+
+    let config = {};
+    if (file) {
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read config file ${file}: ${error.message}`);
+        }
+
+        for (const keyPath of PATH_KEYS) {
+            const value = getPath(config, keyPath);
+            if (value) {
+                setPath(config, keyPath, path.resolve(path.dirname(file), value));
+            }
+        }
+    }
+
+    for (const [name, keyPath, parse] of ENV_OVERRIDES) {
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(config, keyPath, parse ? parse(env[name]) : env[name]);
+        }
+    }
+
+    const maxFeeGwei = getPath(config, 'transactions.maxFeeGwei');
+    if (maxFeeGwei !== undefined) {
+        config.transactions.maxFeePerGasCap = ethers.parseUnits(String(maxFeeGwei), 'gwei');
+    }
+
+    const maxPriorityFeeGwei = getPath(config, 'transactions.maxPriorityFeeGwei');
+    if (maxPriorityFeeGwei !== undefined) {
+        config.transactions.maxPriorityFeePerGasCap = ethers.parseUnits(String(maxPriorityFeeGwei), 'gwei');
+    }
+
+    config.configFile = file;
+    return config;
+}
+
+/**
+ * Throw unless the settings a command needs are present
+ * @param {string[]} keys Config paths; 'a|b' accepts either
+ */
+function requireConfig(config, keys) {
+    const missing = keys.filter((key) => !key.split('|').some((alternative) => getPath(config, alternative)));
+    if (missing.length > 0) {
+        const names = missing.map((key) => key.split('|').map((alternative) => {
+            const override = ENV_OVERRIDES.find(([, keyPath]) => keyPath === alternative);
+            return override ? `${alternative} (${override[0]})` : alternative;
+        }).join(' or '));
+        throw new Error(`Missing configuration: ${names.join(', ')}`);
+    }
+}
+
+module.exports = {
+    loadConfig,
+    requireConfig,
+    ENV_OVERRIDES
+};
@@ -0,0 +1,235 @@
+/**
+ * @title Gateway Decryptors
+ * @notice Pluggable decryption backends used by GatewayService
+ * @dev A decryptor receives the ciphertext handles a contract passed to
+ *      FHE.requestDecryption() and returns their cleartexts in the same order.
+ *      createDecryptor() picks the backend from the kms config: kms.module loads
+ *      a Decryptor subclass from a file, else kms.type names a built-in one.
+ */
+
+const ethers = require('ethers');
+
+// Emitted by the FHEVM decryption oracle in the same transaction as DecryptionRequested
+const ORACLE_ABI = [
+    'event DecryptionRequest(uint256 indexed counter, uint256 requestID, bytes32[] cts, address contractCaller, bytes4 callbackSelector)'
+];
+
+// Subset of FHEVMExecutor events needed to track the values this project computes
+const EXECUTOR_ABI = [
+    'event TrivialEncrypt(address indexed caller, uint256 pt, uint8 toType, bytes32 result)',
+    'event Cast(address indexed caller, bytes32 ct, uint8 toType, bytes32 result)',
+    'event FheAdd(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)',
+    'event FheSub(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)',
+    'event FheMul(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)',
+    'event FheIfThenElse(address indexed caller, bytes32 control, bytes32 ifTrue, bytes32 ifFalse, bytes32 result)'
+];
+
+// Bit width per FheType, which handles encode in byte 30
+const TYPE_BITS = { 0: 1n, 1: 4n, 2: 8n, 3: 16n, 4: 32n, 5: 64n, 6: 128n, 7: 160n, 8: 256n };
+
+/**
+ * Find the ciphertext handles submitted for a decryption request
+ * @param {object} receipt Receipt of the transaction that emitted DecryptionRequested
+ * @param {string} requestId Oracle request ID
+ */
+function extractCiphertextHandles(receipt, requestId) {
+    const oracle = new ethers.Interface(ORACLE_ABI);
+
+    for (const log of receipt.logs) {
+        let parsed;
+        try {
+            parsed = oracle.parseLog(log);
+        } catch (error) {
+            continue;
+        }
+
+        if (parsed && parsed.args.requestID.toString() === requestId.toString()) {
+            return Array.from(parsed.args.cts);
+        }
+    }
+
+    throw new Error(`No oracle DecryptionRequest found for request ${requestId}`);
+}
+
+/**
+ * Base class for decryption backends
+ */
+class Decryptor {
+    /**
+     * Decrypt ciphertext handles
+     * @param {string[]} handles bytes32 ciphertext handles
+     * @param {object} context Request metadata ({ requestId, contractId })
+     * @returns {Promise<bigint[]>} Cleartexts in handle order
+     */
+    async decrypt(handles, context) {
+        throw new Error('Decryptor.decrypt() not implemented');
+    }
+}
+
+/**
+ * Deterministic key-management mock for a local Hardhat node
+ * @dev Follows the FHEVMExecutor event stream like a coprocessor would and
+ *      evaluates each operation on cleartexts, so every handle the executor
+ *      produced resolves to its real value. Encrypted user inputs never reach
+ *      the chain in clear and must be seeded with register().
+ */
+class LocalKmsDecryptor extends Decryptor {
+    constructor(provider, options = {}) {
+        super();
+        if (options.executorAddress && BigInt(options.executorAddress) === 0n) {
+            throw new Error('kms.executorAddress is the zero address; set the FHEVMExecutor address');
+        }
+
+        this.provider = provider;
+        this.executorAddress = options.executorAddress;
+        this.fromBlock = options.fromBlock || 0;
+        this.chunkSize = options.chunkSize || 2000;
+        this.executor = new ethers.Interface(EXECUTOR_ABI);
+        this.plaintexts = new Map();
+        this.syncedBlock = this.fromBlock - 1;
+
+        for (const [handle, value] of Object.entries(options.plaintexts || {})) {
+            this.register(handle, value);
+        }
+    }
+
+    /**
+     * Seed the cleartext of a handle the executor cannot reveal (e.g. an encrypted input)
+     */
+    register(handle, value) {
+        this.plaintexts.set(handle.toLowerCase(), BigInt(value));
+    }
+
+    async decrypt(handles, context = {}) {
+        await this.sync();
+
+        return handles.map((handle) => {
+            const value = this.plaintexts.get(handle.toLowerCase());
+            if (value === undefined) {
+                throw new Error(`Local KMS has no cleartext for handle ${handle} (request ${context.requestId})`);
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Evaluate executor events up to the current head
+     */
+    async sync() {
+        if (!this.executorAddress) {
+            throw new Error('Local KMS requires the FHEVMExecutor address (kms.executorAddress)');
+        }
+
+        const head = await this.provider.getBlockNumber();
+
+        while (this.syncedBlock < head) {
+            const fromBlock = this.syncedBlock + 1;
+            const toBlock = Math.min(fromBlock + this.chunkSize - 1, head);
+
+            const logs = await this.provider.getLogs({
+                address: this.executorAddress,
+                fromBlock,
+                toBlock
+            });
+            logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+            for (const log of logs) {
+                this._apply(log);
+            }
+
+            this.syncedBlock = toBlock;
+        }
+    }
+
+    _apply(log) {
+        let parsed;
+        try {
+            parsed = this.executor.parseLog(log);
+        } catch (error) {
+            return;
+        }
+        if (!parsed) return;
+
+        const { args } = parsed;
+        const result = args.result;
+
+        switch (parsed.name) {
+            case 'TrivialEncrypt':
+                this._set(result, args.pt);
+                break;
+            case 'Cast':
+                this._evaluate(result, [args.ct], ([value]) => value);
+                break;
+            case 'FheAdd':
+                this._evaluateBinary(args, (a, b) => a + b);
+                break;
+            case 'FheSub':
+                this._evaluateBinary(args, (a, b) => a - b);
+                break;
+            case 'FheMul':
+                this._evaluateBinary(args, (a, b) => a * b);
+                break;
+            case 'FheIfThenElse':
+                this._evaluate(result, [args.control, args.ifTrue, args.ifFalse],
+                    ([control, ifTrue, ifFalse]) => (control ? ifTrue : ifFalse));
+                break;
+        }
+    }
+
+    _evaluateBinary(args, operation) {
+        const isScalar = args.scalarByte === '0x01';
+        const operands = isScalar ? [args.lhs] : [args.lhs, args.rhs];
+
+        this._evaluate(args.result, operands, ([lhs, rhs]) =>
+            operation(lhs, isScalar ? BigInt(args.rhs) : rhs));
+    }
+
+    _evaluate(result, operands, operation) {
+        const values = operands.map((handle) => this.plaintexts.get(handle.toLowerCase()));
+
+        // An operand derived from an unregistered input leaves the result unknown too
+        if (values.some((value) => value === undefined)) {
+            return;
+        }
+
+        this._set(result, operation(values));
+    }
+
+    _set(handle, value) {
+        const type = Number((BigInt(handle) >> 8n) & 0xffn);
+        const bits = TYPE_BITS[type] || 256n;
+
+        // FHE arithmetic wraps at the ciphertext width
+        this.plaintexts.set(handle.toLowerCase(), BigInt.asUintN(Number(bits), BigInt(value)));
+    }
+}
+
+// Built-in backends by kms.type
+const DECRYPTOR_TYPES = {
+    local: LocalKmsDecryptor
+};
+
+/**
+ * Build the decryption backend the kms config selects
+ * @param {object} options kms config: { type = 'local', module, ...backend options }
+ */
+function createDecryptor(provider, options = {}) {
+    if (options.module) {
+        const Backend = require(options.module);
+        return new Backend(provider, options);
+    }
+
+    const type = options.type || 'local';
+    if (!Object.hasOwn(DECRYPTOR_TYPES, type)) {
+        throw new Error(`Unknown decryptor type: ${type} (kms.type is one of ${Object.keys(DECRYPTOR_TYPES).join(', ')})`);
+    }
+    return new DECRYPTOR_TYPES[type](provider, options);
+}
+
+module.exports = {
+    Decryptor,
+    LocalKmsDecryptor,
+    DECRYPTOR_TYPES,
+    createDecryptor,
+    extractCiphertextHandles
+};
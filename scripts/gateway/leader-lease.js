@@ -0,0 +1,287 @@
+/**
+ * @title Gateway Leader Lease
+ * @notice Active/standby leader election for gateway instances
+ * @dev Instances compete for a renewable lease. The holder is the leader and is
+ *      the only instance that submits transactions; the others keep following
+ *      the chain and take over once the lease expires, within ttl + renewInterval.
+ *      The file lease relies on the instances' clocks agreeing to well within ttl.
+ *
+ *      A leader paused past its expiry (GC, a suspended VM) may wake up after
+ *      another instance took over. The lease term fences it out: checkTerm()
+ *      re-reads the lease and is called right before each transaction and each
+ *      shared audit journal append. State journals are not shared at all; every
+ *      instance follows the chain itself and keeps its own stateDir (enforced in
+ *      createGateway).
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const { Logger } = require('./logger');
+
+/**
+ * Base class for lease backends
+ */
+class Lease {
+    /**
+     * Take or renew the lease
+     * @returns {object} { acquired, lease } or { busy: true } if the backend could not decide now
+     */
+    tryAcquire(holder, ttl) {
+        throw new Error('Lease.tryAcquire() not implemented');
+    }
+
+    /**
+     * Give the lease up if `holder` still has it
+     */
+    release(holder) {
+        throw new Error('Lease.release() not implemented');
+    }
+
+    /**
+     * Current lease, or null if nobody holds one
+     */
+    read() {
+        throw new Error('Lease.read() not implemented');
+    }
+}
+
+/**
+ * Lease stored as a JSON file on a filesystem every instance can reach
+ * @dev Read-modify-write cycles are serialised by an O_EXCL lock file. A lock
+ *      left behind by a crashed process is broken after staleLockMs.
+ */
+class FileLease extends Lease {
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.staleLockMs = options.staleLockMs || 10000;
+    }
+
+    tryAcquire(holder, ttl) {
+        return this._withLock(() => {
+            const current = this.read();
+            const now = Date.now();
+
+            if (current && current.holder !== holder && current.expiresAt > now) {
+                return { acquired: false, lease: current };
+            }
+
+            // The term increases on every change of holder and fences out stale leaders
+            const renewing = current && current.holder === holder;
+            const lease = {
+                holder,
+                term: renewing ? current.term : ((current && current.term) || 0) + 1,
+                acquiredAt: renewing ? current.acquiredAt : now,
+                expiresAt: now + ttl
+            };
+
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(lease));
+            fs.renameSync(tmpPath, this.filePath);
+
+            return { acquired: true, lease };
+        });
+    }
+
+    release(holder) {
+        return this._withLock(() => {
+            const current = this.read();
+            if (current && current.holder === holder) {
+                fs.unlinkSync(this.filePath);
+            }
+            return { released: true };
+        });
+    }
+
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    _withLock(fn) {
+        let fd;
+        try {
+            fd = fs.openSync(this.lockPath, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            this._breakStaleLock();
+            return { busy: true };
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.closeSync(fd);
+            fs.unlinkSync(this.lockPath);
+        }
+    }
+
+    _breakStaleLock() {
+        try {
+            if (Date.now() - fs.statSync(this.lockPath).mtimeMs > this.staleLockMs) {
+                fs.unlinkSync(this.lockPath);
+            }
+        } catch (error) {
+            // Released or broken by another instance in the meantime
+        }
+    }
+}
+
+/**
+ * Keeps trying to hold a lease and reports leadership changes
+ * @dev Emits 'elected' (lease) and 'demoted' (reason)
+ */
+class LeaderElector extends EventEmitter {
+    constructor(lease, options = {}) {
+        super();
+        this.lease = lease;
+        this.holderId = options.holderId || `${os.hostname()}:${process.pid}`;
+        this.ttl = options.ttl || 30000;
+        this.renewInterval = options.renewInterval || Math.floor(this.ttl / 3);
+        this.logger = (options.logger || new Logger()).child({ instance: this.holderId });
+
+        this.isLeader = false;
+        this.term = null;
+        this.expiresAt = 0;
+        this.leader = null; // Current holder as last seen
+        this._timer = null;
+    }
+
+    /**
+     * Start competing for the lease (idempotent)
+     */
+    start() {
+        if (this._timer) {
+            return;
+        }
+
+        this._timer = setInterval(() => this._tick(), this.renewInterval);
+        this._tick();
+    }
+
+    /**
+     * Stop competing and release the lease if held (idempotent)
+     */
+    stop() {
+        if (!this._timer) {
+            return;
+        }
+
+        clearInterval(this._timer);
+        this._timer = null;
+
+        if (this.isLeader) {
+            try {
+                this.lease.release(this.holderId);
+            } catch (error) {
+                this.logger.warn('Could not release leader lease', { err: error });
+            }
+            this._demote('Stopped');
+        }
+    }
+
+    /**
+     * Whether the lease is held and has not lapsed since the last renewal
+     * @dev Guards against a leader that stalled past its expiry acting before its next tick
+     */
+    holdsLease() {
+        return this.isLeader && Date.now() < this.expiresAt;
+    }
+
+    /**
+     * Confirm with the lease backend that this instance still holds the lease in its term
+     * @dev holdsLease() trusts the last renewal. This re-reads the lease, so a leader
+     *      replaced while it was paused finds out before acting, and steps down.
+     *      An unreadable lease counts as lost for this call.
+     * @returns {boolean}
+     */
+    checkTerm() {
+        if (!this.holdsLease()) {
+            return false;
+        }
+
+        let current;
+        try {
+            current = this.lease.read();
+        } catch (error) {
+            this.logger.warn('Leader lease check failed', { err: error });
+            return false;
+        }
+
+        if (current && current.holder === this.holderId && current.term === this.term && current.expiresAt > Date.now()) {
+            return true;
+        }
+
+        this.leader = current ? current.holder : null;
+        this._demote(current ? `Lease taken by ${current.holder} in term ${current.term}` : 'Lease released');
+        return false;
+    }
+
+    /**
+     * Leadership summary for status output
+     */
+    status() {
+        return {
+            instance: this.holderId,
+            role: this.isLeader ? 'leader' : 'standby',
+            leader: this.isLeader ? this.holderId : this.leader,
+            term: this.term,
+            expiresAt: this.isLeader ? this.expiresAt : undefined
+        };
+    }
+
+    _tick() {
+        let result;
+        try {
+            result = this.lease.tryAcquire(this.holderId, this.ttl);
+        } catch (error) {
+            this.logger.warn('Leader lease check failed', { err: error });
+            result = { busy: true };
+        }
+
+        if (result.busy) {
+            // Without a renewal the lease may lapse before the next tick: stop acting as leader
+            if (this.isLeader && Date.now() + this.renewInterval >= this.expiresAt) {
+                this._demote('Lease renewal failed');
+            }
+            return;
+        }
+
+        if (result.acquired) {
+            this.expiresAt = result.lease.expiresAt;
+            this.term = result.lease.term;
+            this.leader = this.holderId;
+
+            if (!this.isLeader) {
+                this.isLeader = true;
+                this.logger.info('Elected leader', { term: this.term });
+                this.emit('elected', result.lease);
+            }
+            return;
+        }
+
+        this.leader = result.lease.holder;
+        this.term = result.lease.term;
+        if (this.isLeader) {
+            this._demote(`Lease taken by ${result.lease.holder}`);
+        }
+    }
+
+    _demote(reason) {
+        this.isLeader = false;
+        this.logger.warn('Stepped down as leader', { reason });
+        this.emit('demoted', reason);
+    }
+}
+
+module.exports = {
+    Lease,
+    FileLease,
+    LeaderElector
+};
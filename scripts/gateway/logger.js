@@ -0,0 +1,102 @@
+/**
+ * @title Gateway Logger
+ * @notice Levelled structured logger for the gateway
+ * @dev Writes one JSON object per line by default, or a human-readable line
+ *      in pretty mode. Child loggers carry bound fields (contract, requestId,
+ *      contractId) so every line about a request can be correlated.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * JSON replacer for values JSON.stringify cannot encode on its own
+ */
+function serialize(key, value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value instanceof Error) {
+        return { message: value.message, code: value.code, stack: value.stack };
+    }
+    return value;
+}
+
+class Logger {
+    /**
+     * @param {object} options { level = 'info', format = 'json' | 'pretty', fields, stream }
+     */
+    constructor(options = {}) {
+        this.level = options.level || 'info';
+        this.format = options.format || 'json';
+        this.fields = options.fields || {};
+        this.stream = options.stream || process.stdout;
+
+        if (!(this.level in LEVELS)) {
+            throw new Error(`Unknown log level: ${this.level}`);
+        }
+        if (this.format !== 'json' && this.format !== 'pretty') {
+            throw new Error(`Unknown log format: ${this.format}`);
+        }
+    }
+
+    /**
+     * Logger that adds fields to every line
+     */
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            stream: this.stream,
+            fields: { ...this.fields, ...fields }
+        });
+    }
+
+    debug(message, fields) {
+        this._write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this._write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this._write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this._write('error', message, fields);
+    }
+
+    _write(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const record = { time: new Date().toISOString(), level, msg: message };
+        for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+            if (value !== undefined && value !== null) {
+                record[key] = value;
+            }
+        }
+
+        const line = this.format === 'json' ? JSON.stringify(record, serialize) : this._pretty(record);
+        this.stream.write(line + '\n');
+    }
+
+    _pretty({ time, level, msg, ...fields }) {
+        const pairs = Object.entries(fields).map(([key, value]) => {
+            if (value instanceof Error) {
+                return `${key}="${value.message}"`;
+            }
+            const text = typeof value === 'object' ? JSON.stringify(value, serialize) : String(value);
+            return /\s/.test(text) ? `${key}="${text}"` : `${key}=${text}`;
+        });
+
+        return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+    }
+}
+
+module.exports = {
+    Logger,
+    LEVELS
+};
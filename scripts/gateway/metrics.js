@@ -0,0 +1,223 @@
+/**
+ * @title Gateway Metrics
+ * @notice Minimal Prometheus metrics registry for the gateway
+ * @dev Supports counters, gauges and histograms with labels and renders the
+ *      Prometheus text exposition format. Registering a name twice returns the
+ *      existing metric so several services can share one registry.
+ */
+
+/**
+ * Render a label set as {a="1",b="2"}
+ */
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (keys.length === 0) {
+        return '';
+    }
+
+    const pairs = keys.map((key) => {
+        const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${key}="${value}"`;
+    });
+    return `{${pairs.join(',')}}`;
+}
+
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    _key(labels = {}) {
+        for (const key of Object.keys(labels)) {
+            if (!this.labelNames.includes(key)) {
+                throw new Error(`Unknown label "${key}" for metric ${this.name}`);
+            }
+        }
+        return JSON.stringify(this.labelNames.map((name) => labels[name] ?? ''));
+    }
+
+    _labels(key) {
+        const values = JSON.parse(key);
+        const labels = {};
+        this.labelNames.forEach((name, i) => {
+            if (values[i] !== '') labels[name] = values[i];
+        });
+        return labels;
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this._key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    /**
+     * Sum of the series matching every given label
+     */
+    total(labels = {}) {
+        let sum = 0;
+        for (const [key, value] of this.values.entries()) {
+            const series = this._labels(key);
+            if (Object.keys(labels).every((name) => series[name] === labels[name])) {
+                sum += value;
+            }
+        }
+        return sum;
+    }
+
+    lines() {
+        return Array.from(this.values.entries()).map(([key, value]) =>
+            `${this.name}${formatLabels(this._labels(key))} ${value}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, labelNames);
+        this.collectors = [];
+    }
+
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels = {}, value) {
+        this.values.set(this._key(labels), value);
+    }
+
+    /**
+     * Register a callback run before each scrape to refresh the value
+     */
+    collect(fn) {
+        this.collectors.push(fn);
+    }
+
+    async refresh() {
+        for (const fn of this.collectors) {
+            try {
+                await fn(this);
+            } catch (error) {
+                // A failed collector keeps the previous value rather than breaking the scrape
+            }
+        }
+    }
+
+    lines() {
+        return Array.from(this.values.entries()).map(([key, value]) =>
+            `${this.name}${formatLabels(this._labels(key))} ${value}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    observe(labels = {}, value) {
+        const key = this._key(labels);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Sum and count over the series matching every given label
+     */
+    total(labels = {}) {
+        const result = { sum: 0, count: 0 };
+        for (const [key, series] of this.values.entries()) {
+            const seriesLabels = this._labels(key);
+            if (Object.keys(labels).every((name) => seriesLabels[name] === labels[name])) {
+                result.sum += series.sum;
+                result.count += series.count;
+            }
+        }
+        return result;
+    }
+
+    lines() {
+        const lines = [];
+        for (const [key, series] of this.values.entries()) {
+            const labels = this._labels(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(name, () => new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this._register(name, () => new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(name, () => new Histogram(name, help, labelNames, buckets));
+    }
+
+    _register(name, create) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, create());
+        }
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Render all metrics in Prometheus text format
+     */
+    async render() {
+        const output = [];
+
+        for (const metric of this.metrics.values()) {
+            if (metric.refresh) {
+                await metric.refresh();
+            }
+
+            output.push(`# HELP ${metric.name} ${metric.help}`);
+            output.push(`# TYPE ${metric.name} ${metric.type}`);
+            output.push(...metric.lines());
+        }
+
+        return output.join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,302 @@
+/**
+ * @title Gateway Nonce Manager
+ * @notice Serialises nonces for the gateway wallet, prices its transactions and unsticks slow ones
+ * @dev Gas limits are estimated per transaction plus gasMarginPercent. Fees come
+ *      from getFeeData(), with the priority fee held to maxPriorityFeePerGasCap;
+ *      a transaction whose inclusion fee (base fee plus priority fee) is above
+ *      maxFeePerGasCap is refused with FEE_CAP_EXCEEDED instead of being sent to
+ *      sit in the mempool. Nonces are allocated locally so concurrent callbacks
+ *      never race. A transaction still unmined after stuckTimeout is resubmitted
+ *      with the same nonce and higher fees, never above the caps. One still
+ *      unmined after maxPendingTime, typically because it sits at the cap, is
+ *      given up with TX_STUCK: the caller's retry sees the on-chain outcome if
+ *      it is mined later, and the local nonce is re-read from the chain.
+ */
+
+const ethers = require('ethers');
+const { Logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class NonceManager {
+    constructor(signer, options = {}) {
+        this.signer = signer;
+        this.provider = signer.provider;
+        this.stuckTimeout = options.stuckTimeout || 120000; // 2 minutes before bumping
+        this.pollInterval = options.pollInterval || 4000;
+        this.maxPendingTime = options.maxPendingTime || this.stuckTimeout * 10; // Give up on a transaction after this long
+        this.bumpPercent = BigInt(options.bumpPercent || 15); // Nodes require at least 10%
+        this.maxFeePerGasCap = options.maxFeePerGasCap != null ? BigInt(options.maxFeePerGasCap) : null;
+        this.maxPriorityFeePerGasCap = options.maxPriorityFeePerGasCap != null ? BigInt(options.maxPriorityFeePerGasCap) : null;
+        this.gasMarginPercent = BigInt(options.gasMarginPercent ?? 20);
+        this.logger = options.logger || new Logger();
+
+        this.nextNonce = null;
+        this.feeCapExceeded = null; // { requiredFeePerGas, maxFeePerGasCap, since } while transactions are refused
+        this._lock = Promise.resolve();
+    }
+
+    /**
+     * Forget the local nonce so the next allocation re-reads it from the chain
+     */
+    resync() {
+        this.nextNonce = null;
+    }
+
+    /**
+     * Send a transaction and wait for it, replacing it while it is stuck
+     * @param {object} txRequest Populated transaction without nonce or fees; gasLimit is estimated if absent
+     * @param {object} hooks Optional { onBroadcast(attempt) } called for every broadcast,
+     *                       { beforeBroadcast() } that throws to stop a broadcast (leader fencing)
+     *                       and { logger } to correlate log lines with the caller's request
+     * @returns {Promise<{receipt: object, attempts: object[]}>}
+     */
+    async send(txRequest, hooks = {}) {
+        const log = hooks.logger || this.logger;
+
+        // Price and estimate before taking a nonce, so a refusal leaves no gap
+        const market = await this._marketFees();
+        this._checkFeeCap(market.required);
+        let fees = market.fees;
+
+        if (txRequest.gasLimit == null) {
+            txRequest = { ...txRequest, gasLimit: await this._estimateGas(txRequest) };
+            log.debug('Gas limit estimated', { gasLimit: txRequest.gasLimit, marginPercent: this.gasMarginPercent });
+        }
+
+        if (hooks.beforeBroadcast) {
+            hooks.beforeBroadcast();
+        }
+
+        const nonce = await this._allocateNonce();
+        const attempts = [];
+
+        try {
+            const tx = await this.signer.sendTransaction({ ...txRequest, nonce, ...fees });
+            this._recordAttempt(attempts, tx, nonce, { gasLimit: txRequest.gasLimit, ...fees }, hooks);
+        } catch (error) {
+            // The nonce was never used; re-read it so later transactions do not leave a gap
+            this.resync();
+            throw error;
+        }
+
+        const firstSentAt = Date.now();
+        let lastSentAt = firstSentAt;
+        let consumedPolls = 0;
+
+        while (true) {
+            await sleep(this.pollInterval);
+
+            for (const attempt of attempts) {
+                const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+                if (receipt) {
+                    if (receipt.status === 0) {
+                        const error = new Error(`Transaction ${attempt.hash} reverted`);
+                        error.receipt = receipt;
+                        throw error;
+                    }
+                    return { receipt, attempts };
+                }
+            }
+
+            // A mined nonce with none of our hashes means another transaction took it
+            const minedNonce = await this.provider.getTransactionCount(await this.signer.getAddress(), 'latest');
+            if (minedNonce > nonce) {
+                if (++consumedPolls >= 3) {
+                    throw new Error(`Nonce ${nonce} was consumed by a transaction the gateway did not send`);
+                }
+                continue;
+            }
+
+            if (Date.now() - firstSentAt >= this.maxPendingTime) {
+                throw this._stuckError(nonce, attempts);
+            }
+
+            if (Date.now() - lastSentAt < this.stuckTimeout) {
+                continue;
+            }
+
+            const bumped = await this._bumpFees(fees);
+            lastSentAt = Date.now();
+
+            // A fenced-out leader stops replacing; whoever took over settles the request
+            if (hooks.beforeBroadcast) {
+                hooks.beforeBroadcast();
+            }
+
+            if (!bumped) {
+                log.warn('Transaction stuck at the fee cap', { txHash: attempts[attempts.length - 1].hash, nonce });
+                continue;
+            }
+
+            try {
+                const tx = await this.signer.sendTransaction({ ...txRequest, nonce, ...bumped });
+                fees = bumped;
+                this._recordAttempt(attempts, tx, nonce, { gasLimit: txRequest.gasLimit, ...fees }, hooks);
+                log.info('Replaced stuck transaction', { txHash: tx.hash, replaces: attempts[attempts.length - 2].hash, nonce });
+            } catch (error) {
+                // NONCE_EXPIRED means an earlier attempt was mined; the next poll finds its receipt
+                if (error.code !== 'NONCE_EXPIRED') {
+                    log.warn('Replacement transaction rejected', { nonce, err: error });
+                }
+            }
+        }
+    }
+
+    /**
+     * Give up waiting for a transaction
+     * @dev The last attempt stays in the mempool and may still be mined. Later
+     *      transactions were numbered after it, so the local nonce is re-read
+     *      from the chain in case it was dropped instead.
+     */
+    _stuckError(nonce, attempts) {
+        this.resync();
+
+        const last = attempts[attempts.length - 1];
+        const error = new Error(
+            `Transaction ${last.hash} (nonce ${nonce}) not mined after ${Math.round(this.maxPendingTime / 1000)}s ` +
+            `and ${attempts.length} broadcast(s)`
+        );
+        error.code = 'TX_STUCK';
+        error.nonce = nonce;
+        error.attempts = attempts;
+        return error;
+    }
+
+    _allocateNonce() {
+        const allocate = async () => {
+            if (this.nextNonce === null) {
+                this.nextNonce = await this.provider.getTransactionCount(await this.signer.getAddress(), 'pending');
+            }
+            return this.nextNonce++;
+        };
+
+        const result = this._lock.then(allocate);
+        this._lock = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Estimated gas limit plus the safety margin
+     */
+    async _estimateGas(txRequest) {
+        const estimate = await this.signer.estimateGas(txRequest);
+        return (estimate * (100n + this.gasMarginPercent)) / 100n;
+    }
+
+    _recordAttempt(attempts, tx, nonce, fees, hooks) {
+        const attempt = {
+            hash: tx.hash,
+            nonce,
+            replaces: attempts.length > 0 ? attempts[attempts.length - 1].hash : null,
+            sentAt: Date.now()
+        };
+
+        // Gas and fees are stored as strings so attempts stay JSON-serialisable
+        for (const [key, value] of Object.entries(fees)) {
+            attempt[key] = value.toString();
+        }
+
+        attempts.push(attempt);
+        if (hooks.onBroadcast) {
+            hooks.onBroadcast(attempt);
+        }
+    }
+
+    /**
+     * Current network fees within the caps
+     * @returns {Promise<{fees: object, required: bigint}>} required is the fee per gas
+     *          needed for inclusion now: base fee plus priority fee, or the gas price
+     */
+    async _marketFees() {
+        const feeData = await this.provider.getFeeData();
+
+        if (feeData.maxFeePerGas != null) {
+            const block = await this.provider.getBlock('latest');
+            const maxFeePerGas = this._cap(feeData.maxFeePerGas);
+            let maxPriorityFeePerGas = this._capPriority(feeData.maxPriorityFeePerGas);
+            if (maxPriorityFeePerGas > maxFeePerGas) {
+                maxPriorityFeePerGas = maxFeePerGas;
+            }
+
+            return {
+                fees: { maxFeePerGas, maxPriorityFeePerGas },
+                required: block.baseFeePerGas + maxPriorityFeePerGas
+            };
+        }
+
+        return { fees: { gasPrice: this._cap(feeData.gasPrice) }, required: feeData.gasPrice };
+    }
+
+    /**
+     * Refuse to send while the inclusion fee is above maxFeePerGasCap
+     * @dev Sets feeCapExceeded until a later transaction fits under the cap again
+     */
+    _checkFeeCap(required) {
+        if (this.maxFeePerGasCap === null || required <= this.maxFeePerGasCap) {
+            this.feeCapExceeded = null;
+            return;
+        }
+
+        this.feeCapExceeded = {
+            requiredFeePerGas: required,
+            maxFeePerGasCap: this.maxFeePerGasCap,
+            since: this.feeCapExceeded ? this.feeCapExceeded.since : Date.now()
+        };
+
+        const error = new Error(
+            `Required fee ${ethers.formatUnits(required, 'gwei')} gwei is above the ` +
+            `${ethers.formatUnits(this.maxFeePerGasCap, 'gwei')} gwei cap`
+        );
+        error.code = 'FEE_CAP_EXCEEDED';
+        throw error;
+    }
+
+    /**
+     * Fees for a replacement: at least bumpPercent above the previous ones
+     * @returns {object|null} null if the cap leaves no room to bump
+     */
+    async _bumpFees(previous) {
+        const { fees: market } = await this._marketFees();
+        const bump = (value) => (value * (100n + this.bumpPercent)) / 100n;
+        const max = (a, b) => (a > b ? a : b);
+
+        if (previous.gasPrice != null) {
+            const gasPrice = this._cap(max(bump(previous.gasPrice), market.gasPrice || 0n));
+            return gasPrice > previous.gasPrice ? { gasPrice } : null;
+        }
+
+        const maxFeePerGas = this._cap(max(bump(previous.maxFeePerGas), market.maxFeePerGas || 0n));
+        if (maxFeePerGas <= previous.maxFeePerGas) {
+            return null;
+        }
+
+        let maxPriorityFeePerGas = this._capPriority(max(bump(previous.maxPriorityFeePerGas), market.maxPriorityFeePerGas || 0n));
+        if (maxPriorityFeePerGas > maxFeePerGas) {
+            maxPriorityFeePerGas = maxFeePerGas;
+        }
+
+        // Nodes only accept a replacement that raises both fees
+        if (maxPriorityFeePerGas <= previous.maxPriorityFeePerGas) {
+            return null;
+        }
+
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    _cap(value) {
+        if (this.maxFeePerGasCap !== null && value > this.maxFeePerGasCap) {
+            return this.maxFeePerGasCap;
+        }
+        return value;
+    }
+
+    _capPriority(value) {
+        if (this.maxPriorityFeePerGasCap !== null && value > this.maxPriorityFeePerGasCap) {
+            return this.maxPriorityFeePerGasCap;
+        }
+        return value;
+    }
+}
+
+module.exports = NonceManager;
@@ -0,0 +1,275 @@
+/**
+ * @title Gateway Recorder
+ * @notice Captures what a running gateway sees into a fixture file for replay
+ * @dev Everything the services depend on is recorded at its interface: JSON-RPC
+ *      responses, subscription events and blocks as they are delivered, decryption
+ *      results, committee signatures, callback transactions and the work queue's
+ *      jitter. GatewayReplay (replayer.js) feeds the file back to reproduce an
+ *      incident without a network.
+ *
+ *      The fixture is JSON lines. The first entry describes the gateway when
+ *      recording started (settings and each deployment's journal snapshot); each
+ *      later entry carries `at`, the wall-clock time it was observed. Polling
+ *      adds a few entries per block, so record the window an incident needs
+ *      rather than leaving recording on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+const { serializeState } = require('./state-store');
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * JSON.stringify replacer for values holding bigints
+ */
+function jsonReplacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Lookup key for a recorded call's inputs
+ */
+function fixtureKey(value) {
+    return JSON.stringify(value, jsonReplacer);
+}
+
+/**
+ * Recordable form of an error
+ * @dev JSON-RPC errors keep the node's error object, so a replay can rebuild the
+ *      same ethers error (revert data included) from it
+ */
+function serializeError(error) {
+    if (error.info && error.info.error && error.info.error.code !== undefined) {
+        return { rpc: error.info.error };
+    }
+    return { message: error.message, code: error.code };
+}
+
+class Recorder {
+    /**
+     * @param {string} filePath Fixture file; an existing file is replaced
+     * @param {object} options { logger }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.logger = (options.logger || new Logger()).child({ component: 'recorder' });
+        this.entries = 0;
+        this.fd = null;
+        this._patches = [];
+    }
+
+    /**
+     * Start recording a gateway
+     * @dev Attach after the journal is restored and before start(), so the
+     *      fixture begins from the state the services start with
+     * @param {object} gateway GatewayCluster
+     */
+    async attach(gateway) {
+        if (this.fd !== null) {
+            throw new Error('Recorder is already attached');
+        }
+
+        const [first] = gateway.services;
+        const network = await first.provider.getNetwork();
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, 'w');
+        this._write({
+            type: 'meta',
+            version: FIXTURE_VERSION,
+            chainId: network.chainId,
+            wallet: first.wallet ? await first.wallet.getAddress() : null,
+            settings: {
+                confirmations: first.CONFIRMATIONS,
+                backfillChunkSize: first.BACKFILL_CHUNK_SIZE,
+                queue: {
+                    concurrency: gateway.queue.concurrency,
+                    baseDelay: gateway.queue.baseDelay,
+                    maxDelay: gateway.queue.maxDelay,
+                    jitter: gateway.queue.jitter
+                }
+            },
+            deployments: gateway.services.map((service) => ({
+                name: service.name,
+                address: service.contractAddress,
+                namespace: service.namespace,
+                startBlock: service.START_BLOCK,
+                state: serializeState(service)
+            }))
+        });
+
+        // Provider, decryptor, committee, nonce manager and queue are usually shared; wrap each once
+        const wrapped = new Set();
+        const once = (object, wrap) => {
+            if (object && !wrapped.has(object)) {
+                wrapped.add(object);
+                wrap(object);
+            }
+        };
+
+        once(gateway.queue, (queue) => this._recordRandom(queue));
+        for (const service of gateway.services) {
+            once(service.provider, (provider) => this._recordRpc(provider));
+            once(service.decryptor, (decryptor) => this._recordDecryptions(decryptor));
+            once(service.signingCommittee, (committee) => this._recordSignatures(committee));
+            once(service.nonceManager, (nonceManager) => this._recordTransactions(nonceManager));
+            service.recorder = this;
+        }
+        this._gateway = gateway;
+
+        this.logger.info('Recording gateway', { path: this.filePath });
+    }
+
+    /**
+     * Stop recording and close the fixture
+     */
+    close() {
+        if (this.fd === null) {
+            return;
+        }
+
+        for (const { object, name, own, original } of this._patches.reverse()) {
+            if (own) {
+                object[name] = original;
+            } else {
+                delete object[name];
+            }
+        }
+        this._patches = [];
+        for (const service of this._gateway.services) {
+            service.recorder = null;
+        }
+
+        fs.fsyncSync(this.fd);
+        fs.closeSync(this.fd);
+        this.fd = null;
+        this.logger.info('Recording closed', { path: this.filePath, entries: this.entries });
+    }
+
+    /**
+     * Called by the service for each subscription event it handles
+     */
+    event(service, name, log) {
+        this._write({
+            type: 'event',
+            contract: service.contractAddress,
+            name,
+            log: typeof log.toJSON === 'function' ? log.toJSON() : log
+        });
+    }
+
+    /**
+     * Called by the service for each block from the subscription
+     */
+    block(service, blockNumber) {
+        this._write({ type: 'block', contract: service.contractAddress, blockNumber });
+    }
+
+    _recordRpc(provider) {
+        this._patch(provider, 'send', (send) => async (method, params) => {
+            try {
+                const result = await send(method, params);
+                this._write({ type: 'rpc', method, params, result });
+                return result;
+            } catch (error) {
+                this._write({ type: 'rpc', method, params, error: serializeError(error) });
+                throw error;
+            }
+        });
+    }
+
+    _recordDecryptions(decryptor) {
+        this._patch(decryptor, 'decrypt', (decrypt) => async (handles, context) => {
+            try {
+                const cleartexts = await decrypt(handles, context);
+                this._write({ type: 'decrypt', handles, context, cleartexts });
+                return cleartexts;
+            } catch (error) {
+                this._write({ type: 'decrypt', handles, context, error: serializeError(error) });
+                throw error;
+            }
+        });
+    }
+
+    _recordSignatures(committee) {
+        this._patch(committee, 'sign', (sign) => async (result) => {
+            try {
+                const signatures = await sign(result);
+                this._write({ type: 'sign', result, signatures });
+                return signatures;
+            } catch (error) {
+                this._write({ type: 'sign', result, error: serializeError(error) });
+                throw error;
+            }
+        });
+    }
+
+    _recordTransactions(nonceManager) {
+        this._patch(nonceManager, 'send', (send) => async (txRequest, hooks = {}) => {
+            const attempts = [];
+            const recorded = {
+                type: 'tx',
+                to: txRequest.to,
+                data: txRequest.data,
+                attempts
+            };
+            const onBroadcast = (attempt) => {
+                attempts.push(attempt);
+                if (hooks.onBroadcast) {
+                    hooks.onBroadcast(attempt);
+                }
+            };
+
+            try {
+                const result = await send(txRequest, { ...hooks, onBroadcast });
+                this._write({ ...recorded, receipt: result.receipt.toJSON() });
+                return result;
+            } catch (error) {
+                this._write({ ...recorded, error: serializeError(error) });
+                throw error;
+            }
+        });
+    }
+
+    _recordRandom(queue) {
+        this._patch(queue, 'random', (random) => () => {
+            const value = random();
+            this._write({ type: 'random', value });
+            return value;
+        });
+    }
+
+    /**
+     * Replace a method on one object with a recording wrapper, undone by close()
+     */
+    _patch(object, name, wrap) {
+        const own = Object.prototype.hasOwnProperty.call(object, name);
+        const original = object[name];
+        this._patches.push({ object, name, own, original });
+        object[name] = wrap(original.bind(object));
+    }
+
+    _write(entry) {
+        if (this.fd === null) {
+            return;
+        }
+
+        try {
+            fs.writeSync(this.fd, JSON.stringify({ at: Date.now(), ...entry }, jsonReplacer) + '\n');
+            this.entries++;
+        } catch (error) {
+            // Recording must never take the gateway down; stop and keep what was written
+            this.logger.error('Recording failed, closing the fixture', { err: error });
+            this.close();
+        }
+    }
+}
+
+module.exports = {
+    Recorder,
+    FIXTURE_VERSION,
+    fixtureKey,
+    jsonReplacer
+};
@@ -0,0 +1,467 @@
+/**
+ * @title Gateway Replay
+ * @notice Reproduces a recorded gateway run deterministically, without a network
+ * @dev GatewayReplay rebuilds the recorded deployments from their journal
+ *      snapshots and runs the real GatewayService against the fixture:
+ *        FakeClock              Date.now and timers, advanced to each recorded entry
+ *        ReplayProvider         Answers JSON-RPC from recorded responses
+ *        FakeTransactionSender  Stands in for the nonce manager; returns the recorded
+ *                               outcome of each callback, signs and sends nothing
+ *      Recorded events and blocks are delivered at the time they were seen.
+ *
+ *      A recorded call is answered with its responses in recorded order, but
+ *      never with one older than the latest response recorded by the current
+ *      time: a retry gets the second answer even when the replay reaches it a
+ *      little earlier than the recording did, and a poll after a state change
+ *      sees the new state.
+ */
+
+const ethers = require('ethers');
+const fs = require('fs');
+const GatewayService = require('../gateway-service');
+const { GatewayCluster } = require('./cluster');
+const { Decryptor } = require('./decryptor');
+const { Logger } = require('./logger');
+const { MetricsRegistry } = require('./metrics');
+const { FIXTURE_VERSION, fixtureKey } = require('./recorder');
+const { SigningCommittee } = require('./signing-committee');
+const { MemoryStateStore } = require('./state-store');
+const { WorkQueue } = require('./work-queue');
+
+/**
+ * Read a fixture written by Recorder
+ * @returns {object[]} Entries, the metadata entry first
+ */
+function readFixture(filePath) {
+    const entries = fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Corrupt fixture entry at line ${i + 1} of ${filePath}: ${error.message}`);
+            }
+        });
+
+    const [meta] = entries;
+    if (!meta || meta.type !== 'meta') {
+        throw new Error(`${filePath} is not a gateway recording`);
+    }
+    if (meta.version !== FIXTURE_VERSION) {
+        throw new Error(`Unsupported fixture version ${meta.version} in ${filePath}`);
+    }
+    return entries;
+}
+
+/**
+ * Error recorded by Recorder, rebuilt for the replay
+ */
+function replayError(recorded) {
+    const error = new Error(recorded.message);
+    if (recorded.code !== undefined) {
+        error.code = recorded.code;
+    }
+    return error;
+}
+
+/**
+ * Recorded answers to one kind of call, by input
+ */
+class FixtureIndex {
+    constructor(entries, keyOf) {
+        this.answers = new Map(); // key -> { entries, cursor }
+        for (const entry of entries) {
+            const key = fixtureKey(keyOf(entry));
+            if (!this.answers.has(key)) {
+                this.answers.set(key, { entries: [], cursor: 0 });
+            }
+            this.answers.get(key).entries.push(entry);
+        }
+    }
+
+    /**
+     * Next recorded answer for these inputs, or null if the call was never recorded
+     */
+    answer(input, now) {
+        const answers = this.answers.get(fixtureKey(input));
+        if (!answers) {
+            return null;
+        }
+
+        const { entries } = answers;
+        let latest = -1;
+        while (latest + 1 < entries.length && entries[latest + 1].at <= now) {
+            latest++;
+        }
+
+        const index = Math.min(Math.max(answers.cursor, latest), entries.length - 1);
+        answers.cursor = index + 1;
+        return entries[index];
+    }
+}
+
+/**
+ * Controllable stand-in for Date.now and the global timers
+ * @dev Timers due at the same time run in the order they were created. Pending
+ *      promise chains are settled before and after every timer.
+ */
+class FakeClock {
+    constructor(now = 0) {
+        this.now = now;
+        this._timers = new Map();
+        this._nextId = 1;
+        this._saved = null;
+    }
+
+    /**
+     * Replace Date.now and the global timer functions
+     */
+    install() {
+        this._saved = {
+            now: Date.now,
+            setTimeout: global.setTimeout,
+            clearTimeout: global.clearTimeout,
+            setInterval: global.setInterval,
+            clearInterval: global.clearInterval
+        };
+
+        const clear = (timer) => {
+            if (timer != null) {
+                this._timers.delete(typeof timer === 'object' ? timer.id : timer);
+            }
+        };
+
+        Date.now = () => this.now;
+        global.setTimeout = (fn, delay, ...args) => this._schedule(fn, delay, args, false);
+        global.setInterval = (fn, delay, ...args) => this._schedule(fn, delay, args, true);
+        global.clearTimeout = clear;
+        global.clearInterval = clear;
+        return this;
+    }
+
+    /**
+     * Restore the real clock
+     */
+    uninstall() {
+        if (!this._saved) {
+            return;
+        }
+
+        Date.now = this._saved.now;
+        global.setTimeout = this._saved.setTimeout;
+        global.clearTimeout = this._saved.clearTimeout;
+        global.setInterval = this._saved.setInterval;
+        global.clearInterval = this._saved.clearInterval;
+        this._saved = null;
+    }
+
+    /**
+     * Move the clock forward to `time`, running every timer due on the way
+     */
+    async advanceTo(time) {
+        while (true) {
+            await this._settle();
+
+            let next = null;
+            for (const timer of this._timers.values()) {
+                if (timer.at <= time && (!next || timer.at < next.at)) {
+                    next = timer;
+                }
+            }
+            if (!next) {
+                break;
+            }
+
+            this.now = Math.max(this.now, next.at);
+            if (next.interval) {
+                next.at += next.interval;
+            } else {
+                this._timers.delete(next.id);
+            }
+            next.fn(...next.args);
+        }
+
+        this.now = Math.max(this.now, time);
+    }
+
+    advance(ms) {
+        return this.advanceTo(this.now + ms);
+    }
+
+    _schedule(fn, delay, args, repeat) {
+        const id = this._nextId++;
+        const ms = Math.max(0, Number(delay) || 0);
+        const timer = {
+            id,
+            at: this.now + ms,
+            interval: repeat ? Math.max(1, ms) : null,
+            fn,
+            args,
+            ref() { return this; },
+            unref() { return this; },
+            hasRef() { return true; },
+            [Symbol.toPrimitive]() { return id; }
+        };
+
+        this._timers.set(id, timer);
+        return timer;
+    }
+
+    /**
+     * Let promise chains that wait on nothing but microtasks run to completion
+     */
+    async _settle() {
+        for (let i = 0; i < 5; i++) {
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+    }
+}
+
+/**
+ * JSON-RPC provider answering from a recording
+ * @dev Subscriptions are inert: the replay delivers recorded events and blocks itself
+ */
+class ReplayProvider extends ethers.JsonRpcProvider {
+    constructor(entries, chainId) {
+        const network = ethers.Network.from(BigInt(chainId));
+        super(undefined, network, { staticNetwork: network });
+
+        this.index = new FixtureIndex(entries.filter((entry) => entry.type === 'rpc'), (entry) => [entry.method, entry.params]);
+        this.misses = []; // Calls the recording has no answer for
+    }
+
+    async send(method, params) {
+        const recorded = this.index.answer([method, params], Date.now());
+        if (!recorded) {
+            this.misses.push({ at: Date.now(), method, params });
+            const error = new Error(`No recorded response for ${method}`);
+            error.code = 'REPLAY_MISSING';
+            throw error;
+        }
+
+        if (recorded.error) {
+            if (recorded.error.rpc) {
+                const payload = { id: 1, jsonrpc: '2.0', method, params };
+                throw this.getRpcError(payload, { id: 1, jsonrpc: '2.0', error: recorded.error.rpc });
+            }
+            throw replayError(recorded.error);
+        }
+        return recorded.result;
+    }
+
+    _getSubscriber() {
+        return { start() {}, stop() {}, pause() {}, resume() {} };
+    }
+}
+
+/**
+ * Decryptor returning the recorded cleartexts
+ */
+class FixtureDecryptor extends Decryptor {
+    constructor(entries) {
+        super();
+        this.index = new FixtureIndex(entries.filter((entry) => entry.type === 'decrypt'), (entry) => entry.handles);
+    }
+
+    async decrypt(handles) {
+        const recorded = this.index.answer(handles, Date.now());
+        if (!recorded) {
+            throw new Error(`No recorded decryption for handles ${handles.join(', ')}`);
+        }
+        if (recorded.error) {
+            throw replayError(recorded.error);
+        }
+        return recorded.cleartexts.map(BigInt);
+    }
+}
+
+/**
+ * Signing committee returning the recorded signatures, so callback calldata matches the recording
+ */
+class FixtureSigningCommittee extends SigningCommittee {
+    constructor(entries) {
+        super();
+        this.index = new FixtureIndex(entries.filter((entry) => entry.type === 'sign'), (entry) => entry.result);
+    }
+
+    async sign(result) {
+        const recorded = this.index.answer(result, Date.now());
+        if (!recorded) {
+            throw new Error(`No recorded signatures for request ${result.requestId}`);
+        }
+        if (recorded.error) {
+            throw replayError(recorded.error);
+        }
+        return recorded.signatures;
+    }
+}
+
+/**
+ * Nonce manager stand-in that returns the recorded outcome of each callback
+ * @dev A transaction is matched to an unused recorded one with the same target
+ *      and calldata. The result comes back when the recorded one completed; one
+ *      the recording never sent fails with REPLAY_DIVERGED.
+ */
+class FakeTransactionSender {
+    constructor(entries) {
+        this.recorded = entries.filter((entry) => entry.type === 'tx').map((entry) => ({ ...entry, used: false }));
+        this.sent = []; // Every transaction the replayed gateway asked to send
+        this.feeCapExceeded = null;
+    }
+
+    async send(txRequest, hooks = {}) {
+        const to = ethers.getAddress(txRequest.to);
+        const recorded = this.recorded.find((entry) =>
+            !entry.used && ethers.getAddress(entry.to) === to && entry.data === txRequest.data
+        );
+
+        const sent = { at: Date.now(), to, data: txRequest.data, recorded: Boolean(recorded) };
+        this.sent.push(sent);
+
+        if (!recorded) {
+            const error = new Error(`Transaction to ${to} was not sent in the recording`);
+            error.code = 'REPLAY_DIVERGED';
+            throw error;
+        }
+        recorded.used = true;
+
+        for (const attempt of recorded.attempts) {
+            if (hooks.onBroadcast) {
+                hooks.onBroadcast(attempt);
+            }
+        }
+        sent.hashes = recorded.attempts.map((attempt) => attempt.hash);
+
+        if (recorded.at > Date.now()) {
+            await new Promise((resolve) => setTimeout(resolve, recorded.at - Date.now()));
+        }
+
+        if (recorded.error) {
+            sent.error = recorded.error.message || recorded.error.rpc.message;
+            throw replayError(recorded.error.rpc || recorded.error);
+        }
+
+        const receipt = {
+            ...recorded.receipt,
+            gasUsed: BigInt(recorded.receipt.gasUsed)
+        };
+        return { receipt, attempts: recorded.attempts };
+    }
+}
+
+class GatewayReplay {
+    /**
+     * @param {object[]|string} fixture Entries from readFixture(), or the fixture path
+     * @param {object} options { abi, abiPath, logger }; without an ABI the contract artifact is loaded
+     */
+    constructor(fixture, options = {}) {
+        this.entries = typeof fixture === 'string' ? readFixture(fixture) : fixture;
+        this.abi = options.abi;
+        this.abiPath = options.abiPath;
+        this.logger = options.logger || new Logger();
+    }
+
+    /**
+     * Run the recorded deployments through the fixture
+     * @returns {Promise<object>} { requests, journals, transactions, misses }
+     */
+    async run() {
+        const [meta, ...entries] = this.entries;
+        const { settings } = meta;
+        const clock = new FakeClock(meta.at).install();
+
+        try {
+            const provider = new ReplayProvider(entries, meta.chainId);
+            const randoms = entries.filter((entry) => entry.type === 'random').map((entry) => entry.value);
+            const sender = new FakeTransactionSender(entries);
+
+            const shared = {
+                provider,
+                wallet: meta.wallet ? new ethers.VoidSigner(meta.wallet, provider) : null,
+                logger: this.logger,
+                nonceManager: sender,
+                workQueue: new WorkQueue({ ...settings.queue, random: () => (randoms.length > 0 ? randoms.shift() : 0.5) }),
+                decryptor: new FixtureDecryptor(entries),
+                signingCommittee: new FixtureSigningCommittee(entries),
+                metrics: new MetricsRegistry(),
+                abi: this.abi,
+                abiPath: this.abiPath,
+                confirmations: settings.confirmations,
+                backfillChunkSize: settings.backfillChunkSize
+            };
+
+            const services = meta.deployments.map((deployment) => new GatewayService({
+                ...shared,
+                contractAddress: deployment.address,
+                name: deployment.name,
+                namespace: deployment.namespace,
+                startBlock: deployment.startBlock,
+                stateStore: new MemoryStateStore([{ type: 'snapshot', state: deployment.state, at: meta.at }])
+            }));
+            const gateway = new GatewayCluster(services, { logger: this.logger });
+
+            gateway._restoreState();
+            await gateway.start();
+
+            for (const entry of entries) {
+                await clock.advanceTo(entry.at);
+                this._deliver(gateway, entry);
+            }
+            await clock.advance(0);
+
+            const result = {
+                requests: gateway.listRequests(),
+                journals: Object.fromEntries(services.map((service) => [service.name, service.stateStore.load()])),
+                transactions: sender.sent.map((sent) => this._describe(services, sent)),
+                misses: provider.misses
+            };
+
+            await gateway.stop();
+            return result;
+        } finally {
+            clock.uninstall();
+        }
+    }
+
+    /**
+     * Hand a recorded event or block to the service that saw it
+     * @dev Not awaited, as with a live subscription; the clock settles the handler
+     */
+    _deliver(gateway, entry) {
+        if (entry.type !== 'event' && entry.type !== 'block') {
+            return;
+        }
+
+        const service = gateway._service(entry.contract);
+        const handled = entry.type === 'block'
+            ? service._handleBlock(entry.blockNumber)
+            : service._handleEvent(entry.name, Array.from(service.contract.interface.parseLog(entry.log).args), entry.log);
+
+        Promise.resolve(handled).catch((error) => {
+            service.logger.error('Replayed entry failed', { entry: entry.type, err: error });
+        });
+    }
+
+    _describe(services, sent) {
+        const service = services.find((s) => ethers.getAddress(s.contractAddress) === sent.to);
+        const parsed = service ? service.contract.interface.parseTransaction({ data: sent.data }) : null;
+
+        return {
+            ...sent,
+            contract: service ? service.name : undefined,
+            method: parsed ? parsed.name : undefined,
+            args: parsed ? parsed.args.toArray() : undefined
+        };
+    }
+}
+
+module.exports = {
+    GatewayReplay,
+    FakeClock,
+    ReplayProvider,
+    FakeTransactionSender,
+    FixtureDecryptor,
+    FixtureSigningCommittee,
+    readFixture
+};
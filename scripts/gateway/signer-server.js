@@ -0,0 +1,186 @@
+/**
+ * @title Gateway Signer Server
+ * @notice Holds the gateway wallet key in its own process and signs over HTTP
+ * @dev Serves the remote signing protocol described in signer.js. A bearer token
+ *      and allowedTo, the gateway's contract addresses, are mandatory: only
+ *      transactions to those addresses, and carrying no value, are signed.
+ *      Request bodies are capped at maxBodyBytes. Messages are never signed as
+ *      raw bytes; the server builds the digest itself from one of MESSAGE_TYPES,
+ *      so the token alone does not make it a general signing oracle.
+ *
+ *      GET  /address                   Address of the key
+ *      POST /sign/transaction          Sign an unsigned serialized transaction
+ *      POST /sign/message              Sign a typed gateway payload as an EIP-191 message
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const ethers = require('ethers');
+const { Logger } = require('./logger');
+const { callbackDigest } = require('./signing-committee');
+
+// Largest request body accepted; signing requests are a few hundred bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Payloads /sign/message accepts, by type: digest to sign and the contract it is for
+const MESSAGE_TYPES = {
+    callbackDigest: (payload) => ({ contractAddress: payload.contractAddress, digest: callbackDigest(payload) })
+};
+
+class SignerServer {
+    constructor(wallet, options = {}) {
+        if (!options.token) {
+            throw new Error('The signer server needs a token (signerServer.token)');
+        }
+        if (!options.allowedTo || options.allowedTo.length === 0) {
+            throw new Error('The signer server needs the gateway contract addresses (signerServer.allowedTo)');
+        }
+
+        this.wallet = wallet;
+        this.port = options.port ?? 8546;
+        this.host = options.host || '127.0.0.1';
+        this.token = options.token;
+        this.allowedTo = new Set(options.allowedTo.map((address) => ethers.getAddress(address)));
+        this.maxBodyBytes = options.maxBodyBytes || MAX_BODY_BYTES;
+        this.logger = (options.logger || new Logger()).child({ signer: wallet.address });
+        this.server = null;
+
+        this.routes = [
+            { method: 'GET', path: '/address', handler: () => ({ address: this.wallet.address }) },
+            { method: 'POST', path: '/sign/transaction', handler: (body) => this._signTransaction(body) },
+            { method: 'POST', path: '/sign/message', handler: (body) => this._signMessage(body) }
+        ];
+    }
+
+    /**
+     * Start listening
+     */
+    start() {
+        this.server = http.createServer((req, res) => this._handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.logger.info('Signer server listening', { url: `http://${this.host}:${this.port}` });
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    async _handle(req, res) {
+        const route = this.routes.find((r) => r.method === req.method && r.path === req.url);
+        if (!route) {
+            return this._send(res, 404, { error: 'Not found' });
+        }
+        if (!this._authorized(req)) {
+            return this._send(res, 401, { error: 'Invalid or missing bearer token' });
+        }
+
+        try {
+            const body = req.method === 'POST' ? await this._readBody(req) : {};
+            this._send(res, 200, await route.handler(body));
+        } catch (error) {
+            this.logger.warn('Signing request rejected', { route: route.path, err: error });
+            this._send(res, error.statusCode || 400, { error: error.message });
+        }
+    }
+
+    _signTransaction({ transaction }) {
+        const tx = ethers.Transaction.from(transaction);
+        if (tx.signature) {
+            throw new Error('Transaction is already signed');
+        }
+        if (!tx.to || !this.allowedTo.has(tx.to)) {
+            throw this._forbidden(`Transactions to ${tx.to || 'contract creation'} are not allowed`);
+        }
+        if (tx.value !== 0n) {
+            throw this._forbidden(`Transactions carrying value (${tx.value} wei) are not allowed`);
+        }
+
+        tx.signature = this.wallet.signingKey.sign(tx.unsignedHash);
+        this.logger.info('Transaction signed', { to: tx.to, nonce: tx.nonce, chainId: tx.chainId });
+        return { signedTransaction: tx.serialized };
+    }
+
+    async _signMessage({ payload }) {
+        const build = payload && Object.hasOwn(MESSAGE_TYPES, payload.type) && MESSAGE_TYPES[payload.type];
+        if (!build) {
+            throw new Error(`Unsupported message type: ${payload && payload.type}`);
+        }
+
+        const { contractAddress, digest } = build(payload);
+        if (!this.allowedTo.has(ethers.getAddress(contractAddress))) {
+            throw this._forbidden(`Messages for ${contractAddress} are not allowed`);
+        }
+
+        this.logger.info('Message signed', { type: payload.type, contractAddress });
+        return { signature: await this.wallet.signMessage(ethers.getBytes(digest)) };
+    }
+
+    _forbidden(message) {
+        return this._httpError(403, message);
+    }
+
+    _httpError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    _authorized(req) {
+        const header = req.headers.authorization || '';
+        const expected = Buffer.from(`Bearer ${this.token}`);
+        const actual = Buffer.from(header);
+
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            let size = 0;
+            req.on('data', (chunk) => {
+                // Past the cap the rest is drained unread so the 413 still reaches the client
+                if (size > this.maxBodyBytes) return;
+                size += chunk.length;
+                if (size > this.maxBodyBytes) {
+                    reject(this._httpError(413, `Request body exceeds ${this.maxBodyBytes} bytes`));
+                    return;
+                }
+                data += chunk;
+            });
+            req.on('end', () => {
+                if (size > this.maxBodyBytes) return;
+                try {
+                    resolve(data ? JSON.parse(data) : {});
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    _send(res, status, body) {
+        const payload = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+}
+
+module.exports = SignerServer;
@@ -0,0 +1,237 @@
+/**
+ * @title Gateway Wallet Signer
+ * @notice Loads the key that signs gateway transactions
+ * @dev Three sources, exactly one of which may be configured:
+ *        privateKey    Raw key (GATEWAY_PRIVATE_KEY)
+ *        keystore      Encrypted JSON keystore; the passphrase is read from
+ *                      keystore.passwordFile or prompted for on the terminal
+ *        remoteSigner  A separate process holding the key, reached over the
+ *                      HTTP protocol below (see SignerServer for a reference)
+ *
+ *      Remote signing protocol (JSON bodies, bearer token auth):
+ *        GET  /address              -> { address }
+ *        POST /sign/transaction     { transaction: unsigned serialized tx } -> { signedTransaction }
+ *        POST /sign/message         { payload: { type, ...fields } } -> { signature }
+ *      Message payloads are typed rather than raw bytes; the only type is
+ *      callbackDigest { contractAddress, chainId, requestId, cleartext }, signed
+ *      over its callbackDigest. Every signature is checked locally against the
+ *      signer's address and the request, so a misbehaving signer cannot
+ *      substitute another transaction.
+ */
+
+const ethers = require('ethers');
+const fs = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { callbackDigest } = require('./signing-committee');
+
+/**
+ * Signer that forwards signing requests to a remote signing process
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+    /**
+     * @param {object} options { url, token, address, timeout }; address pins the expected key
+     */
+    constructor(options, provider = null) {
+        super(provider);
+        if (!options || !options.url) {
+            throw new Error('Remote signer needs a url');
+        }
+
+        this.options = options;
+        this.url = options.url.replace(/\/+$/, '');
+        this.token = options.token || '';
+        this.timeout = options.timeout || 10000;
+        this.address = options.address ? ethers.getAddress(options.address) : null;
+    }
+
+    connect(provider) {
+        return new RemoteSigner({ ...this.options, address: this.address || undefined }, provider);
+    }
+
+    async getAddress() {
+        const { address } = await this._request('GET', '/address');
+        const reported = ethers.getAddress(address);
+
+        if (this.address && reported !== this.address) {
+            throw new Error(`Remote signer holds ${reported}, expected ${this.address}`);
+        }
+        this.address = reported;
+        return reported;
+    }
+
+    async signTransaction(txRequest) {
+        const address = this.address || await this.getAddress();
+        const tx = ethers.copyRequest(txRequest);
+
+        const { to, from } = await ethers.resolveProperties({
+            to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+            from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined
+        });
+        if (to != null) tx.to = to;
+        if (from != null) {
+            if (ethers.getAddress(from) !== address) {
+                throw new Error(`Transaction from ${from} cannot be signed by ${address}`);
+            }
+            delete tx.from;
+        }
+
+        const unsigned = ethers.Transaction.from(tx);
+        const { signedTransaction } = await this._request('POST', '/sign/transaction', {
+            transaction: unsigned.unsignedSerialized
+        });
+
+        const signed = ethers.Transaction.from(signedTransaction);
+        if (signed.unsignedHash !== unsigned.unsignedHash || signed.from !== address) {
+            throw new Error('Remote signer returned a signature for a different transaction or key');
+        }
+        return signed.serialized;
+    }
+
+    async signMessage() {
+        throw new Error('Remote signer only signs typed payloads (signCallbackDigest)');
+    }
+
+    /**
+     * Sign a decryption result's callbackDigest
+     * @param {object} result { contractAddress, chainId, requestId, cleartext }
+     */
+    async signCallbackDigest({ contractAddress, chainId, requestId, cleartext }) {
+        const address = this.address || await this.getAddress();
+        const payload = {
+            type: 'callbackDigest',
+            contractAddress,
+            chainId: chainId.toString(),
+            requestId: requestId.toString(),
+            cleartext: cleartext.toString()
+        };
+
+        const { signature } = await this._request('POST', '/sign/message', { payload });
+        if (ethers.verifyMessage(ethers.getBytes(callbackDigest(payload)), signature) !== address) {
+            throw new Error('Remote signer returned a signature from a different key');
+        }
+        return signature;
+    }
+
+    async signTypedData() {
+        throw new Error('Remote signer does not support typed data');
+    }
+
+    async _request(method, route, body) {
+        const response = await fetch(`${this.url}${route}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        let payload;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            payload = {};
+        }
+
+        if (!response.ok) {
+            throw new Error(`Remote signer ${method} ${route} failed (${response.status}): ${payload.error || response.statusText}`);
+        }
+        return payload;
+    }
+}
+
+/**
+ * Ask for a passphrase on the terminal without echoing it
+ */
+function promptPassword(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error('No keystore passwordFile configured and stdin is not a terminal'));
+    }
+
+    let muted = false;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) process.stderr.write(chunk, encoding);
+            callback();
+        }
+    });
+
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+/**
+ * Read a keystore passphrase, without its trailing newline, from a file
+ */
+function readPasswordFile(passwordFile) {
+    try {
+        return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+        throw new Error(`Could not read keystore passwordFile ${passwordFile}: ${error.message}`);
+    }
+}
+
+/**
+ * Decrypt a JSON keystore
+ * @param {object} keystore { path, passwordFile }
+ * @param {object} options { prompt } to replace the terminal prompt
+ */
+async function loadKeystore(keystore, options = {}) {
+    const json = fs.readFileSync(keystore.path, 'utf8');
+    const password = keystore.passwordFile
+        ? readPasswordFile(keystore.passwordFile)
+        : await (options.prompt || promptPassword)(`Passphrase for ${keystore.path}: `);
+
+    try {
+        return await ethers.Wallet.fromEncryptedJson(json, password);
+    } catch (error) {
+        throw new Error(`Could not decrypt keystore ${keystore.path}: ${error.message}`);
+    }
+}
+
+/**
+ * Build the gateway wallet signer from the configuration
+ * @returns {Promise<object|null>} An unconnected signer, or null if none is configured
+ */
+async function loadSigner(config, options = {}) {
+    const sources = [
+        config.privateKey && 'privateKey',
+        config.keystore && config.keystore.path && 'keystore.path',
+        config.remoteSigner && config.remoteSigner.url && 'remoteSigner.url'
+    ].filter(Boolean);
+
+    if (sources.length > 1) {
+        throw new Error(`Configure only one wallet signer, found ${sources.join(', ')}`);
+    }
+
+    switch (sources[0]) {
+        case 'privateKey':
+            return new ethers.Wallet(config.privateKey);
+        case 'keystore.path':
+            return loadKeystore(config.keystore, options);
+        case 'remoteSigner.url': {
+            // Fails fast if the signer is unreachable or holds an unexpected key
+            const signer = new RemoteSigner(config.remoteSigner);
+            await signer.getAddress();
+            return signer;
+        }
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    RemoteSigner,
+    loadSigner,
+    loadKeystore,
+    promptPassword
+};
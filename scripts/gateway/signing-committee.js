@@ -0,0 +1,76 @@
+/**
+ * @title Gateway Signing Committee
+ * @notice Collects threshold signatures over decryption results for gateway callbacks
+ * @dev Signatures cover ThresholdSignerSet.callbackDigest(requestId, cleartext):
+ *      keccak256(abi.encode(contract, chainId, requestId, cleartext)), signed as
+ *      an EIP-191 message. The contract expects them ordered by signer address.
+ */
+
+const ethers = require('ethers');
+
+/**
+ * Digest matching ThresholdSignerSet.callbackDigest
+ */
+function callbackDigest({ contractAddress, chainId, requestId, cleartext }) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ['address', 'uint256', 'uint256', 'uint256'],
+        [contractAddress, chainId, requestId, cleartext]
+    ));
+}
+
+/**
+ * Base class for signing backends
+ */
+class SigningCommittee {
+    /**
+     * Sign a decryption result
+     * @param {object} result { contractAddress, chainId, requestId, cleartext }
+     * @returns {Promise<string[]>} Signatures ordered by ascending signer address
+     */
+    async sign(result) {
+        throw new Error('SigningCommittee.sign() not implemented');
+    }
+}
+
+/**
+ * Stand-in for the key holders' committee that signs with local private keys
+ * @dev Each key plays one committee member. Only `threshold` signatures are
+ *      returned, which is all the contract needs. Keys are checked when signing,
+ *      so commands that never sign work without them.
+ */
+class LocalSigningCommittee extends SigningCommittee {
+    constructor(options = {}) {
+        super();
+        this.wallets = (options.privateKeys || []).map((key) => new ethers.Wallet(key));
+        this.threshold = options.threshold || this.wallets.length;
+    }
+
+    get addresses() {
+        return this.wallets.map((wallet) => wallet.address);
+    }
+
+    async sign(result) {
+        if (this.wallets.length === 0) {
+            throw new Error('No signer keys configured (signers.privateKeys)');
+        }
+        if (this.threshold > this.wallets.length) {
+            throw new Error(`Signer threshold ${this.threshold} exceeds the ${this.wallets.length} configured keys`);
+        }
+
+        const digest = ethers.getBytes(callbackDigest(result));
+        const signed = await Promise.all(this.wallets.slice(0, this.threshold).map(async (wallet) => ({
+            address: wallet.address.toLowerCase(),
+            signature: await wallet.signMessage(digest)
+        })));
+
+        return signed
+            .sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1))
+            .map(({ signature }) => signature);
+    }
+}
+
+module.exports = {
+    SigningCommittee,
+    LocalSigningCommittee,
+    callbackDigest
+};
@@ -0,0 +1,258 @@
+/**
+ * @title Gateway State Store
+ * @notice Durable write-ahead journal for GatewayService request state
+ * @dev Each state transition is appended as one JSON line and fsynced before
+ *      the service moves on, so a crash loses at most the transition in flight.
+ *      Replaying the journal through applyTransition() rebuilds the state maps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an empty gateway state
+ */
+function createState() {
+    return {
+        pendingRequests: new Map(),
+        processedRequests: new Set(),
+        failedRequests: new Map(),
+        requestHistory: new Map(),
+        lastProcessedBlock: null
+    };
+}
+
+/**
+ * Apply a single journal entry to a state object (mutates and returns it)
+ */
+function applyTransition(state, entry) {
+    if (entry.requestId !== undefined) {
+        const history = state.requestHistory.get(entry.requestId) || [];
+        history.push(entry);
+        state.requestHistory.set(entry.requestId, history);
+    }
+
+    switch (entry.type) {
+        case 'snapshot':
+            Object.assign(state, deserializeState(entry.state));
+            break;
+        case 'pending':
+            state.pendingRequests.set(entry.requestId, { ...entry.request });
+            break;
+        case 'updated': {
+            const request = state.pendingRequests.get(entry.requestId);
+            if (request) {
+                Object.assign(request, entry.changes);
+            }
+            break;
+        }
+        case 'processed':
+            state.pendingRequests.delete(entry.requestId);
+            state.failedRequests.delete(entry.requestId);
+            state.processedRequests.add(entry.requestId);
+            break;
+        case 'failed':
+            // Keep the request itself so an operator can requeue it later
+            state.failedRequests.set(entry.requestId, {
+                request: state.pendingRequests.get(entry.requestId) || null,
+                ...entry.failure
+            });
+            state.pendingRequests.delete(entry.requestId);
+            break;
+        case 'requeued':
+            state.failedRequests.delete(entry.requestId);
+            state.pendingRequests.set(entry.requestId, { ...entry.request });
+            break;
+        case 'dropped':
+            state.pendingRequests.delete(entry.requestId);
+            break;
+        case 'checkpoint':
+            state.lastProcessedBlock = entry.block;
+            break;
+        default:
+            // Unknown entries come from newer versions; skip rather than abort replay
+            break;
+    }
+    return state;
+}
+
+/**
+ * Convert state maps into a JSON-safe object
+ * @dev Only open requests keep their history; a processed request is reduced to
+ *      its ID, so snapshots do not grow with every request ever settled
+ */
+function serializeState(state) {
+    const open = (id) => state.pendingRequests.has(id) || state.failedRequests.has(id);
+
+    return {
+        pendingRequests: Array.from(state.pendingRequests.entries()),
+        processedRequests: Array.from(state.processedRequests),
+        failedRequests: Array.from(state.failedRequests.entries()),
+        requestHistory: Array.from(state.requestHistory.entries()).filter(([id]) => open(id)),
+        lastProcessedBlock: state.lastProcessedBlock
+    };
+}
+
+/**
+ * Rebuild state maps from serializeState() output
+ */
+function deserializeState(data) {
+    return {
+        pendingRequests: new Map(data.pendingRequests || []),
+        processedRequests: new Set(data.processedRequests || []),
+        failedRequests: new Map(data.failedRequests || []),
+        requestHistory: new Map(data.requestHistory || []),
+        lastProcessedBlock: data.lastProcessedBlock ?? null
+    };
+}
+
+/**
+ * Base class for pluggable state stores
+ * @dev Implementations must make append() durable before returning
+ */
+class StateStore {
+    /**
+     * Return all persisted entries in order
+     */
+    load() {
+        throw new Error('StateStore.load() not implemented');
+    }
+
+    /**
+     * Durably record one state transition
+     */
+    append(entry) {
+        throw new Error('StateStore.append() not implemented');
+    }
+
+    /**
+     * Replace the persisted history with a single snapshot entry
+     */
+    compact(snapshot) {
+        throw new Error('StateStore.compact() not implemented');
+    }
+
+    /**
+     * Whether enough entries accumulated to warrant compaction
+     */
+    shouldCompact() {
+        return false;
+    }
+
+    close() {}
+}
+
+/**
+ * Append-only JSON-lines journal on the local filesystem
+ */
+class JournalStateStore extends StateStore {
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.compactThreshold = options.compactThreshold || 1000;
+        this.entriesSinceCompaction = 0;
+        this.fd = null;
+    }
+
+    _open() {
+        if (this.fd === null) {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.fd = fs.openSync(this.filePath, 'a');
+        }
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const content = fs.readFileSync(this.filePath, 'utf8');
+        const complete = content.lastIndexOf('\n') + 1;
+
+        // A crash mid-write leaves a torn final line; drop it so new appends start clean
+        if (complete < content.length) {
+            fs.truncateSync(this.filePath, Buffer.byteLength(content.slice(0, complete)));
+        }
+
+        const lines = content.slice(0, complete).split('\n');
+        const entries = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            try {
+                entries.push(JSON.parse(lines[i]));
+            } catch (error) {
+                throw new Error(`Corrupt journal entry at line ${i + 1}: ${error.message}`);
+            }
+        }
+
+        this.entriesSinceCompaction = entries.length;
+        return entries;
+    }
+
+    append(entry) {
+        this._open();
+        const line = JSON.stringify({ ...entry, at: entry.at || Date.now() }) + '\n';
+        fs.writeSync(this.fd, line);
+        fs.fsyncSync(this.fd);
+        this.entriesSinceCompaction++;
+    }
+
+    compact(snapshot) {
+        const tmpPath = `${this.filePath}.tmp`;
+        const line = JSON.stringify({ type: 'snapshot', state: snapshot, at: Date.now() }) + '\n';
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpFd = fs.openSync(tmpPath, 'w');
+        fs.writeSync(tmpFd, line);
+        fs.fsyncSync(tmpFd);
+        fs.closeSync(tmpFd);
+
+        this.close();
+        fs.renameSync(tmpPath, this.filePath);
+        this.entriesSinceCompaction = 1;
+    }
+
+    shouldCompact() {
+        return this.entriesSinceCompaction >= this.compactThreshold;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * In-memory store, for replays and tests that must not touch the filesystem
+ */
+class MemoryStateStore extends StateStore {
+    constructor(entries = []) {
+        super();
+        this.entries = [...entries];
+    }
+
+    load() {
+        return [...this.entries];
+    }
+
+    append(entry) {
+        this.entries.push({ ...entry, at: entry.at || Date.now() });
+    }
+
+    compact(snapshot) {
+        this.entries = [{ type: 'snapshot', state: snapshot, at: Date.now() }];
+    }
+}
+
+module.exports = {
+    StateStore,
+    JournalStateStore,
+    MemoryStateStore,
+    createState,
+    applyTransition,
+    serializeState,
+    deserializeState
+};
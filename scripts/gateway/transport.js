@@ -0,0 +1,427 @@
+/**
+ * @title Gateway RPC Transport
+ * @notice RPC endpoint failover and reconnecting WebSocket subscriptions
+ * @dev FailoverProvider sends every request to one active endpoint and only
+ *      moves to the next best one when a request fails at the transport level
+ *      (network error, timeout, HTTP error). JSON-RPC errors such as reverts are
+ *      answers, not failures. Endpoints are scored from recent request outcomes
+ *      and from periodic probes, which also catch endpoints lagging behind.
+ *
+ *      SubscriptionTransport delivers events over WebSocket when configured and
+ *      falls back to polling the FailoverProvider while the socket is down.
+ *      Whenever the subscription source changes it emits 'reconnected', and
+ *      listeners re-subscribe and backfill the gap.
+ */
+
+const EventEmitter = require('events');
+const ethers = require('ethers');
+const { Logger } = require('./logger');
+
+const SCORE_ALPHA = 0.3; // Weight of the latest outcome in an endpoint's score
+
+/**
+ * Loggable endpoint name; RPC URLs often carry an API key in the path
+ */
+function endpointName(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'invalid-url';
+    }
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * JSON-RPC provider over several endpoints with health scoring and failover
+ * @dev Events are polled with eth_getLogs rather than endpoint-local filters,
+ *      so subscriptions survive a switch of endpoint.
+ */
+class FailoverProvider extends ethers.JsonRpcProvider {
+    /**
+     * @param {string[]} urls RPC endpoints in order of preference
+     * @param {object} options { requestTimeout, probeInterval, maxLagBlocks, minScore,
+     *                           pollingInterval, network, logger, onReconnect(reason) }
+     *                           onReconnect runs after a failover or the end of an outage
+     */
+    constructor(urls, options = {}) {
+        if (!Array.isArray(urls) || urls.filter(Boolean).length === 0) {
+            throw new Error('At least one RPC url is required');
+        }
+
+        // The base class connection is unused: _send picks an endpoint per request
+        super(urls[0], options.network, {
+            polling: true,
+            pollingInterval: options.pollingInterval || 4000
+        });
+
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.probeInterval = options.probeInterval || 15000;
+        this.maxLagBlocks = options.maxLagBlocks ?? 3;
+        this.minScore = options.minScore ?? 0.5;
+        this.logger = (options.logger || new Logger()).child({ component: 'rpc' });
+        this.onReconnect = options.onReconnect || null;
+
+        this.endpoints = urls.filter(Boolean).map((url, priority) => {
+            const request = new ethers.FetchRequest(url);
+            request.timeout = this.requestTimeout;
+            request.setThrottleParams({ maxAttempts: 1 }); // Rate limits fail over instead of stalling
+
+            return {
+                name: endpointName(url),
+                priority,
+                provider: new ethers.JsonRpcProvider(request),
+                score: 1,
+                latencyMs: null,
+                head: null,
+                chainId: null,
+                disabled: null, // Reason the endpoint will never be used, e.g. a chain mismatch
+                lastError: null
+            };
+        });
+
+        this.active = this.endpoints[0];
+        this._outage = false; // Every endpoint failed the last request
+        this._probeTimer = null;
+    }
+
+    /**
+     * Probe endpoints every probeInterval (idempotent)
+     */
+    startProbing() {
+        if (this._probeTimer) {
+            return;
+        }
+
+        this._probeTimer = setInterval(() => {
+            this.probe().catch((error) => this.logger.warn('RPC probe failed', { err: error }));
+        }, this.probeInterval);
+        return this.probe();
+    }
+
+    stopProbing() {
+        clearInterval(this._probeTimer);
+        this._probeTimer = null;
+    }
+
+    destroy() {
+        this.stopProbing();
+        for (const endpoint of this.endpoints) {
+            endpoint.provider.destroy();
+        }
+        super.destroy();
+    }
+
+    /**
+     * Check every endpoint's chain, head and latency
+     * @dev An endpoint on another chain than the first one is disabled for good
+     */
+    async probe() {
+        await Promise.all(this.endpoints.filter((e) => !e.disabled).map(async (endpoint) => {
+            const startedAt = Date.now();
+            try {
+                const [chainId, head] = await Promise.all([
+                    endpoint.chainId === null ? endpoint.provider._send({ id: 1, jsonrpc: '2.0', method: 'eth_chainId', params: [] }) : null,
+                    endpoint.provider._send({ id: 2, jsonrpc: '2.0', method: 'eth_blockNumber', params: [] })
+                ]);
+                if (chainId) {
+                    endpoint.chainId = BigInt(this._result(chainId));
+                }
+                endpoint.head = Number(this._result(head));
+                this._record(endpoint, true, Date.now() - startedAt);
+            } catch (error) {
+                this._record(endpoint, false, null, error);
+            }
+        }));
+
+        const reference = this.endpoints.find((e) => e.chainId !== null);
+        for (const endpoint of this.endpoints) {
+            if (!endpoint.disabled && endpoint.chainId !== null && endpoint.chainId !== reference.chainId) {
+                endpoint.disabled = `Chain ${endpoint.chainId} differs from ${reference.chainId} on ${reference.name}`;
+                this.logger.error('RPC endpoint disabled', { endpoint: endpoint.name, reason: endpoint.disabled });
+            }
+        }
+
+        return this.status();
+    }
+
+    /**
+     * Endpoint health for status output
+     */
+    status() {
+        const bestHead = this._bestHead();
+        return this.endpoints.map((endpoint) => ({
+            endpoint: endpoint.name,
+            active: endpoint === this.active,
+            healthy: this._healthy(endpoint, bestHead),
+            score: Math.round(endpoint.score * 100) / 100,
+            latencyMs: endpoint.latencyMs,
+            head: endpoint.head,
+            lagBlocks: bestHead !== null && endpoint.head !== null ? bestHead - endpoint.head : null,
+            disabled: endpoint.disabled || undefined,
+            lastError: endpoint.lastError || undefined
+        }));
+    }
+
+    async _send(payload) {
+        let lastError;
+
+        for (const endpoint of this._candidates()) {
+            const startedAt = Date.now();
+            try {
+                const result = await endpoint.provider._send(payload);
+                this._record(endpoint, true, Date.now() - startedAt);
+
+                if (endpoint !== this.active) {
+                    const previous = this.active;
+                    this.active = endpoint;
+                    this.logger.warn('RPC failover', { from: previous.name, to: endpoint.name, reason: previous.lastError });
+                    this._reconnected(`Failover from ${previous.name} to ${endpoint.name}`);
+                } else if (this._outage) {
+                    this.logger.info('RPC connectivity restored', { endpoint: endpoint.name });
+                    this._reconnected(`${endpoint.name} recovered`);
+                }
+                this._outage = false;
+                return result;
+            } catch (error) {
+                this._record(endpoint, false, null, error);
+                lastError = error;
+            }
+        }
+
+        if (!this._outage) {
+            this._outage = true;
+            this.logger.error('All RPC endpoints failed', { err: lastError });
+        }
+        throw lastError;
+    }
+
+    _reconnected(reason) {
+        if (this.onReconnect) {
+            this.onReconnect(reason);
+        }
+    }
+
+    /**
+     * Endpoints to try, best first
+     * @dev The active endpoint is kept while healthy, so reads stay consistent.
+     *      Unhealthy endpoints come last rather than not at all, so a full outage
+     *      still recovers on whichever endpoint comes back first.
+     */
+    _candidates() {
+        const bestHead = this._bestHead();
+        const usable = this.endpoints.filter((e) => !e.disabled);
+        const healthy = usable.filter((e) => this._healthy(e, bestHead));
+        const rank = (a, b) => b.score - a.score || a.priority - b.priority;
+
+        const ordered = [
+            ...healthy.filter((e) => e === this.active),
+            ...healthy.filter((e) => e !== this.active).sort(rank),
+            ...usable.filter((e) => !healthy.includes(e)).sort(rank)
+        ];
+        return ordered.length > 0 ? ordered : this.endpoints;
+    }
+
+    _healthy(endpoint, bestHead) {
+        if (endpoint.disabled || endpoint.score < this.minScore) {
+            return false;
+        }
+        return bestHead === null || endpoint.head === null || bestHead - endpoint.head <= this.maxLagBlocks;
+    }
+
+    _bestHead() {
+        const heads = this.endpoints.filter((e) => !e.disabled && e.head !== null).map((e) => e.head);
+        return heads.length > 0 ? Math.max(...heads) : null;
+    }
+
+    _record(endpoint, ok, latencyMs, error) {
+        endpoint.score = endpoint.score * (1 - SCORE_ALPHA) + (ok ? SCORE_ALPHA : 0);
+        if (ok) {
+            endpoint.latencyMs = endpoint.latencyMs === null
+                ? latencyMs
+                : Math.round(endpoint.latencyMs * (1 - SCORE_ALPHA) + latencyMs * SCORE_ALPHA);
+            endpoint.lastError = null;
+        } else {
+            endpoint.lastError = error ? (error.shortMessage || error.message) : 'unknown error';
+        }
+    }
+
+    _result(response) {
+        const [result] = response;
+        if (result.error) {
+            throw new Error(result.error.message);
+        }
+        return result.result;
+    }
+}
+
+/**
+ * Source of chain subscriptions: a reconnecting WebSocket, else polling
+ * @dev Emits 'reconnected' ({ mode, reason }) when subscriptions have to be
+ *      re-established and may have missed events.
+ */
+class SubscriptionTransport extends EventEmitter {
+    /**
+     * @param {object} pollingProvider Provider used while no WebSocket is connected
+     * @param {object} options { wsUrls, reconnectBaseDelay, reconnectMaxDelay, staleTimeout, connectTimeout, logger }
+     */
+    constructor(pollingProvider, options = {}) {
+        super();
+        this.pollingProvider = pollingProvider;
+        this.wsUrls = (options.wsUrls || []).filter(Boolean);
+        this.baseDelay = options.reconnectBaseDelay || 1000;
+        this.maxDelay = options.reconnectMaxDelay || 60000;
+        this.staleTimeout = options.staleTimeout || 120000; // No block for this long means a dead socket
+        this.connectTimeout = options.connectTimeout || 10000;
+        this.logger = (options.logger || new Logger()).child({ component: 'transport' });
+
+        this.socket = null; // Connected WebSocketProvider
+        this._attempt = 0;
+        this._urlIndex = 0;
+        this._reconnectTimer = null;
+        this._staleTimer = null;
+        this._stopped = true;
+    }
+
+    /**
+     * Provider to subscribe on right now
+     */
+    get provider() {
+        return this.socket || this.pollingProvider;
+    }
+
+    get mode() {
+        return this.socket ? 'websocket' : 'polling';
+    }
+
+    /**
+     * Connect the WebSocket, if any is configured (idempotent)
+     */
+    start() {
+        if (!this._stopped) {
+            return;
+        }
+
+        this._stopped = false;
+        if (this.wsUrls.length > 0) {
+            this._connect();
+        }
+    }
+
+    async stop() {
+        this._stopped = true;
+        clearTimeout(this._reconnectTimer);
+        clearInterval(this._staleTimer);
+
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            await this._destroy(socket);
+        }
+    }
+
+    /**
+     * Tell subscribers they may have missed events, e.g. after an RPC failover
+     */
+    reconnected(reason) {
+        this.emit('reconnected', { mode: this.mode, reason });
+    }
+
+    status() {
+        return {
+            mode: this.mode,
+            endpoint: this.socket ? endpointName(this.wsUrls[this._urlIndex % this.wsUrls.length]) : undefined,
+            reconnectAttempts: this._attempt
+        };
+    }
+
+    async _connect() {
+        const url = this.wsUrls[this._urlIndex % this.wsUrls.length];
+        const name = endpointName(url);
+        let socket;
+
+        try {
+            const network = await this.pollingProvider.getNetwork();
+            socket = new ethers.WebSocketProvider(url, network, { staticNetwork: network });
+            // ethers does not handle socket errors; without a listener they crash the process
+            socket.websocket.on('error', (error) => this.logger.debug('WebSocket error', { endpoint: name, err: error }));
+
+            await withTimeout(socket.getBlockNumber(), this.connectTimeout, `WebSocket ${name} did not answer`);
+        } catch (error) {
+            if (socket) {
+                await this._destroy(socket);
+            }
+            this.logger.warn('WebSocket connection failed, polling meanwhile', { endpoint: name, err: error });
+            this._urlIndex++;
+            this._scheduleReconnect();
+            return;
+        }
+
+        if (this._stopped) {
+            await this._destroy(socket);
+            return;
+        }
+
+        this.socket = socket;
+        this._attempt = 0;
+        this._lastBlockAt = Date.now();
+        socket.websocket.on('close', () => this._onLost(socket, 'closed'));
+        socket.on('block', () => {
+            this._lastBlockAt = Date.now();
+        });
+        this._staleTimer = setInterval(() => {
+            if (Date.now() - this._lastBlockAt > this.staleTimeout) {
+                this._onLost(socket, 'stale');
+            }
+        }, Math.min(this.staleTimeout, 30000));
+
+        this.logger.info('WebSocket subscriptions connected', { endpoint: name });
+        this.reconnected('WebSocket connected');
+    }
+
+    _onLost(socket, reason) {
+        if (socket !== this.socket) {
+            return;
+        }
+
+        this.socket = null;
+        clearInterval(this._staleTimer);
+        this._destroy(socket);
+
+        this.logger.warn('WebSocket subscriptions lost, polling until reconnected', { reason });
+        this.reconnected(`WebSocket ${reason}`);
+
+        this._urlIndex++;
+        this._scheduleReconnect();
+    }
+
+    _scheduleReconnect() {
+        if (this._stopped) {
+            return;
+        }
+
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** this._attempt);
+        this._attempt++;
+        this._reconnectTimer = setTimeout(() => this._connect(), delay);
+    }
+
+    async _destroy(socket) {
+        try {
+            await socket.destroy();
+        } catch (error) {
+            // Already closed
+        }
+    }
+}
+
+module.exports = {
+    FailoverProvider,
+    SubscriptionTransport,
+    endpointName
+};
@@ -0,0 +1,259 @@
+/**
+ * @title Gateway Work Queue
+ * @notice Bounded, prioritised queue for request processing
+ * @dev At most `concurrency` jobs run at once. Ready jobs are started in
+ *      priority order: settlements before withdrawals, then oldest first.
+ *      Delayed jobs (retries) become ready after an exponential backoff with
+ *      jitter. One queue is shared by every deployment so the cap applies to
+ *      the gateway wallet as a whole.
+ */
+
+const KIND_PRIORITY = { settlement: 0, withdrawal: 1 };
+
+/**
+ * Default job order: settlements first, then by request age
+ */
+function compareJobs(a, b) {
+    const kind = (KIND_PRIORITY[a.kind] ?? 2) - (KIND_PRIORITY[b.kind] ?? 2);
+    if (kind !== 0) return kind;
+
+    // Chain timestamp when the request has one, otherwise its block
+    const age = (x) => [x.timestamp ?? Infinity, x.blockNumber ?? Infinity, x.enqueuedAt];
+    const [ta, ba, ea] = age(a);
+    const [tb, bb, eb] = age(b);
+    return (ta - tb) || (ba - bb) || (ea - eb);
+}
+
+class WorkQueue {
+    /**
+     * @param {object} options { concurrency, baseDelay, maxDelay, jitter, compare, random }
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 2;
+        this.baseDelay = options.baseDelay || 5000;
+        this.maxDelay = options.maxDelay || 300000;
+        this.jitter = options.jitter ?? 0.5; // Fraction of each delay that is randomised
+        this.compare = options.compare || compareJobs;
+        this.random = options.random || Math.random;
+
+        this.queued = new Map(); // key -> job
+        this.running = new Map(); // key -> job
+        this._timer = null;
+        this._stopped = false;
+        this._draining = false;
+        this._idleWaiters = [];
+    }
+
+    /**
+     * Add a job, or move an already queued one forward
+     * @param {object} job { key, kind, timestamp, blockNumber, run: async () => {} }
+     * @param {number} delay Milliseconds before the job may start
+     * @returns {boolean} false if the job is already running or the queue is draining
+     */
+    enqueue(job, delay = 0) {
+        if (this._draining) {
+            return false;
+        }
+
+        if (this.running.has(job.key)) {
+            // Picked up again once the current run finishes
+            this.running.get(job.key).rerun = delay;
+            return false;
+        }
+
+        const readyAt = Date.now() + delay;
+        const existing = this.queued.get(job.key);
+        if (existing) {
+            existing.readyAt = Math.min(existing.readyAt, readyAt);
+        } else {
+            this.queued.set(job.key, { ...job, readyAt, enqueuedAt: Date.now() });
+        }
+
+        this._pump();
+        return true;
+    }
+
+    /**
+     * Backoff before retry number `attempt` (1-based)
+     */
+    backoff(attempt) {
+        const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** Math.max(0, attempt - 1));
+        return Math.round(exponential * (1 - this.jitter + this.jitter * this.random()));
+    }
+
+    /**
+     * Drop a queued job
+     * @returns {boolean} true if the job was queued
+     */
+    remove(key) {
+        const running = this.running.get(key);
+        if (running) {
+            running.rerun = undefined;
+        }
+
+        const removed = this.queued.delete(key);
+        this._pump();
+        return removed;
+    }
+
+    /**
+     * Drop every queued job matching a predicate
+     */
+    clear(predicate = () => true) {
+        for (const [key, job] of this.queued.entries()) {
+            if (predicate(job)) {
+                this.queued.delete(key);
+            }
+        }
+        for (const job of this.running.values()) {
+            if (predicate(job)) {
+                job.rerun = undefined;
+            }
+        }
+        this._pump();
+    }
+
+    /**
+     * Where a job is in the queue
+     * @returns {object|null} { state: 'running' } or { state: 'queued', position, readyAt }
+     */
+    locate(key) {
+        if (this.running.has(key)) {
+            return { state: 'running' };
+        }
+
+        const job = this.queued.get(key);
+        if (!job) {
+            return null;
+        }
+
+        const position = this._ordered().findIndex((queued) => queued.key === key) + 1;
+        return { state: 'queued', position, readyAt: job.readyAt };
+    }
+
+    /**
+     * Queue contents for status output
+     */
+    snapshot() {
+        const now = Date.now();
+        const describe = ({ key, kind, readyAt }) => ({
+            key,
+            kind,
+            readyInMs: readyAt !== undefined ? Math.max(0, readyAt - now) : undefined
+        });
+
+        return {
+            concurrency: this.concurrency,
+            draining: this._draining,
+            running: Array.from(this.running.values()).map(describe),
+            queued: this._ordered().map(describe)
+        };
+    }
+
+    /**
+     * Resolve once nothing is running or ready to run
+     * @dev Delayed retries are still in the queue afterwards
+     */
+    idle() {
+        if (this._isIdle()) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => this._idleWaiters.push(resolve));
+    }
+
+    /**
+     * Drop queued jobs, refuse new ones and wait for running jobs to finish
+     */
+    drain() {
+        this._draining = true;
+        this.queued.clear();
+        for (const job of this.running.values()) {
+            job.rerun = undefined;
+        }
+
+        clearTimeout(this._timer);
+        this._timer = null;
+        return this.idle();
+    }
+
+    get draining() {
+        return this._draining;
+    }
+
+    /**
+     * Stop starting jobs; running jobs finish on their own
+     */
+    stop() {
+        this._stopped = true;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Queued jobs, ready ones first in priority order, then delayed ones by readyAt
+     */
+    _ordered() {
+        const now = Date.now();
+        const jobs = Array.from(this.queued.values());
+        const ready = jobs.filter((job) => job.readyAt <= now).sort(this.compare);
+        const delayed = jobs.filter((job) => job.readyAt > now).sort((a, b) => a.readyAt - b.readyAt);
+        return [...ready, ...delayed];
+    }
+
+    _pump() {
+        if (!this._stopped && !this._draining) {
+            this._startReady();
+        }
+
+        if (this._isIdle()) {
+            this._idleWaiters.splice(0).forEach((resolve) => resolve());
+        }
+    }
+
+    _startReady() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        const now = Date.now();
+        while (this.running.size < this.concurrency) {
+            const [next] = this._ordered();
+            if (!next || next.readyAt > now) break;
+
+            this.queued.delete(next.key);
+            this._run(next);
+        }
+
+        // Wake up for the earliest delayed job
+        const delays = Array.from(this.queued.values()).map((job) => job.readyAt - now);
+        if (delays.length > 0 && this.running.size < this.concurrency) {
+            this._timer = setTimeout(() => this._pump(), Math.max(0, Math.min(...delays)));
+        }
+    }
+
+    async _run(job) {
+        this.running.set(job.key, job);
+
+        try {
+            await job.run();
+        } catch (error) {
+            // Jobs handle their own failures; never let one stall the queue
+        } finally {
+            this.running.delete(job.key);
+            const { rerun, readyAt, enqueuedAt, ...rest } = job;
+            if (rerun !== undefined) {
+                this.enqueue(rest, rerun);
+            }
+            this._pump();
+        }
+    }
+
+    _isIdle() {
+        const now = Date.now();
+        return this.running.size === 0 && !Array.from(this.queued.values()).some((job) => job.readyAt <= now);
+    }
+}
+
+module.exports = {
+    WorkQueue,
+    compareJobs
+};
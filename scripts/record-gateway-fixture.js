@@ -0,0 +1,112 @@
+/**
+ * @title Gateway Fixture Recorder
+ * @notice Records test/fixtures/gateway-unregistered-signers.jsonl against a local node
+ * @dev Reproduces the incident the replay tests cover: the contract is deployed
+ *      without a signer set, so the gateway's first settlement callback fails its
+ *      dry run; the owner registers the set and the retry settles. Run against a
+ *      `hardhat node`, whose FHEVM mock executor the gateway's LocalKmsDecryptor follows:
+ *
+ *          npx hardhat node
+ *          npx hardhat run scripts/record-gateway-fixture.js --network localhost
+ *
+ *      FIXTURE overrides the output path.
+ */
+
+const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGateway } = require('./gateway/cluster');
+const { Recorder } = require('./gateway/recorder');
+const { Logger } = require('./gateway/logger');
+
+const FIXTURE = process.env.FIXTURE || path.join(__dirname, '..', 'test', 'fixtures', 'gateway-unregistered-signers.jsonl');
+const SETTLEMENT_INTERVAL = 14400;
+const PRICE = 2500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, what, timeoutMs = 60000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await sleep(250);
+    }
+}
+
+async function main() {
+    const { ethers, network } = hre;
+    const [owner, gatewayAccount, signerAccount] = await ethers.getSigners();
+    const { accounts } = hre.config.networks.hardhat;
+    const keyOf = (index) => ethers.HDNodeWallet.fromPhrase(accounts.mnemonic, undefined, `${accounts.path}/${index}`).privateKey;
+
+    // Where the mock executor was deployed, for the decryptor to follow
+    await hre.fhevm.initializeCLIApi();
+    const metadata = await network.provider.send('fhevm_relayer_metadata', []);
+
+    const contract = await ethers.deployContract('ConfidentialFuturesTradingEnhanced', [gatewayAccount.address]);
+    await contract.waitForDeployment();
+
+    await (await contract.createFuturesContract('ETH')).wait();
+    const contractId = (await contract.currentContractId()) - 1n;
+    await (await contract.setContractPrice(contractId, 2000, 1)).wait();
+    await network.provider.send('evm_increaseTime', [SETTLEMENT_INTERVAL]);
+    await network.provider.send('evm_mine', []);
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-fixture-'));
+    const logger = new Logger({ level: process.env.LOG_LEVEL || 'warn', format: 'pretty', stream: process.stderr });
+
+    const gateway = createGateway({
+        rpcUrl: network.config.url,
+        privateKey: keyOf(1),
+        contractAddress: await contract.getAddress(),
+        startBlock,
+        confirmations: 2,
+        stateDir,
+        kms: { executorAddress: metadata.CoprocessorAddress, fromBlock: startBlock },
+        signers: { privateKeys: [keyOf(2)], threshold: 1 },
+        queue: { baseDelay: 4000 },
+        rpc: { pollingInterval: 1000 },
+        transactions: { pollInterval: 1000 },
+        logger
+    });
+    gateway._restoreState();
+
+    const recorder = new Recorder(FIXTURE, { logger });
+    await recorder.attach(gateway);
+    await gateway.start();
+
+    // Confirmations need blocks; the node only mines on transactions
+    const miner = setInterval(() => network.provider.send('evm_mine', []).catch(() => {}), 1000);
+
+    try {
+        const receipt = await (await contract.requestSettlement(contractId, PRICE)).wait();
+        const [event] = await contract.queryFilter(contract.filters.DecryptionRequested(), receipt.blockNumber, receipt.blockNumber);
+        const requestId = event.args.requestId.toString();
+        const [service] = gateway.services;
+
+        await waitFor(() => (service.pendingRequests.get(requestId) || {}).retries > 0, 'the first callback to fail');
+        await (await contract.setSignerSet([signerAccount.address], 1)).wait();
+        await waitFor(() => service.processedRequests.has(requestId), 'the retry to settle');
+
+        // Let the confirmation of the callback be recorded too
+        await sleep(3000);
+    } finally {
+        clearInterval(miner);
+        await gateway.stop();
+        recorder.close();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+
+    logger.info('Fixture recorded', { path: FIXTURE, entries: recorder.entries });
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        process.stderr.write(`${error.stack}\n`);
+        process.exit(1);
+    });
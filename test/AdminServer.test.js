@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const AdminServer = require("../scripts/gateway/admin-server");
+const { Logger } = require("../scripts/gateway/logger");
+
+const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+const TOKEN = "test-token";
+
+// Error the cluster raises for a missing or unknown deployment
+function contractError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Stands in for a GatewayCluster with one pending and one processed request
+function stubGateway() {
+  const requests = {
+    1: { requestId: "1", status: "pending" },
+    2: { requestId: "2", status: "processed" },
+  };
+  return {
+    calls: [],
+    getRequest(requestId, contract) {
+      if (contract === "swaps") {
+        throw contractError("UNKNOWN_CONTRACT", "Unknown contract: swaps");
+      }
+      return requests[requestId] || null;
+    },
+    async retryRequest(requestId, contract) {
+      this.calls.push(["retry", requestId, contract]);
+      if (requestId === "2") {
+        throw new Error("Request 2 was already processed");
+      }
+      return requests[requestId] || null;
+    },
+    cancelRequest(requestId, reason, contract) {
+      this.calls.push(["cancel", requestId, reason, contract]);
+      return requests[requestId]
+        ? { ...requests[requestId], status: "failed", reason }
+        : null;
+    },
+    async replayDeadLetters(requestIds, contract) {
+      this.calls.push(["replay", requestIds, contract]);
+      if (requestIds && !contract) {
+        throw contractError(
+          "CONTRACT_REQUIRED",
+          "Request IDs repeat across deployments"
+        );
+      }
+      return (requestIds || ["1"]).map((requestId) => ({
+        contract: contract || "futures",
+        requestId,
+        result: "replayed",
+      }));
+    },
+  };
+}
+
+describe("AdminServer", function () {
+  let gateway;
+  let server;
+
+  async function call(method, urlPath, { token = TOKEN, body } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`http://127.0.0.1:${server.port}${urlPath}`, {
+      method,
+      headers,
+      body: typeof body === "string" ? body : body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function startServer(options = {}) {
+    server = new AdminServer(gateway, {
+      port: 0,
+      token: TOKEN,
+      logger,
+      ...options,
+    });
+    await server.start();
+  }
+
+  beforeEach(async function () {
+    gateway = stubGateway();
+    await startServer();
+  });
+
+  afterEach(async function () {
+    await server.stop();
+  });
+
+  describe("Authentication", function () {
+    it("should answer 401 to a mutating request without the token", async function () {
+      const missing = await call("POST", "/requests/1/retry", { token: "" });
+      expect(missing.status).to.equal(401);
+      expect(missing.body.error).to.equal("Invalid or missing bearer token");
+
+      const wrong = await call("POST", "/requests/1/cancel", {
+        token: "not-the-token",
+      });
+      expect(wrong.status).to.equal(401);
+
+      expect(gateway.calls).to.deep.equal([]);
+    });
+
+    it("should refuse every mutating request when no token is configured", async function () {
+      await server.stop();
+      await startServer({ token: "" });
+
+      const { status, body } = await call("POST", "/dead-letters/replay", {
+        token: "",
+      });
+      expect(status).to.equal(403);
+      expect(body.error).to.equal("Admin token not configured");
+      expect(gateway.calls).to.deep.equal([]);
+    });
+
+    it("should serve read-only endpoints without the token", async function () {
+      const { status, body } = await call("GET", "/requests/1", { token: "" });
+
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal({ requestId: "1", status: "pending" });
+    });
+  });
+
+  describe("Request operations", function () {
+    it("should retry a request and answer 202", async function () {
+      const { status, body } = await call(
+        "POST",
+        "/requests/1/retry?contract=futures"
+      );
+
+      expect(status).to.equal(202);
+      expect(body.requestId).to.equal("1");
+      expect(gateway.calls).to.deep.equal([["retry", "1", "futures"]]);
+    });
+
+    it("should answer 404 for an unknown request and 409 when it cannot be retried", async function () {
+      expect((await call("POST", "/requests/9/retry")).status).to.equal(404);
+
+      const { status, body } = await call("POST", "/requests/2/retry");
+      expect(status).to.equal(409);
+      expect(body.error).to.equal("Request 2 was already processed");
+    });
+
+    it("should cancel a request with the reason from the body", async function () {
+      const { status, body } = await call("POST", "/requests/1/cancel", {
+        body: { reason: "Duplicate" },
+      });
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ status: "failed", reason: "Duplicate" });
+      expect(gateway.calls).to.deep.equal([
+        ["cancel", "1", "Duplicate", undefined],
+      ]);
+    });
+
+    it("should answer 400 for a body that is not JSON", async function () {
+      const { status } = await call("POST", "/requests/1/cancel", {
+        body: "{not json",
+      });
+
+      expect(status).to.equal(400);
+      expect(gateway.calls).to.deep.equal([]);
+    });
+
+    it("should replay the dead letters listed in the body", async function () {
+      const { status, body } = await call("POST", "/dead-letters/replay", {
+        body: { requestIds: ["1"], contract: "futures" },
+      });
+
+      expect(status).to.equal(202);
+      expect(body.results).to.deep.equal([
+        { contract: "futures", requestId: "1", result: "replayed" },
+      ]);
+      expect(gateway.calls).to.deep.equal([["replay", ["1"], "futures"]]);
+    });
+  });
+
+  describe("Errors", function () {
+    it("should answer 400 when a deployment must be named", async function () {
+      const { status, body } = await call("POST", "/dead-letters/replay", {
+        body: { requestIds: ["1"] },
+      });
+
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Request IDs repeat across deployments");
+    });
+
+    it("should answer 400 for an unknown deployment", async function () {
+      const { status, body } = await call("GET", "/requests/1?contract=swaps");
+
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Unknown contract: swaps");
+    });
+
+    it("should answer 404 for an unknown route", async function () {
+      expect((await call("GET", "/nowhere")).status).to.equal(404);
+      expect((await call("GET", "/requests/1/retry")).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const { expect } = require("chai");
+const http = require("http");
+const ethers = require("ethers");
+const { AlertManager, WebhookSink } = require("../scripts/gateway/alerts");
+const { MetricsRegistry } = require("../scripts/gateway/metrics");
+const { Logger } = require("../scripts/gateway/logger");
+
+const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+const WALLET = "0x00000000000000000000000000000000000000A1";
+const MINUTE = 60000;
+
+// Stands in for a GatewayCluster with one service whose state the tests set
+function stubGateway() {
+  const metrics = new MetricsRegistry();
+  const gateway = {
+    balance: ethers.parseEther("1"),
+    requests: [],
+    leader: true,
+    elector: {
+      holderId: "gateway-a",
+      holdsLease: () => gateway.leader,
+    },
+    services: [
+      {
+        wallet: { address: WALLET },
+        provider: {
+          getBalance: async () => gateway.balance,
+        },
+        nonceManager: { feeCapExceeded: null },
+        counters: {
+          callbacks: metrics.counter("gateway_callbacks_total", "Callbacks", [
+            "contract",
+            "kind",
+            "result",
+          ]),
+        },
+      },
+    ],
+    listRequests: ({ status }) =>
+      gateway.requests.filter((request) => request.status === status),
+  };
+  return gateway;
+}
+
+// Records what the alert manager sends
+function memorySink() {
+  return {
+    name: "memory",
+    sent: [],
+    async send(notification) {
+      this.sent.push(notification);
+    },
+  };
+}
+
+describe("Alerts", function () {
+  let gateway;
+  let sink;
+
+  function manager(rules) {
+    return new AlertManager(gateway, {
+      rules,
+      webhooks: [sink],
+      repeatInterval: 0,
+      logger,
+    });
+  }
+
+  beforeEach(function () {
+    gateway = stubGateway();
+    sink = memorySink();
+  });
+
+  describe("WebhookSink", function () {
+    let server;
+    let received;
+    let status;
+
+    beforeEach(async function () {
+      received = [];
+      status = 200;
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          received.push({
+            method: req.method,
+            url: req.url,
+            headers: req.headers,
+            body: JSON.parse(body),
+          });
+          res.writeHead(status);
+          res.end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    function webhook() {
+      return new WebhookSink({
+        url: `http://127.0.0.1:${server.address().port}/alerts/secret`,
+        headers: { "X-Alert-Source": "gateway" },
+      });
+    }
+
+    it("should POST notifications as JSON and log only the host", async function () {
+      const sinkUnderTest = webhook();
+      await sinkUnderTest.send({ status: "firing", key: "a", value: 5n });
+
+      expect(sinkUnderTest.name).to.equal(`127.0.0.1:${server.address().port}`);
+      expect(received).to.have.length(1);
+      expect(received[0].method).to.equal("POST");
+      expect(received[0].url).to.equal("/alerts/secret");
+      expect(received[0].headers["x-alert-source"]).to.equal("gateway");
+      expect(received[0].body).to.deep.equal({
+        status: "firing",
+        key: "a",
+        value: "5",
+      });
+    });
+
+    it("should retry a notification the receiver refused", async function () {
+      gateway.balance = 0n;
+      const alerts = new AlertManager(gateway, {
+        rules: [{ type: "lowBalance", minBalanceEth: "0.1" }],
+        webhooks: [webhook()],
+        repeatInterval: 0,
+        logger,
+      });
+
+      status = 500;
+      await alerts.evaluate(0);
+      status = 200;
+      await alerts.evaluate(MINUTE);
+      await alerts.evaluate(2 * MINUTE);
+
+      expect(received.map((request) => request.body.status)).to.deep.equal([
+        "firing",
+        "firing",
+      ]);
+    });
+  });
+
+  describe("Rules", function () {
+    it("lowBalance should fire below minBalanceEth", async function () {
+      const alerts = manager([{ type: "lowBalance", minBalanceEth: "0.5" }]);
+
+      await alerts.evaluate(0);
+      expect(sink.sent).to.deep.equal([]);
+
+      gateway.balance = ethers.parseEther("0.2");
+      await alerts.evaluate(MINUTE);
+      expect(sink.sent).to.have.length(1);
+      expect(sink.sent[0].key).to.equal(`lowBalance:${WALLET}`);
+      expect(sink.sent[0].details.balanceEth).to.equal("0.2");
+    });
+
+    it("feeCap should fire while callbacks are refused", async function () {
+      const alerts = manager([{ type: "feeCap", severity: "critical" }]);
+      gateway.services[0].nonceManager.feeCapExceeded = {
+        requiredFeePerGas: 80000000000n,
+        maxFeePerGasCap: 50000000000n,
+        since: 0,
+      };
+
+      await alerts.evaluate(0);
+      expect(sink.sent).to.have.length(1);
+      expect(sink.sent[0].severity).to.equal("critical");
+      expect(sink.sent[0].details).to.include({
+        requiredGwei: "80.0",
+        capGwei: "50.0",
+      });
+    });
+
+    it("stuckRequest should fire for each request pending too long", async function () {
+      const alerts = manager([{ type: "stuckRequest", maxAgeMinutes: 30 }]);
+      gateway.requests = [
+        {
+          contract: "futures",
+          requestId: "1",
+          status: "pending",
+          createdAt: 0,
+        },
+        {
+          contract: "futures",
+          requestId: "2",
+          status: "pending",
+          createdAt: 20 * MINUTE,
+        },
+        {
+          contract: "futures",
+          requestId: "3",
+          status: "processed",
+          createdAt: 0,
+        },
+      ];
+
+      await alerts.evaluate(31 * MINUTE);
+      expect(sink.sent.map((notification) => notification.key)).to.deep.equal([
+        "stuckRequest:futures:1",
+      ]);
+    });
+
+    it("failureRate should fire above maxPercent within the window", async function () {
+      const alerts = manager([
+        {
+          type: "failureRate",
+          maxPercent: 50,
+          windowMinutes: 15,
+          minSamples: 4,
+        },
+      ]);
+      const callbacks = gateway.services[0].counters.callbacks;
+      const labels = { contract: "futures", kind: "settlement" };
+
+      await alerts.evaluate(0);
+      callbacks.inc({ ...labels, result: "failure" }, 3);
+      await alerts.evaluate(MINUTE);
+      expect(sink.sent).to.deep.equal([]); // Below minSamples
+
+      callbacks.inc({ ...labels, result: "success" }, 1);
+      await alerts.evaluate(2 * MINUTE);
+      expect(sink.sent).to.have.length(1);
+      expect(sink.sent[0].details).to.deep.equal({
+        failures: 3,
+        total: 4,
+        ratePercent: 75,
+        maxPercent: 50,
+      });
+
+      // The failures leave the window, so the alert resolves
+      callbacks.inc({ ...labels, result: "success" }, 4);
+      await alerts.evaluate(20 * MINUTE);
+      expect(
+        sink.sent.map((notification) => notification.status)
+      ).to.deep.equal(["firing", "resolved"]);
+    });
+  });
+
+  describe("Notifications", function () {
+    it("should announce a problem once and resolve it once", async function () {
+      const alerts = manager([{ type: "lowBalance", minBalanceEth: "0.5" }]);
+      gateway.balance = 0n;
+
+      await alerts.evaluate(0);
+      await alerts.evaluate(MINUTE);
+      expect(alerts.active()).to.have.length(1);
+
+      gateway.balance = ethers.parseEther("1");
+      await alerts.evaluate(2 * MINUTE);
+      await alerts.evaluate(3 * MINUTE);
+
+      expect(
+        sink.sent.map((notification) => notification.status)
+      ).to.deep.equal(["firing", "resolved"]);
+      expect(sink.sent[1].endsAt).to.equal(new Date(2 * MINUTE).toISOString());
+      expect(alerts.active()).to.deep.equal([]);
+    });
+
+    it("should remind every repeatInterval while a problem lasts", async function () {
+      const alerts = new AlertManager(gateway, {
+        rules: [{ type: "lowBalance", minBalanceEth: "0.5" }],
+        webhooks: [sink],
+        repeatInterval: 10 * MINUTE,
+        logger,
+      });
+      gateway.balance = 0n;
+
+      for (let minute = 0; minute <= 20; minute += 5) {
+        await alerts.evaluate(minute * MINUTE);
+      }
+
+      expect(sink.sent).to.have.length(3);
+    });
+
+    it("should only evaluate on the leader", async function () {
+      const alerts = manager([{ type: "lowBalance", minBalanceEth: "0.5" }]);
+      gateway.balance = 0n;
+      gateway.leader = false;
+
+      await alerts.evaluate(0);
+      expect(sink.sent).to.deep.equal([]);
+      expect(alerts.active()).to.deep.equal([]);
+
+      gateway.leader = true;
+      await alerts.evaluate(MINUTE);
+      expect(sink.sent).to.have.length(1);
+      expect(sink.sent[0].instance).to.equal("gateway-a");
+    });
+  });
+});
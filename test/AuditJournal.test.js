@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  AuditJournal,
+  verifyAuditJournal,
+  hashEntry,
+  GENESIS_HASH,
+} = require("../scripts/gateway/audit-journal");
+const { Logger } = require("../scripts/gateway/logger");
+
+describe("AuditJournal", function () {
+  let dir;
+  let file;
+
+  const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+  function readLines() {
+    return fs.readFileSync(file, "utf8").trim().split("\n");
+  }
+
+  function writeLines(lines) {
+    fs.writeFileSync(file, lines.join("\n") + "\n");
+  }
+
+  // Three decisions about one request
+  function writeJournal() {
+    const journal = new AuditJournal(file, { logger });
+    const request = {
+      contract: "0x01",
+      requestId: "1",
+      txHash: "0xaa",
+      blockNumber: 10,
+    };
+    journal.append("retry", { ...request, retry: 1, error: "KMS unavailable" });
+    journal.append("decrypted", { ...request, cleartext: "2500" });
+    journal.append("callback", {
+      ...request,
+      cleartext: "2500",
+      txHash: "0xbb",
+      blockNumber: 12,
+    });
+    journal.close();
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-audit-"));
+    file = path.join(dir, "audit.jsonl");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Writing", function () {
+    it("should chain each entry to the one before it", function () {
+      writeJournal();
+      const entries = readLines().map((line) => JSON.parse(line));
+
+      expect(entries.map((entry) => entry.seq)).to.deep.equal([1, 2, 3]);
+      expect(entries[0].prevHash).to.equal(GENESIS_HASH);
+      expect(entries[1].prevHash).to.equal(entries[0].hash);
+      expect(entries[2].prevHash).to.equal(entries[1].hash);
+      expect(entries[2].hash).to.equal(hashEntry(entries[2]));
+    });
+
+    it("should record each decision's fields", function () {
+      writeJournal();
+      const [retry, decrypted, callback] = readLines().map((line) =>
+        JSON.parse(line)
+      );
+
+      expect(retry).to.include({
+        type: "retry",
+        requestId: "1",
+        retry: 1,
+        error: "KMS unavailable",
+      });
+      expect(decrypted).to.include({ type: "decrypted", cleartext: "2500" });
+      expect(callback).to.include({
+        type: "callback",
+        txHash: "0xbb",
+        blockNumber: 12,
+      });
+    });
+
+    it("should continue the chain after a restart", function () {
+      writeJournal();
+      const journal = new AuditJournal(file, { logger });
+      const entry = journal.append("retry", { requestId: "2" });
+      journal.close();
+
+      expect(entry.seq).to.equal(4);
+      expect(verifyAuditJournal(file).problems).to.deep.equal([]);
+    });
+
+    it("should write the next entry on its own line after a torn write", function () {
+      writeJournal();
+      fs.appendFileSync(file, '{"seq":4,"type":"ret');
+
+      const journal = new AuditJournal(file, { logger });
+      const entry = journal.append("retry", { requestId: "2" });
+      journal.close();
+
+      expect(entry.seq).to.equal(4);
+      const { entries, problems } = verifyAuditJournal(file);
+      expect(entries).to.have.lengthOf(4);
+      expect(problems).to.deep.equal([
+        { line: 4, seq: undefined, problem: "Unreadable entry" },
+      ]);
+    });
+  });
+
+  describe("Verification", function () {
+    it("should accept an untouched journal", function () {
+      writeJournal();
+      const { entries, problems } = verifyAuditJournal(file);
+
+      expect(entries).to.have.lengthOf(3);
+      expect(problems).to.deep.equal([]);
+    });
+
+    it("should detect an edited entry", function () {
+      writeJournal();
+      const lines = readLines();
+      lines[1] = lines[1].replace('"cleartext":"2500"', '"cleartext":"2600"');
+      writeLines(lines);
+
+      expect(verifyAuditJournal(file).problems).to.deep.equal([
+        {
+          line: 2,
+          seq: 2,
+          problem: "Entry was modified: its hash does not match its contents",
+        },
+      ]);
+    });
+
+    it("should detect an edited entry whose hash was recomputed", function () {
+      writeJournal();
+      const lines = readLines();
+      const edited = { ...JSON.parse(lines[1]), cleartext: "2600" };
+      edited.hash = hashEntry(edited);
+      lines[1] = JSON.stringify(edited);
+      writeLines(lines);
+
+      expect(verifyAuditJournal(file).problems).to.deep.equal([
+        {
+          line: 3,
+          seq: 3,
+          problem: "Chain broken: prevHash does not match the previous entry",
+        },
+      ]);
+    });
+
+    it("should detect a missing entry", function () {
+      writeJournal();
+      const lines = readLines();
+      writeLines([lines[0], lines[2]]);
+
+      expect(verifyAuditJournal(file).problems).to.deep.equal([
+        {
+          line: 2,
+          seq: 3,
+          problem: "Missing entries: expected seq 2, found 3",
+        },
+      ]);
+    });
+
+    it("should detect entries missing from the start", function () {
+      writeJournal();
+      writeLines(readLines().slice(1));
+
+      expect(verifyAuditJournal(file).problems[0].problem).to.equal(
+        "Missing entries: expected seq 1, found 2"
+      );
+    });
+
+    it("should detect reordered entries", function () {
+      writeJournal();
+      const lines = readLines();
+      writeLines([lines[0], lines[2], lines[1]]);
+
+      expect(
+        verifyAuditJournal(file).problems.map(({ problem }) => problem)
+      ).to.deep.equal([
+        "Missing entries: expected seq 2, found 3",
+        "Out of order: seq 2 follows seq 3",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  LocalSigningCommittee,
+} = require("../scripts/gateway/signing-committee");
+
+// Mirrors ConfidentialFuturesTradingEnhanced.RequestStatus
+const STATUS = { PENDING: 0n, FULFILLED: 1n, FAILED: 2n, REFUNDED: 3n };
+
+const PRICE = 2500;
+const SETTLEMENT_INTERVAL = 4 * 3600;
+const DECRYPTION_TIMEOUT = 24 * 3600;
+
+describe("ConfidentialFuturesTradingEnhanced", function () {
+  let contract;
+  let contractAddress;
+  let chainId;
+  let owner;
+  let gateway;
+  let signerWallets;
+
+  function committee(wallets = signerWallets, threshold = 2) {
+    return new LocalSigningCommittee({
+      privateKeys: wallets.map((wallet) => wallet.privateKey),
+      threshold,
+    });
+  }
+
+  function sign(requestId, cleartext, signingCommittee = committee()) {
+    return signingCommittee.sign({
+      contractAddress,
+      chainId,
+      requestId,
+      cleartext,
+    });
+  }
+
+  function callback(requestId, price, signatures) {
+    return contract
+      .connect(gateway)
+      .processSettlementCallback(requestId, price, signatures);
+  }
+
+  async function status(requestId) {
+    return (await contract.decryptionRequests(requestId)).status;
+  }
+
+  // Create and price a futures contract, then request its settlement
+  // Resolves to { contractId, requestId }
+  async function requestSettlement() {
+    await contract.createFuturesContract("ETH");
+    const contractId = (await contract.currentContractId()) - 1n;
+    await contract.setContractPrice(contractId, 2000, 1);
+    await time.increase(SETTLEMENT_INTERVAL);
+
+    const receipt = await (
+      await contract.requestSettlement(contractId, PRICE)
+    ).wait();
+    const [event] = await contract.queryFilter(
+      contract.filters.DecryptionRequested(),
+      receipt.blockNumber,
+      receipt.blockNumber
+    );
+    return { contractId, requestId: event.args.requestId };
+  }
+
+  before(async function () {
+    [owner, gateway] = await ethers.getSigners();
+    signerWallets = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+    chainId = (await ethers.provider.getNetwork()).chainId;
+  });
+
+  beforeEach(async function () {
+    const factory = await ethers.getContractFactory(
+      "ConfidentialFuturesTradingEnhanced"
+    );
+    contract = await factory.connect(owner).deploy(gateway.address);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    await contract.setSignerSet(
+      signerWallets.map((wallet) => wallet.address),
+      2
+    );
+  });
+
+  describe("Settlement callback", function () {
+    it("should settle a price signed by the threshold of signers", async function () {
+      const { contractId, requestId } = await requestSettlement();
+
+      await expect(callback(requestId, PRICE, await sign(requestId, PRICE)))
+        .to.emit(contract, "ContractSettled")
+        .withArgs(contractId, PRICE);
+      expect(await status(requestId)).to.equal(STATUS.FULFILLED);
+    });
+
+    it("should reject a forged price submitted with valid signatures", async function () {
+      const { requestId } = await requestSettlement();
+      const signatures = await sign(requestId, PRICE);
+
+      await expect(
+        callback(requestId, PRICE + 1, signatures)
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+      expect(await status(requestId)).to.equal(STATUS.PENDING);
+    });
+
+    it("should reject a price signed by keys outside the set", async function () {
+      const { requestId } = await requestSettlement();
+      const outsiders = [0, 1].map(() => ethers.Wallet.createRandom());
+
+      await expect(
+        callback(
+          requestId,
+          PRICE,
+          await sign(requestId, PRICE, committee(outsiders))
+        )
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+    });
+  });
+
+  describe("Zero-price callback", function () {
+    it("should reject a zero price without signatures", async function () {
+      const { requestId } = await requestSettlement();
+      await time.increase(DECRYPTION_TIMEOUT);
+
+      await expect(callback(requestId, 0, [])).to.be.revertedWith(
+        "SignerSet: Not enough signatures"
+      );
+      expect(await status(requestId)).to.equal(STATUS.PENDING);
+    });
+
+    it("should reject a zero price carrying the settlement's signatures", async function () {
+      const { requestId } = await requestSettlement();
+      await time.increase(DECRYPTION_TIMEOUT);
+
+      await expect(
+        callback(requestId, 0, await sign(requestId, PRICE))
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+    });
+
+    it("should reject a zero price signed by keys outside the set", async function () {
+      const { requestId } = await requestSettlement();
+      await time.increase(DECRYPTION_TIMEOUT);
+      const outsiders = [0, 1].map(() => ethers.Wallet.createRandom());
+
+      await expect(
+        callback(requestId, 0, await sign(requestId, 0, committee(outsiders)))
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+    });
+
+    it("should refund a signed zero price after the decryption timeout", async function () {
+      const { requestId } = await requestSettlement();
+      await time.increase(DECRYPTION_TIMEOUT);
+
+      await expect(callback(requestId, 0, await sign(requestId, 0)))
+        .to.emit(contract, "DecryptionFailed")
+        .withArgs(requestId, "Gateway provided zero price");
+      expect(await status(requestId)).to.equal(STATUS.REFUNDED);
+    });
+
+    it("should fail a signed zero price before the decryption timeout", async function () {
+      const { requestId } = await requestSettlement();
+
+      await callback(requestId, 0, await sign(requestId, 0));
+      expect(await status(requestId)).to.equal(STATUS.FAILED);
+    });
+  });
+});
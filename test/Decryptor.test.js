@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  LocalKmsDecryptor,
+  createDecryptor,
+} = require("../scripts/gateway/decryptor");
+
+const EXECUTOR = "0x00000000000000000000000000000000000000E1";
+
+describe("Decryptor", function () {
+  const provider = {};
+
+  describe("createDecryptor", function () {
+    it("should default to the local KMS", function () {
+      const decryptor = createDecryptor(provider, {
+        executorAddress: EXECUTOR,
+      });
+
+      expect(decryptor).to.be.an.instanceOf(LocalKmsDecryptor);
+      expect(decryptor.executorAddress).to.equal(EXECUTOR);
+    });
+
+    it("should reject an unknown type", function () {
+      expect(() => createDecryptor(provider, { type: "relayer" })).to.throw(
+        "Unknown decryptor type: relayer"
+      );
+    });
+
+    it("should load a backend from kms.module", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-kms-"));
+      const file = path.join(dir, "fixed-decryptor.js");
+      fs.writeFileSync(
+        file,
+        `module.exports = class {
+          constructor(provider, options) { this.provider = provider; this.options = options; }
+          async decrypt(handles) { return handles.map(() => 42n); }
+        };`
+      );
+
+      try {
+        const decryptor = createDecryptor(provider, {
+          module: file,
+          answer: 42,
+        });
+        expect(decryptor.provider).to.equal(provider);
+        expect(decryptor.options.answer).to.equal(42);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("LocalKmsDecryptor", function () {
+    it("should refuse the zero executor address", function () {
+      expect(
+        () =>
+          new LocalKmsDecryptor(provider, {
+            executorAddress: "0x0000000000000000000000000000000000000000",
+          })
+      ).to.throw("kms.executorAddress is the zero address");
+    });
+  });
+});
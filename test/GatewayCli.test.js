@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AuditJournal } = require("../scripts/gateway/audit-journal");
+const { createGateway } = require("../scripts/gateway/cluster");
+const { loadConfig } = require("../scripts/gateway/config");
+const { Logger } = require("../scripts/gateway/logger");
+
+const ROOT = path.join(__dirname, "..");
+const EXAMPLE_CONFIG = path.join(
+  ROOT,
+  "scripts",
+  "gateway.config.example.json"
+);
+
+describe("Gateway CLI", function () {
+  let stateDir;
+
+  // Run a command with the shipped example config and nothing from the environment
+  function cli(...args) {
+    const output = execFileSync(
+      process.execPath,
+      [
+        path.join(ROOT, "scripts", "gateway-service.js"),
+        ...args,
+        "--config",
+        EXAMPLE_CONFIG,
+      ],
+      {
+        cwd: stateDir,
+        env: {
+          PATH: process.env.PATH,
+          GATEWAY_STATE_DIR: stateDir,
+          GATEWAY_LOG_LEVEL: "error",
+        },
+        encoding: "utf8",
+        timeout: 30000,
+      }
+    );
+    return JSON.parse(output);
+  }
+
+  // Run start with signer keys and return what it printed before failing
+  function failedStart(env = {}) {
+    const key = `0x${"11".repeat(32)}`;
+    try {
+      execFileSync(
+        process.execPath,
+        [
+          path.join(ROOT, "scripts", "gateway-service.js"),
+          "start",
+          "--config",
+          EXAMPLE_CONFIG,
+        ],
+        {
+          cwd: stateDir,
+          env: {
+            PATH: process.env.PATH,
+            GATEWAY_STATE_DIR: stateDir,
+            GATEWAY_PRIVATE_KEY: key,
+            GATEWAY_SIGNER_KEYS: key,
+            ...env,
+          },
+          encoding: "utf8",
+          timeout: 30000,
+        }
+      );
+    } catch (error) {
+      return `${error.stdout}${error.stderr}`;
+    }
+    return expect.fail("start should have failed");
+  }
+
+  beforeEach(function () {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-cli-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  describe("Example config", function () {
+    it("should build a gateway without signer keys", function () {
+      const config = loadConfig({ file: EXAMPLE_CONFIG, env: {} });
+      const gateway = createGateway({
+        ...config,
+        stateDir,
+        abi: [],
+        logger: new Logger({ level: "error" }),
+      });
+
+      expect(gateway.services).to.have.lengthOf(1);
+      gateway.auditJournal.close();
+    });
+
+    it("should run status offline", function () {
+      const summary = cli("status");
+
+      expect(summary.deployments).to.have.lengthOf(1);
+      expect(summary.deployments[0].pending).to.equal(0);
+    });
+
+    it("should run reset-checkpoint offline", function () {
+      const [reset] = cli("reset-checkpoint", "--block", "5");
+
+      expect(reset.checkpoint).to.equal(5);
+      expect(cli("status").deployments[0].checkpoint).to.equal(5);
+    });
+
+    it("should run verify-journal offline", function () {
+      const file = path.join(stateDir, "audit.jsonl");
+      const journal = new AuditJournal(file);
+      journal.append("retry", { requestId: "1", retry: 1 });
+      journal.close();
+
+      const result = cli("verify-journal", file, "--offline");
+
+      expect(result.valid).to.be.true;
+      expect(result.entries).to.equal(1);
+    });
+
+    it("should refuse to start without the executor address", function () {
+      expect(failedStart()).to.contain(
+        "Missing configuration: kms.executorAddress (FHEVM_EXECUTOR_ADDRESS) or kms.module"
+      );
+    });
+
+    it("should refuse to start on a corrupt journal", function () {
+      const journal = path.join(stateDir, ".gateway-journal.jsonl");
+      fs.writeFileSync(
+        journal,
+        '{"type":"checkpoint","block":1}\nnot json\n{"type":"checkpoint","block":2}\n'
+      );
+
+      expect(
+        failedStart({ FHEVM_EXECUTOR_ADDRESS: `0x${"22".repeat(20)}` })
+      ).to.contain("Corrupt journal entry at line 2");
+      expect(fs.readFileSync(journal, "utf8")).to.contain("not json");
+    });
+  });
+});
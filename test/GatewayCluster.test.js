@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { GatewayCluster } = require("../scripts/gateway/cluster");
+const AdminServer = require("../scripts/gateway/admin-server");
+const { Logger } = require("../scripts/gateway/logger");
+
+const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+// Stands in for a GatewayService whose requests are all numbered from 1
+function stubService(name, address) {
+  const requests = {
+    1: { requestId: "1", status: "failed", contract: name },
+  };
+  return {
+    name,
+    contractAddress: address,
+    logger,
+    calls: [],
+    getRequest(requestId) {
+      return requests[requestId] || null;
+    },
+    async retryRequest(requestId) {
+      this.calls.push(["retry", requestId]);
+      return requests[requestId] || null;
+    },
+    cancelRequest(requestId, reason) {
+      this.calls.push(["cancel", requestId, reason]);
+      return requests[requestId] || null;
+    },
+    async replayDeadLetters(requestIds) {
+      this.calls.push(["replay", requestIds]);
+      return (requestIds || Object.keys(requests)).map((requestId) => ({
+        requestId,
+        result: "replayed",
+      }));
+    },
+  };
+}
+
+describe("GatewayCluster", function () {
+  let futures;
+  let options;
+  let cluster;
+
+  beforeEach(function () {
+    futures = stubService(
+      "futures",
+      "0x00000000000000000000000000000000000000F1"
+    );
+    options = stubService(
+      "options",
+      "0x00000000000000000000000000000000000000F2"
+    );
+    cluster = new GatewayCluster([futures, options], { logger });
+  });
+
+  describe("Request operations", function () {
+    it("should refuse a request ID without a contract when IDs repeat", async function () {
+      expect(() => cluster.getRequest("1")).to.throw(
+        "Request IDs repeat across deployments"
+      );
+      expect(() => cluster.cancelRequest("1", "test")).to.throw(
+        "Request IDs repeat across deployments"
+      );
+      try {
+        await cluster.retryRequest("1");
+        expect.fail("retryRequest should have thrown");
+      } catch (error) {
+        expect(error.code).to.equal("CONTRACT_REQUIRED");
+      }
+      expect(futures.calls).to.deep.equal([]);
+      expect(options.calls).to.deep.equal([]);
+    });
+
+    it("should act on the named deployment only", async function () {
+      expect(cluster.getRequest("1", "options").contract).to.equal("options");
+      await cluster.retryRequest(
+        "1",
+        "0x00000000000000000000000000000000000000f2"
+      );
+      cluster.cancelRequest("1", "test", "options");
+
+      expect(futures.calls).to.deep.equal([]);
+      expect(options.calls).to.deep.equal([
+        ["retry", "1"],
+        ["cancel", "1", "test"],
+      ]);
+    });
+
+    it("should reject an unknown contract", function () {
+      expect(() => cluster.getRequest("1", "swaps")).to.throw(
+        "Unknown contract: swaps"
+      );
+    });
+
+    it("should not need a contract with a single deployment", function () {
+      const single = new GatewayCluster([futures], { logger });
+      expect(single.getRequest("1").contract).to.equal("futures");
+    });
+
+    it("should require a contract to replay listed requests", async function () {
+      try {
+        await cluster.replayDeadLetters(["1"]);
+        expect.fail("replayDeadLetters should have thrown");
+      } catch (error) {
+        expect(error.code).to.equal("CONTRACT_REQUIRED");
+      }
+
+      expect(await cluster.replayDeadLetters(["1"], "futures")).to.deep.equal([
+        { contract: "futures", requestId: "1", result: "replayed" },
+      ]);
+      expect(options.calls).to.deep.equal([]);
+    });
+
+    it("should replay every deployment's dead letters, naming each", async function () {
+      expect(await cluster.replayDeadLetters()).to.deep.equal([
+        { contract: "futures", requestId: "1", result: "replayed" },
+        { contract: "options", requestId: "1", result: "replayed" },
+      ]);
+    });
+  });
+
+  describe("Admin API", function () {
+    const TOKEN = "test-token";
+    let server;
+
+    async function call(method, urlPath, body) {
+      const response = await fetch(
+        `http://127.0.0.1:${server.port}${urlPath}`,
+        {
+          method,
+          headers: {
+            Authorization: `Bearer ${TOKEN}`,
+            "Content-Type": "application/json",
+          },
+          body: body && JSON.stringify(body),
+        }
+      );
+      return { status: response.status, body: await response.json() };
+    }
+
+    beforeEach(async function () {
+      server = new AdminServer(cluster, { port: 0, token: TOKEN, logger });
+      await server.start();
+    });
+
+    afterEach(async function () {
+      await server.stop();
+    });
+
+    it("should answer 400 for a request ID without a contract", async function () {
+      const { status, body } = await call("GET", "/requests/1");
+
+      expect(status).to.equal(400);
+      expect(body.error).to.contain("Request IDs repeat across deployments");
+    });
+
+    it("should route request operations to the contract in the query", async function () {
+      const { status, body } = await call(
+        "GET",
+        "/requests/1?contract=options"
+      );
+      expect(status).to.equal(200);
+      expect(body.contract).to.equal("options");
+
+      expect(
+        (await call("POST", "/requests/1/retry?contract=options")).status
+      ).to.equal(202);
+      expect(
+        (
+          await call("POST", "/requests/1/cancel?contract=options", {
+            reason: "test",
+          })
+        ).status
+      ).to.equal(200);
+      expect(futures.calls).to.deep.equal([]);
+    });
+
+    it("should answer 400 for an unknown contract", async function () {
+      expect(
+        (await call("POST", "/requests/1/retry?contract=swaps")).status
+      ).to.equal(400);
+    });
+
+    it("should replay listed dead letters of the contract in the body", async function () {
+      expect(
+        (await call("POST", "/dead-letters/replay", { requestIds: ["1"] }))
+          .status
+      ).to.equal(400);
+
+      const { status, body } = await call("POST", "/dead-letters/replay", {
+        requestIds: ["1"],
+        contract: "futures",
+      });
+      expect(status).to.equal(202);
+      expect(body.results).to.deep.equal([
+        { contract: "futures", requestId: "1", result: "replayed" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const path = require("path");
+const { artifacts } = require("hardhat");
+const {
+  GatewayReplay,
+  FakeClock,
+  readFixture,
+} = require("../scripts/gateway/replayer");
+const { Logger } = require("../scripts/gateway/logger");
+
+// Recorded by scripts/record-gateway-fixture.js against a local node: no signer
+// set was registered when the gateway first called back, so the dry run reverted;
+// the owner registered one before the retry
+const FIXTURE = path.join(
+  __dirname,
+  "fixtures",
+  "gateway-unregistered-signers.jsonl"
+);
+
+describe("GatewayReplay", function () {
+  let abi;
+  let logLines;
+
+  function replay(fixture = FIXTURE) {
+    const stream = { write: (line) => logLines.push(JSON.parse(line)) };
+    return new GatewayReplay(fixture, {
+      abi,
+      logger: new Logger({ level: "debug", stream }),
+    }).run();
+  }
+
+  before(async function () {
+    ({ abi } = await artifacts.readArtifact(
+      "ConfidentialFuturesTradingEnhanced"
+    ));
+  });
+
+  beforeEach(function () {
+    logLines = [];
+  });
+
+  describe("Recorded incident", function () {
+    it("should retry the callback whose dry run reverted", async function () {
+      const { journals } = await replay();
+      const [journal] = Object.values(journals);
+
+      const retry = journal.find(
+        (entry) => entry.type === "updated" && entry.changes.retries === 1
+      );
+      expect(retry).to.exist;
+      expect(retry.changes.attempts[0].error).to.equal(
+        "Dry run of processSettlementCallback reverted: SignerSet: Signer set not configured"
+      );
+
+      const scheduled = logLines.find((line) => line.msg === "Retry scheduled");
+      expect(scheduled.requestId).to.equal("0");
+      expect(scheduled.delayMs).to.equal(2057); // The recorded jitter
+    });
+
+    it("should settle the request with the recorded callback", async function () {
+      const { requests, transactions } = await replay();
+
+      expect(transactions).to.have.lengthOf(1);
+      const [callback] = transactions;
+      expect(callback.recorded).to.be.true;
+      expect(callback.method).to.equal("processSettlementCallback");
+      expect(callback.args[0]).to.equal(0n);
+      expect(callback.args[1]).to.equal(2500n);
+
+      const request = requests.find((r) => r.requestId === "0");
+      expect(request.status).to.equal("processed");
+    });
+
+    it("should answer every RPC call from the recording", async function () {
+      const { misses } = await replay();
+      expect(misses).to.deep.equal([]);
+    });
+  });
+
+  describe("Determinism", function () {
+    it("should produce the same journal on every run", async function () {
+      const first = await replay();
+      const second = await replay();
+
+      expect(second.journals).to.deep.equal(first.journals);
+      expect(second.transactions).to.deep.equal(first.transactions);
+    });
+
+    it("should run on the recorded clock and restore the real one", async function () {
+      const [meta] = readFixture(FIXTURE);
+      const realNow = Date.now;
+      const realSetTimeout = setTimeout;
+
+      const { journals } = await replay();
+      const [journal] = Object.values(journals);
+
+      // Journal times come from the fake clock, which starts when recording did
+      const retry = journal.find(
+        (entry) => entry.type === "updated" && entry.changes.retries === 1
+      );
+      expect(retry.changes.attempts[0].at).to.be.within(
+        meta.at,
+        meta.at + 10000
+      );
+
+      expect(Date.now).to.equal(realNow);
+      expect(setTimeout).to.equal(realSetTimeout);
+    });
+  });
+
+  describe("Divergence", function () {
+    it("should refuse a callback the recording never sent", async function () {
+      const entries = readFixture(FIXTURE).filter(
+        (entry) => entry.type !== "tx"
+      );
+      const { journals, transactions } = await replay(entries);
+      const [journal] = Object.values(journals);
+
+      expect(transactions).to.have.lengthOf(1);
+      expect(transactions[0].recorded).to.be.false;
+
+      const retry = journal.find(
+        (entry) => entry.type === "updated" && entry.changes.retries === 2
+      );
+      expect(retry.changes.attempts[1].error).to.equal(
+        `Transaction to ${transactions[0].to} was not sent in the recording`
+      );
+    });
+  });
+
+  describe("FakeClock", function () {
+    it("should run due timers in time order", async function () {
+      const clock = new FakeClock(1000).install();
+      const fired = [];
+      try {
+        setTimeout(() => fired.push(["b", Date.now()]), 200);
+        setTimeout(() => fired.push(["a", Date.now()]), 100);
+        const interval = setInterval(() => fired.push(["i", Date.now()]), 150);
+        setTimeout(() => clearInterval(interval), 320);
+
+        await clock.advance(500);
+      } finally {
+        clock.uninstall();
+      }
+
+      expect(fired).to.deep.equal([
+        ["a", 1100],
+        ["i", 1150],
+        ["b", 1200],
+        ["i", 1300],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,1225 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, artifacts } = require("hardhat");
+const {
+  mine,
+  time,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const GatewayService = require("../scripts/gateway-service");
+const {
+  LocalSigningCommittee,
+} = require("../scripts/gateway/signing-committee");
+const { Logger } = require("../scripts/gateway/logger");
+const { AlertManager } = require("../scripts/gateway/alerts");
+const AdminServer = require("../scripts/gateway/admin-server");
+const {
+  AuditJournal,
+  verifyAuditJournal,
+  crossCheckSettlements,
+  hashEntry,
+  GENESIS_HASH,
+} = require("../scripts/gateway/audit-journal");
+
+// Mirrors ConfidentialFuturesTradingEnhanced.RequestStatus
+const STATUS = { PENDING: 0n, FULFILLED: 1n, FAILED: 2n, REFUNDED: 3n };
+
+const PRICE = 2500n;
+const SETTLEMENT_INTERVAL = 4 * 3600;
+const DECRYPTION_TIMEOUT = 24 * 3600;
+
+describe("GatewayService", function () {
+  let abi;
+  let owner;
+  let gatewayWallet;
+  let signerWallets;
+  let contract;
+  let contractAddress;
+  let startBlock;
+  let stateDir;
+  let services;
+
+  // Answers with PRICE after failing `failures` times; counts every call
+  function decryptor(failures = 0) {
+    return {
+      calls: [],
+      async decrypt(handles, context) {
+        this.calls.push({ handles, context });
+        if (this.calls.length <= failures) {
+          throw new Error("KMS unavailable");
+        }
+        return [PRICE];
+      },
+    };
+  }
+
+  function createService(options = {}) {
+    const service = new GatewayService({
+      provider: ethers.provider,
+      wallet: gatewayWallet,
+      contractAddress,
+      abi,
+      statePath: path.join(stateDir, "journal.jsonl"),
+      startBlock,
+      confirmations: 1,
+      decryptor: decryptor(),
+      signingCommittee: new LocalSigningCommittee({
+        privateKeys: signerWallets.map((wallet) => wallet.privateKey),
+        threshold: 2,
+      }),
+      queue: { baseDelay: 10, jitter: 0 },
+      transactions: { pollInterval: 10 },
+      logger: new Logger({ level: "error", stream: { write: () => {} } }),
+      ...options,
+    });
+    services.push(service);
+    return service;
+  }
+
+  // Create and price a futures contract that is due for settlement
+  async function dueContract() {
+    await contract.createFuturesContract("ETH");
+    const contractId = (await contract.currentContractId()) - 1n;
+    await contract.setContractPrice(contractId, 2000, 1);
+    await time.increase(SETTLEMENT_INTERVAL);
+    return contractId;
+  }
+
+  // Oracle request ID emitted in a transaction's block
+  async function requestIdIn(receipt) {
+    const [event] = await contract.queryFilter(
+      contract.filters.DecryptionRequested(),
+      receipt.blockNumber,
+      receipt.blockNumber
+    );
+    return event.args.requestId.toString();
+  }
+
+  // Create and price a futures contract, then request its settlement
+  // Resolves to the oracle request ID
+  async function requestSettlement() {
+    const contractId = await dueContract();
+    const receipt = await (
+      await contract.requestSettlement(contractId, PRICE)
+    ).wait();
+    return requestIdIn(receipt);
+  }
+
+  // Request a withdrawal of a credited balance; resolves to the oracle request ID
+  async function requestWithdrawal() {
+    await contract.creditBalance(owner.address, PRICE);
+    const receipt = await (await contract.requestWithdrawal()).wait();
+    const [event] = await contract.queryFilter(
+      contract.filters.WithdrawalRequested(),
+      receipt.blockNumber,
+      receipt.blockNumber
+    );
+    return event.args.requestId.toString();
+  }
+
+  // Pick up new events and run the queue until every retry has been attempted
+  async function sync(service) {
+    await service._backfillEvents();
+    await service._checkConfirmations(await ethers.provider.getBlockNumber());
+
+    const { queue } = service;
+    while (queue.queued.size > 0 || queue.running.size > 0) {
+      await queue.idle();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  }
+
+  before(async function () {
+    ({ abi } = await artifacts.readArtifact(
+      "ConfidentialFuturesTradingEnhanced"
+    ));
+    [owner] = await ethers.getSigners();
+    signerWallets = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+  });
+
+  beforeEach(async function () {
+    gatewayWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await owner.sendTransaction({
+      to: gatewayWallet.address,
+      value: ethers.parseEther("10"),
+    });
+
+    // The mock only adds a way to fund withdrawals
+    const Futures = await ethers.getContractFactory(
+      "ConfidentialFuturesTradingMock"
+    );
+    contract = await Futures.deploy(gatewayWallet.address);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+    startBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+
+    await contract.setSignerSet(
+      signerWallets.map((wallet) => wallet.address),
+      2
+    );
+
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-test-"));
+    services = [];
+  });
+
+  afterEach(async function () {
+    for (const service of services) {
+      await service.stop();
+      if (service.auditJournal) {
+        service.auditJournal.close();
+      }
+    }
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  describe("Settlement callbacks", function () {
+    it("should submit processSettlementCallback from the gateway wallet", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+
+      await sync(service);
+
+      const [processed] = await contract.queryFilter(
+        contract.filters.GatewayCallbackProcessed(requestId)
+      );
+      expect(processed.args.success).to.be.true;
+
+      const tx = await processed.getTransaction();
+      expect(tx.from).to.equal(gatewayWallet.address);
+      expect(contract.interface.parseTransaction(tx).name).to.equal(
+        "processSettlementCallback"
+      );
+
+      const [settled] = await contract.queryFilter(
+        contract.filters.ContractSettled()
+      );
+      expect(settled.args.settlementPrice).to.equal(PRICE);
+
+      const onChain = await contract.decryptionRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.FULFILLED);
+      expect(service.processedRequests.has(requestId)).to.be.true;
+      expect(service.pendingRequests.size).to.equal(0);
+    });
+
+    it("should decrypt the handles the contract submitted to the oracle", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+
+      await sync(service);
+
+      const [call] = service.decryptor.calls;
+      expect(call.handles).to.have.lengthOf(1);
+      expect(call.context.requestId).to.equal(requestId);
+    });
+
+    it("should not act on a request before it is confirmed", async function () {
+      const requestId = await requestSettlement();
+      const service = createService({ confirmations: 3 });
+
+      await sync(service);
+
+      expect(service.pendingRequests.get(requestId).confirmed).to.be.false;
+      expect(service.decryptor.calls).to.have.lengthOf(0);
+
+      await mine(2);
+      await sync(service);
+
+      expect(service.processedRequests.has(requestId)).to.be.true;
+    });
+  });
+
+  describe("Retries", function () {
+    it("should retry a transient failure and then settle", async function () {
+      const requestId = await requestSettlement();
+      const service = createService({ decryptor: decryptor(1) });
+
+      await sync(service);
+
+      expect(service.decryptor.calls).to.have.lengthOf(2);
+      expect(service.processedRequests.has(requestId)).to.be.true;
+
+      const retry = service
+        .getRequest(requestId)
+        .history.find((entry) => entry.changes && entry.changes.retries === 1);
+      expect(retry.changes.attempts[0].error).to.equal("KMS unavailable");
+
+      const onChain = await contract.decryptionRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.FULFILLED);
+    });
+
+    it("should dead-letter a request after MAX_RETRIES", async function () {
+      const requestId = await requestSettlement();
+      const service = createService({ decryptor: decryptor(Infinity) });
+
+      await sync(service);
+
+      // The first attempt plus one per retry
+      expect(service.decryptor.calls).to.have.lengthOf(service.MAX_RETRIES + 1);
+      expect(service.pendingRequests.has(requestId)).to.be.false;
+
+      const failure = service.failedRequests.get(requestId);
+      expect(failure.deadLettered).to.be.true;
+      expect(failure.reason).to.equal("KMS unavailable");
+      expect(failure.attempts).to.have.lengthOf(service.MAX_RETRIES + 1);
+
+      // Nothing was submitted, so the contract still awaits the callback
+      const onChain = await contract.decryptionRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.PENDING);
+    });
+
+    it("should honour a lowered MAX_RETRIES", async function () {
+      const requestId = await requestSettlement();
+      const service = createService({ decryptor: decryptor(Infinity) });
+      service.MAX_RETRIES = 1;
+
+      await sync(service);
+
+      expect(service.decryptor.calls).to.have.lengthOf(2);
+      expect(service.failedRequests.get(requestId).deadLettered).to.be.true;
+    });
+  });
+
+  describe("Timeouts", function () {
+    it("should refund a request past the decryption timeout", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+
+      // Recorded but never confirmed, so it stays pending until it times out
+      await service._backfillEvents();
+      expect(service.pendingRequests.has(requestId)).to.be.true;
+
+      await time.increase(DECRYPTION_TIMEOUT + 1);
+      await service._checkTimeouts();
+
+      const failure = service.failedRequests.get(requestId);
+      expect(failure.reason).to.equal("Timeout - Refunded on-chain");
+      expect(failure.onChainStatus).to.equal("REFUNDED");
+
+      const onChain = await contract.decryptionRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.REFUNDED);
+
+      const refund = await ethers.provider.getTransaction(failure.refundTxHash);
+      expect(refund.from).to.equal(gatewayWallet.address);
+      expect(contract.interface.parseTransaction(refund).args[1]).to.equal(0n);
+    });
+
+    it("should leave a request alone before the timeout", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+
+      await service._backfillEvents();
+      await time.increase(DECRYPTION_TIMEOUT / 2);
+      await service._checkTimeouts();
+
+      expect(service.pendingRequests.has(requestId)).to.be.true;
+      const onChain = await contract.decryptionRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.PENDING);
+    });
+  });
+
+  describe("Reconciliation", function () {
+    // A second gateway that closes requests behind the first one's back
+    function otherGateway() {
+      return createService({ statePath: path.join(stateDir, "other.jsonl") });
+    }
+
+    // Act on the requests a service already knows without reading new events
+    async function processKnown(service) {
+      await service._checkConfirmations(await ethers.provider.getBlockNumber());
+      await service.queue.idle();
+    }
+
+    it("should close a request fulfilled on-chain without sending", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+      await service._backfillEvents();
+
+      await sync(otherGateway());
+      const sent = await ethers.provider.getTransactionCount(
+        gatewayWallet.address
+      );
+
+      await processKnown(service);
+
+      expect(service.processedRequests.has(requestId)).to.be.true;
+      expect(service.requestHistory.get(requestId).pop()).to.include({
+        type: "processed",
+        reason: "Reconciled before submission",
+      });
+      expect(
+        await ethers.provider.getTransactionCount(gatewayWallet.address)
+      ).to.equal(sent);
+      expect(
+        await contract.queryFilter(
+          contract.filters.GatewayCallbackProcessed(requestId)
+        )
+      ).to.have.lengthOf(1);
+    });
+
+    it("should close a request refunded on-chain as failed", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+      await service._backfillEvents();
+
+      await time.increase(DECRYPTION_TIMEOUT + 1);
+      const other = otherGateway();
+      await other._backfillEvents();
+      await other._checkTimeouts();
+      const sent = await ethers.provider.getTransactionCount(
+        gatewayWallet.address
+      );
+
+      await processKnown(service);
+
+      expect(service.failedRequests.get(requestId)).to.include({
+        reason: "Refunded on-chain",
+        onChainStatus: "REFUNDED",
+        reconciled: true,
+      });
+      expect(service.decryptor.calls).to.have.lengthOf(1);
+      expect(
+        await ethers.provider.getTransactionCount(gatewayWallet.address)
+      ).to.equal(sent);
+    });
+
+    it("should close a request failed on-chain as failed", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+      await service._backfillEvents();
+
+      // A zero price before the contract's timeout fails the request without a refund
+      const other = otherGateway();
+      await other._backfillEvents();
+      await other._handleTimeout(other.pendingRequests.get(requestId));
+      const onChain = await contract.decryptionRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.FAILED);
+
+      await processKnown(service);
+
+      expect(service.failedRequests.get(requestId)).to.include({
+        reason: "Failed on-chain",
+        onChainStatus: "FAILED",
+        reconciled: true,
+      });
+      expect(service.pendingRequests.has(requestId)).to.be.false;
+    });
+
+    it("should refuse a callback whose dry run reverts without broadcasting it", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+      await service._backfillEvents();
+
+      // Signed by a committee the contract does not know
+      const strangers = new LocalSigningCommittee({
+        privateKeys: [0, 1].map(() => ethers.Wallet.createRandom().privateKey),
+        threshold: 2,
+      });
+      const signatures = await strangers.sign({
+        contractAddress,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        requestId,
+        cleartext: PRICE,
+      });
+
+      try {
+        await service._sendCallback(requestId, "processSettlementCallback", [
+          requestId,
+          PRICE,
+          signatures,
+        ]);
+        expect.fail("the callback should have been refused");
+      } catch (error) {
+        expect(error.code).to.equal("DRY_RUN_REVERTED");
+        expect(error.message).to.match(
+          /^Dry run of processSettlementCallback reverted: /
+        );
+        expect(error.cause).to.be.an("error");
+      }
+
+      expect(
+        await ethers.provider.getTransactionCount(gatewayWallet.address)
+      ).to.equal(0);
+      expect(service.pendingRequests.get(requestId).transactions).to.equal(
+        undefined
+      );
+    });
+  });
+
+  describe("Fees", function () {
+    it("should requeue a callback refused at the fee cap without using a retry", async function () {
+      const requestId = await requestSettlement();
+      const service = createService({
+        transactions: { pollInterval: 10, maxFeePerGasCap: 1 },
+      });
+      service.FEE_CAP_RETRY_DELAY = 100;
+      const sent = [];
+      const alerts = new AlertManager(
+        { services: [service] },
+        {
+          rules: [{ type: "feeCap", severity: "critical" }],
+          webhooks: [
+            {
+              name: "memory",
+              send: async (notification) => sent.push(notification),
+            },
+          ],
+          logger: service.logger,
+        }
+      );
+
+      const refusedAt = Date.now();
+      await service._backfillEvents();
+      await service._checkConfirmations(await ethers.provider.getBlockNumber());
+      await service.queue.idle();
+
+      const { feeCapExceeded } = service.nonceManager;
+      expect(feeCapExceeded.maxFeePerGasCap).to.equal(1n);
+      const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+      expect(feeCapExceeded.requiredFeePerGas > baseFeePerGas).to.be.true;
+
+      // Waiting out the fee spike costs no retry and no nonce
+      expect(service.pendingRequests.get(requestId).retries).to.equal(0);
+      const job = service.queue.locate(service._queueKey(requestId));
+      expect(job.state).to.equal("queued");
+      expect(job.readyAt).to.be.at.least(
+        refusedAt + service.FEE_CAP_RETRY_DELAY
+      );
+      expect(
+        await ethers.provider.getTransactionCount(gatewayWallet.address)
+      ).to.equal(0);
+
+      await alerts.evaluate();
+      expect(sent).to.have.lengthOf(1);
+      expect(sent[0]).to.include({ status: "firing", severity: "critical" });
+      expect(sent[0].details.capGwei).to.equal("0.000000001");
+
+      // Fees back under the cap: the requeued callback goes through
+      service.nonceManager.maxFeePerGasCap = null;
+      await sync(service);
+
+      expect(service.processedRequests.has(requestId)).to.be.true;
+      expect(
+        service
+          .getRequest(requestId)
+          .history.some((entry) => entry.changes && entry.changes.retries)
+      ).to.be.false;
+      expect(service.nonceManager.feeCapExceeded).to.equal(null);
+
+      await alerts.evaluate();
+      expect(sent.map((notification) => notification.status)).to.deep.equal([
+        "firing",
+        "resolved",
+      ]);
+    });
+
+    it("should send the gas estimate plus gasMarginPercent", async function () {
+      const requestId = await requestSettlement();
+      const service = createService({
+        transactions: { pollInterval: 10, gasMarginPercent: 50 },
+      });
+      const estimates = [];
+      const estimateGas = gatewayWallet.estimateGas.bind(gatewayWallet);
+      gatewayWallet.estimateGas = async (tx) => {
+        const estimate = await estimateGas(tx);
+        estimates.push(estimate);
+        return estimate;
+      };
+
+      await sync(service);
+
+      const [processed] = await contract.queryFilter(
+        contract.filters.GatewayCallbackProcessed(requestId)
+      );
+      const tx = await processed.getTransaction();
+      expect(estimates).to.have.lengthOf(1);
+      expect(tx.gasLimit).to.equal((estimates[0] * 150n) / 100n);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("should submit processWithdrawalCallback with the decrypted balance", async function () {
+      const requestId = await requestWithdrawal();
+      const service = createService();
+
+      await sync(service);
+
+      const [processed] = await contract.queryFilter(
+        contract.filters.WithdrawalProcessed(owner.address)
+      );
+      expect(processed.args.amount).to.equal(PRICE);
+
+      const tx = await processed.getTransaction();
+      expect(tx.from).to.equal(gatewayWallet.address);
+      const call = contract.interface.parseTransaction(tx);
+      expect(call.name).to.equal("processWithdrawalCallback");
+      expect(call.args.requestId.toString()).to.equal(requestId);
+
+      const onChain = await contract.withdrawalRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.FULFILLED);
+      expect(service.processedRequests.has(requestId)).to.be.true;
+      expect(service.decryptor.calls[0].context.requestId).to.equal(requestId);
+      expect(await service.metrics.render()).to.contain(
+        `gateway_requests_seen_total{contract="${contractAddress}",kind="withdrawal"} 1`
+      );
+    });
+
+    it("should retry a failed decryption and then process the withdrawal", async function () {
+      const requestId = await requestWithdrawal();
+      const service = createService({ decryptor: decryptor(1) });
+
+      await sync(service);
+
+      expect(service.decryptor.calls).to.have.lengthOf(2);
+      expect(service.processedRequests.has(requestId)).to.be.true;
+
+      const retry = service
+        .getRequest(requestId)
+        .history.find((entry) => entry.changes && entry.changes.retries === 1);
+      expect(retry.changes.attempts[0].error).to.equal("KMS unavailable");
+
+      const onChain = await contract.withdrawalRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.FULFILLED);
+    });
+
+    it("should close a timed-out withdrawal locally without a transaction", async function () {
+      const requestId = await requestWithdrawal();
+      const service = createService();
+      service.DECRYPTION_TIMEOUT = 10;
+
+      // Recorded but never confirmed, so it stays pending until it times out
+      await service._backfillEvents();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await service._checkTimeouts();
+
+      expect(service.pendingRequests.has(requestId)).to.be.false;
+      expect(service.failedRequests.get(requestId).reason).to.equal(
+        "Timeout - Withdrawal not processed"
+      );
+
+      // There is no refund path for withdrawals: nothing was sent
+      expect(
+        await ethers.provider.getTransactionCount(gatewayWallet.address)
+      ).to.equal(0);
+      const onChain = await contract.withdrawalRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.PENDING);
+    });
+  });
+
+  describe("Reorgs", function () {
+    // What a subscription delivers for a log a reorg took back
+    function removedLog(receipt) {
+      return {
+        removed: true,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash,
+      };
+    }
+
+    it("should drop a request reorged out of the chain and never call it back", async function () {
+      const contractId = await dueContract();
+      const snapshot = await takeSnapshot();
+      const receipt = await (
+        await contract.requestSettlement(contractId, PRICE)
+      ).wait();
+      const requestId = await requestIdIn(receipt);
+      await mine(3);
+
+      const service = createService({ confirmations: 2 });
+      await service._backfillEvents();
+      expect(service.pendingRequests.get(requestId).confirmed).to.be.false;
+      expect(service.lastProcessedBlock).to.equal(receipt.blockNumber + 1);
+
+      await snapshot.restore();
+      await service._handleEvent(
+        "DecryptionRequested",
+        [],
+        removedLog(receipt)
+      );
+
+      expect(service.pendingRequests.has(requestId)).to.be.false;
+      const dropped = service.requestHistory.get(requestId).pop();
+      expect(dropped).to.include({
+        type: "dropped",
+        reason: "Reorg: transaction no longer in the canonical chain",
+        transactionHash: receipt.hash,
+      });
+      // Re-scanned from before the removed block
+      expect(service.lastProcessedBlock).to.equal(receipt.blockNumber - 1);
+
+      await mine(3);
+      await sync(service);
+
+      expect(service.decryptor.calls).to.have.lengthOf(0);
+      expect(
+        await contract.queryFilter(contract.filters.GatewayCallbackProcessed())
+      ).to.have.lengthOf(0);
+
+      const restored = createService();
+      restored._restoreState();
+      expect(restored.getRequest(requestId)).to.equal(null);
+    });
+
+    it("should restart the confirmation count of a request re-mined in another block", async function () {
+      const contractId = await dueContract();
+      const snapshot = await takeSnapshot();
+      const tx = await contract.requestSettlement(contractId, PRICE);
+      const receipt = await tx.wait();
+      const requestId = await requestIdIn(receipt);
+
+      const service = createService({ confirmations: 2 });
+      await service._backfillEvents();
+
+      // The same signed transaction lands one block later on the new branch
+      await snapshot.restore();
+      await mine(1);
+      await ethers.provider.broadcastTransaction(
+        ethers.Transaction.from(tx).serialized
+      );
+      const remined = await ethers.provider.getTransactionReceipt(receipt.hash);
+      expect(remined.blockNumber).to.equal(receipt.blockNumber + 1);
+
+      await service._handleEvent(
+        "DecryptionRequested",
+        [],
+        removedLog(receipt)
+      );
+
+      expect(service.pendingRequests.get(requestId)).to.include({
+        blockNumber: remined.blockNumber,
+        blockHash: remined.blockHash,
+        confirmed: false,
+      });
+
+      await sync(service);
+      expect(service.decryptor.calls).to.have.lengthOf(0);
+
+      await mine(1);
+      await sync(service);
+
+      expect(service.processedRequests.has(requestId)).to.be.true;
+      expect(
+        await contract.queryFilter(
+          contract.filters.GatewayCallbackProcessed(requestId)
+        )
+      ).to.have.lengthOf(1);
+    });
+
+    it("should drop an unconfirmed request whose log is gone once it reaches depth", async function () {
+      const contractId = await dueContract();
+      const snapshot = await takeSnapshot();
+      const receipt = await (
+        await contract.requestSettlement(contractId, PRICE)
+      ).wait();
+      const requestId = await requestIdIn(receipt);
+
+      const service = createService({ confirmations: 2 });
+      await service._backfillEvents();
+
+      // No removed log reaches the service; the confirmation check notices instead
+      await snapshot.restore();
+      await mine(2);
+      await sync(service);
+
+      expect(service.pendingRequests.has(requestId)).to.be.false;
+      expect(service.requestHistory.get(requestId).pop().type).to.equal(
+        "dropped"
+      );
+      expect(service.decryptor.calls).to.have.lengthOf(0);
+    });
+  });
+
+  describe("Logging", function () {
+    it("should tag every line about a request with its correlation fields", async function () {
+      const contractId = await dueContract();
+      const requestId = await requestIdIn(
+        await (await contract.requestSettlement(contractId, PRICE)).wait()
+      );
+      const lines = [];
+      const service = createService({
+        name: "futures",
+        decryptor: decryptor(1),
+        logger: new Logger({
+          level: "debug",
+          stream: { write: (line) => lines.push(JSON.parse(line)) },
+        }),
+      });
+
+      await sync(service);
+
+      const logged = lines.filter((line) => line.requestId === requestId);
+      expect(logged.map((line) => line.msg)).to.include.members([
+        "DecryptionRequested event detected",
+        "Decryption request failed",
+        "Callback broadcast",
+        "GatewayCallbackProcessed event",
+      ]);
+      for (const line of logged) {
+        expect(line).to.include({
+          contract: "futures",
+          kind: "settlement",
+          contractId: contractId.toString(),
+        });
+      }
+
+      // attempt counts up with the retry
+      const attempts = (msg) =>
+        logged.filter((line) => line.msg === msg).map((line) => line.attempt);
+      expect(attempts("Processing decryption request")).to.deep.equal([1, 2]);
+      expect(attempts("Callback broadcast")).to.deep.equal([2]);
+    });
+  });
+
+  describe("Metrics", function () {
+    let server;
+
+    afterEach(async function () {
+      await server.stop();
+    });
+
+    it("should export request, callback, retry and latency metrics at /metrics", async function () {
+      const requestId = await requestSettlement();
+
+      // The first callback is signed by a committee the contract does not know
+      const committee = new LocalSigningCommittee({
+        privateKeys: signerWallets.map((wallet) => wallet.privateKey),
+        threshold: 2,
+      });
+      const strangers = new LocalSigningCommittee({
+        privateKeys: [0, 1].map(() => ethers.Wallet.createRandom().privateKey),
+        threshold: 2,
+      });
+      let signed = 0;
+      const service = createService({
+        signingCommittee: {
+          sign: (message) =>
+            (signed++ === 0 ? strangers : committee).sign(message),
+        },
+      });
+
+      await sync(service);
+      expect(service.processedRequests.has(requestId)).to.be.true;
+
+      server = new AdminServer(service, { port: 0, logger: service.logger });
+      await server.start();
+      const response = await fetch(`http://127.0.0.1:${server.port}/metrics`);
+      expect(response.status).to.equal(200);
+      const lines = (await response.text()).split("\n");
+
+      const contract = `contract="${contractAddress}"`;
+      expect(lines).to.include.members([
+        "# HELP gateway_requests_seen_total Decryption requests recorded by the gateway, by kind (settlement or withdrawal)",
+        `gateway_requests_seen_total{${contract},kind="settlement"} 1`,
+        `gateway_callbacks_total{${contract},kind="settlement",result="failure"} 1`,
+        `gateway_callbacks_total{${contract},kind="settlement",result="success"} 1`,
+        `gateway_retries_total{${contract}} 1`,
+        `gateway_settlement_latency_seconds_count{${contract}} 1`,
+        `gateway_callback_gas_used_count{${contract}} 1`,
+        `gateway_pending_requests{${contract}} 0`,
+      ]);
+    });
+  });
+
+  describe("Health checks", function () {
+    let server;
+
+    // Serve a service's health endpoints and fetch one of them
+    async function get(service, urlPath) {
+      server = new AdminServer(service, { port: 0, logger: service.logger });
+      await server.start();
+      const response = await fetch(`http://127.0.0.1:${server.port}${urlPath}`);
+      return { status: response.status, body: await response.json() };
+    }
+
+    function check(readiness, name) {
+      return readiness.checks.find((result) => result.name === name);
+    }
+
+    afterEach(async function () {
+      if (server) {
+        await server.stop();
+        server = null;
+      }
+    });
+
+    it("should be ready as the gateway of a funded, deployed contract", async function () {
+      const { status, body } = await get(createService(), "/health/ready");
+
+      expect(status).to.equal(200);
+      expect(body.ready).to.be.true;
+      expect(body.checks.map((result) => result.name)).to.deep.equal([
+        "rpc",
+        "bytecode",
+        "abi",
+        "gatewayRole",
+        "funds",
+      ]);
+      expect(check(body, "gatewayRole")).to.include({
+        ok: true,
+        wallet: gatewayWallet.address,
+      });
+    });
+
+    it("should accept the owner and refuse any other wallet", async function () {
+      const asOwner = await createService({ wallet: owner }).readinessCheck();
+      expect(check(asOwner, "gatewayRole")).to.include({
+        ok: true,
+        owner: owner.address,
+      });
+
+      const stranger = ethers.Wallet.createRandom().connect(ethers.provider);
+      const { status, body } = await get(
+        createService({ wallet: stranger }),
+        "/health/ready"
+      );
+
+      expect(status).to.equal(503);
+      expect(check(body, "gatewayRole")).to.include({
+        ok: false,
+        wallet: stranger.address,
+        gateway: gatewayWallet.address,
+        owner: owner.address,
+      });
+    });
+
+    it("should report an address with no contract deployed", async function () {
+      const address = ethers.Wallet.createRandom().address;
+      const readiness = await createService({
+        contractAddress: address,
+      }).readinessCheck();
+
+      expect(readiness.ready).to.be.false;
+      expect(check(readiness, "bytecode")).to.include({
+        ok: false,
+        address,
+        codeSize: 0,
+      });
+      expect(check(readiness, "abi").ok).to.be.false;
+    });
+
+    it("should report ABI members missing from the ABI or the bytecode", async function () {
+      // A contract that verifies signatures but emits none of the gateway's events
+      const Mock = await ethers.getContractFactory("ThresholdSignerSetMock");
+      const mock = await Mock.deploy();
+      await mock.waitForDeployment();
+
+      const readiness = await createService({
+        contractAddress: await mock.getAddress(),
+        abi: abi.filter(
+          (fragment) => fragment.name !== "processWithdrawalCallback"
+        ),
+      }).readinessCheck();
+
+      const result = check(readiness, "abi");
+      expect(result.ok).to.be.false;
+      expect(result.missingFromAbi).to.deep.equal([
+        "processWithdrawalCallback",
+      ]);
+      expect(result.missingFromBytecode).to.include.members([
+        "withdrawalRequests",
+        "DecryptionRequested",
+        "WithdrawalRequested",
+      ]);
+      expect(result.missingFromBytecode).to.not.include(
+        "processSettlementCallback"
+      );
+    });
+
+    it("should report a wallet that cannot pay for its callbacks", async function () {
+      await ethers.provider.send("hardhat_setBalance", [
+        gatewayWallet.address,
+        "0x1",
+      ]);
+
+      const { status, body } = await get(createService(), "/health/ready");
+
+      expect(status).to.equal(503);
+      const funds = check(body, "funds");
+      expect(funds).to.include({
+        ok: false,
+        balanceEth: "0.000000000000000001",
+      });
+      expect(Number(funds.requiredEth)).to.be.greaterThan(0);
+      expect(check(body, "gatewayRole").ok).to.be.true;
+    });
+
+    it("should stop being alive once blocks stop arriving", async function () {
+      const service = createService();
+      expect((await get(service, "/health/live")).status).to.equal(503);
+      await server.stop();
+
+      await service.start();
+      const live = await get(service, "/health/live");
+      expect(live.status).to.equal(200);
+      expect(live.body).to.include({ alive: true, started: true });
+      await server.stop();
+
+      service.STALE_BLOCK_TIMEOUT = 20;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const stale = await get(service, "/health/live");
+      expect(stale.status).to.equal(503);
+      expect(stale.body).to.include({ alive: false, started: true });
+    });
+  });
+
+  describe("Reconnects", function () {
+    it("should backfill the blocks missed while the subscription was down", async function () {
+      // Polling transport the test reconnects by hand
+      const transport = new EventEmitter();
+      transport.provider = ethers.provider;
+      transport.mode = "polling";
+
+      const service = createService({ transport, backfillChunkSize: 2 });
+      await service.start();
+
+      // The subscription drops and requests arrive meanwhile
+      await service._stopEventListener();
+      const checkpoint = service.lastProcessedBlock;
+      const requestId = await requestSettlement();
+      await mine(3);
+      const head = await ethers.provider.getBlockNumber();
+      expect(service.getRequest(requestId)).to.equal(null);
+
+      const ranges = [];
+      const queryFilter = service.contract.queryFilter.bind(service.contract);
+      service.contract.queryFilter = (event, fromBlock, toBlock) => {
+        if (event === "DecryptionRequested") {
+          ranges.push([fromBlock, toBlock]);
+        }
+        return queryFilter(event, fromBlock, toBlock);
+      };
+
+      transport.emit("reconnected", {
+        mode: "websocket",
+        reason: "WebSocket connected",
+      });
+      await service._resubscribing;
+
+      expect(service.getRequest(requestId)).to.not.equal(null);
+      expect(ranges[0][0]).to.equal(checkpoint);
+      expect(ranges[ranges.length - 1][1]).to.equal(head);
+      ranges.forEach(([fromBlock, toBlock], i) => {
+        expect(toBlock - fromBlock).to.be.at.most(1);
+        if (i > 0) {
+          expect(fromBlock).to.equal(ranges[i - 1][1] + 1);
+        }
+      });
+    });
+  });
+
+  describe("State persistence", function () {
+    it("should restore a saved snapshot and the journal written after it", async function () {
+      const settledId = await requestSettlement();
+      const service = createService();
+      await sync(service);
+      service._saveState();
+
+      // Journaled after the snapshot and still unconfirmed
+      const pendingId = await requestSettlement();
+      await service._backfillEvents();
+
+      const restored = createService();
+      restored._restoreState();
+
+      expect(Array.from(restored.processedRequests)).to.deep.equal(
+        Array.from(service.processedRequests)
+      );
+      expect(restored.pendingRequests.get(pendingId)).to.deep.equal(
+        service.pendingRequests.get(pendingId)
+      );
+      expect(restored.processedRequests.has(settledId)).to.be.true;
+      expect(restored.lastProcessedBlock).to.equal(service.lastProcessedBlock);
+    });
+
+    it("should restore dead-lettered requests with their attempts", async function () {
+      const requestId = await requestSettlement();
+      const service = createService({ decryptor: decryptor(Infinity) });
+      await sync(service);
+      service._saveState();
+
+      const restored = createService();
+      restored._restoreState();
+
+      expect(restored.failedRequests.get(requestId)).to.deep.equal(
+        service.failedRequests.get(requestId)
+      );
+      expect(restored.pendingRequests.size).to.equal(0);
+    });
+
+    it("should finish a restored request after a restart", async function () {
+      const requestId = await requestSettlement();
+      const service = createService();
+      await service._backfillEvents();
+      await service.stop();
+
+      const restored = createService();
+      restored._restoreState();
+      await sync(restored);
+
+      expect(restored.processedRequests.has(requestId)).to.be.true;
+      const onChain = await contract.decryptionRequests(requestId);
+      expect(onChain.status).to.equal(STATUS.FULFILLED);
+    });
+
+    it("should process every request missed while stopped exactly once", async function () {
+      const stopped = createService({ confirmations: 2 });
+      await stopped.start();
+      await stopped.stop();
+      const checkpoint = stopped.lastProcessedBlock;
+
+      const missed = [];
+      for (let i = 0; i < 3; i++) {
+        missed.push(await requestSettlement());
+      }
+      await mine(2);
+
+      const service = createService({ confirmations: 2 });
+      service._restoreState();
+      expect(service.lastProcessedBlock).to.equal(checkpoint);
+
+      const fromBlocks = [];
+      const queryFilter = service.contract.queryFilter.bind(service.contract);
+      service.contract.queryFilter = (event, fromBlock, toBlock) => {
+        if (event === "DecryptionRequested") {
+          fromBlocks.push(fromBlock);
+        }
+        return queryFilter(event, fromBlock, toBlock);
+      };
+
+      await service.start();
+      await sync(service);
+
+      expect(fromBlocks[0]).to.equal(checkpoint);
+      expect(service.decryptor.calls).to.have.lengthOf(missed.length);
+      for (const requestId of missed) {
+        expect(service.processedRequests.has(requestId)).to.be.true;
+        expect(
+          await contract.queryFilter(
+            contract.filters.GatewayCallbackProcessed(requestId)
+          )
+        ).to.have.lengthOf(1);
+      }
+
+      // Unconfirmed blocks stay behind the checkpoint for a later re-scan
+      await service._backfillEvents();
+      expect(service.lastProcessedBlock).to.equal(
+        (await ethers.provider.getBlockNumber()) - 2
+      );
+    });
+  });
+
+  describe("Audit journal", function () {
+    let auditPath;
+
+    function auditedService(options = {}) {
+      auditPath = path.join(stateDir, "audit.jsonl");
+      return createService({
+        auditJournal: new AuditJournal(auditPath, {
+          logger: new Logger({ level: "error", stream: { write: () => {} } }),
+        }),
+        ...options,
+      });
+    }
+
+    it("should journal each decision with its transaction", async function () {
+      const requestId = await requestSettlement();
+      const service = auditedService({ decryptor: decryptor(2) });
+
+      await sync(service);
+
+      const { entries, problems } = verifyAuditJournal(auditPath);
+      expect(problems).to.deep.equal([]);
+      expect(entries.map((entry) => entry.type)).to.deep.equal([
+        "retry",
+        "retry",
+        "decrypted",
+        "callback",
+      ]);
+
+      const [requested] = await contract.queryFilter(
+        contract.filters.DecryptionRequested(requestId)
+      );
+      const [firstRetry, secondRetry, decrypted, callback] = entries;
+      expect(firstRetry.retry).to.equal(1);
+      expect(secondRetry.retry).to.equal(2);
+      expect(firstRetry.error).to.equal("KMS unavailable");
+      expect(decrypted.cleartext).to.equal(PRICE.toString());
+      expect(decrypted.txHash).to.equal(requested.transactionHash);
+      expect(decrypted.blockNumber).to.equal(requested.blockNumber);
+
+      const [processed] = await contract.queryFilter(
+        contract.filters.GatewayCallbackProcessed(requestId)
+      );
+      expect(callback.txHash).to.equal(processed.transactionHash);
+      expect(callback.blockNumber).to.equal(processed.blockNumber);
+
+      expect(await crossCheckSettlements(entries, service)).to.deep.equal([]);
+    });
+
+    it("should journal a timeout refund", async function () {
+      const requestId = await requestSettlement();
+      const service = auditedService();
+
+      await service._backfillEvents();
+      await time.increase(DECRYPTION_TIMEOUT + 1);
+      await service._checkTimeouts();
+
+      const { entries } = verifyAuditJournal(auditPath);
+      const [callback, timeout] = entries;
+      expect(callback.cleartext).to.equal("0");
+      expect(timeout.type).to.equal("timeout");
+      expect(timeout.outcome).to.equal("refunded");
+      expect(timeout.txHash).to.equal(
+        service.failedRequests.get(requestId).refundTxHash
+      );
+
+      expect(await crossCheckSettlements(entries, service)).to.deep.equal([]);
+    });
+
+    it("should report a journalled price the chain disagrees with", async function () {
+      await requestSettlement();
+      const service = auditedService();
+      await sync(service);
+
+      // Rewrite the whole chain, so only the on-chain check can notice
+      let prevHash = GENESIS_HASH;
+      const forged = verifyAuditJournal(auditPath).entries.map((entry) => {
+        const rewritten = { ...entry, prevHash };
+        if (rewritten.cleartext) {
+          rewritten.cleartext = "9999";
+        }
+        rewritten.hash = hashEntry(rewritten);
+        prevHash = rewritten.hash;
+        return rewritten;
+      });
+      fs.writeFileSync(
+        auditPath,
+        forged.map((entry) => JSON.stringify(entry) + "\n").join("")
+      );
+
+      const { entries, problems } = verifyAuditJournal(auditPath);
+      expect(problems).to.deep.equal([]);
+
+      const [mismatch] = await crossCheckSettlements(entries, service);
+      expect(mismatch.problem).to.equal(
+        `Journalled price 9999, settled on-chain at ${PRICE}`
+      );
+    });
+
+    it("should report a settlement missing from the journal", async function () {
+      await requestSettlement();
+      const service = auditedService();
+      await sync(service);
+
+      const { entries } = verifyAuditJournal(auditPath);
+      const withoutCallback = entries.filter(
+        (entry) => entry.type !== "callback"
+      );
+
+      const [missing] = await crossCheckSettlements(withoutCallback, service);
+      expect(missing.problem).to.match(/has no journal entry$/);
+    });
+  });
+});
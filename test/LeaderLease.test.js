@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { FileLease, LeaderElector } = require("../scripts/gateway/leader-lease");
+const { createGateway } = require("../scripts/gateway/cluster");
+const { Logger } = require("../scripts/gateway/logger");
+
+const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("LeaderLease", function () {
+  let dir;
+  let leaseFile;
+
+  // Elector whose lease checks the test drives with _tick()
+  function elector(holderId, ttl = 1000) {
+    return new LeaderElector(new FileLease(leaseFile), {
+      holderId,
+      ttl,
+      logger,
+    });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-lease-"));
+    leaseFile = path.join(dir, "leader.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("FileLease", function () {
+    it("should refuse another holder until the lease expires", async function () {
+      const lease = new FileLease(leaseFile);
+
+      const first = lease.tryAcquire("a", 50);
+      expect(first.acquired).to.equal(true);
+      expect(first.lease.term).to.equal(1);
+
+      const refused = lease.tryAcquire("b", 50);
+      expect(refused.acquired).to.equal(false);
+      expect(refused.lease.holder).to.equal("a");
+
+      await sleep(70);
+      const takeover = lease.tryAcquire("b", 50);
+      expect(takeover.acquired).to.equal(true);
+      expect(takeover.lease.term).to.equal(2);
+      expect(lease.read().holder).to.equal("b");
+    });
+
+    it("should keep the term when the holder renews", function () {
+      const lease = new FileLease(leaseFile);
+      const first = lease.tryAcquire("a", 1000);
+      const renewed = lease.tryAcquire("a", 1000);
+
+      expect(renewed.lease.term).to.equal(first.lease.term);
+      expect(renewed.lease.acquiredAt).to.equal(first.lease.acquiredAt);
+      expect(renewed.lease.expiresAt).to.be.at.least(first.lease.expiresAt);
+    });
+
+    it("should only release the holder's own lease", function () {
+      const lease = new FileLease(leaseFile);
+      lease.tryAcquire("a", 1000);
+
+      lease.release("b");
+      expect(lease.read().holder).to.equal("a");
+
+      lease.release("a");
+      expect(lease.read()).to.equal(null);
+    });
+
+    it("should report busy while locked and break a stale lock", function () {
+      const lease = new FileLease(leaseFile, { staleLockMs: 1000 });
+      fs.writeFileSync(`${leaseFile}.lock`, "");
+
+      expect(lease.tryAcquire("a", 1000)).to.deep.equal({ busy: true });
+
+      const past = new Date(Date.now() - 5000);
+      fs.utimesSync(`${leaseFile}.lock`, past, past);
+      expect(lease.tryAcquire("a", 1000)).to.deep.equal({ busy: true });
+      expect(lease.tryAcquire("a", 1000).acquired).to.equal(true);
+    });
+  });
+
+  describe("LeaderElector", function () {
+    it("should elect one instance and let another take over after expiry", async function () {
+      const a = elector("a", 50);
+      const b = elector("b", 50);
+      const events = [];
+      a.on("elected", () => events.push("a elected"));
+      a.on("demoted", () => events.push("a demoted"));
+      b.on("elected", () => events.push("b elected"));
+
+      a._tick();
+      b._tick();
+      expect(a.holdsLease()).to.equal(true);
+      expect(b.status()).to.include({ role: "standby", leader: "a", term: 1 });
+
+      // a stops renewing, as if paused
+      await sleep(70);
+      expect(a.holdsLease()).to.equal(false);
+
+      b._tick();
+      expect(b.holdsLease()).to.equal(true);
+      expect(b.term).to.equal(2);
+
+      a._tick();
+      expect(a.isLeader).to.equal(false);
+      expect(events).to.deep.equal(["a elected", "b elected", "a demoted"]);
+    });
+
+    it("should fence out a leader whose term was taken over", function () {
+      const a = elector("a");
+      a._tick();
+      expect(a.checkTerm()).to.equal(true);
+
+      // Another instance takes over while a still believes its lease is valid
+      fs.writeFileSync(
+        leaseFile,
+        JSON.stringify({
+          holder: "b",
+          term: 2,
+          acquiredAt: Date.now(),
+          expiresAt: Date.now() + 1000,
+        })
+      );
+      expect(a.holdsLease()).to.equal(true);
+
+      expect(a.checkTerm()).to.equal(false);
+      expect(a.isLeader).to.equal(false);
+      expect(a.status().leader).to.equal("b");
+    });
+  });
+
+  describe("Gateway instances", function () {
+    function gateway(holderId, stateDir = path.join(dir, "state")) {
+      return createGateway({
+        contractAddress: "0x00000000000000000000000000000000000000F1",
+        stateDir,
+        audit: { path: path.join(dir, "audit.jsonl") },
+        ha: { leaseFile, holderId, ttl: 1000 },
+        abi: [],
+        logger,
+      });
+    }
+
+    function close(cluster) {
+      cluster.elector.stop();
+      for (const service of cluster.services) {
+        service.stateStore.close();
+      }
+      cluster.auditJournal.close();
+    }
+
+    it("should refuse a state directory another instance owns", function () {
+      close(gateway("a"));
+      close(gateway("a"));
+
+      expect(() => gateway("b")).to.throw(
+        "belongs to instance a; give each instance its own stateDir"
+      );
+      close(gateway("b", path.join(dir, "state-b")));
+    });
+
+    it("should need a fixed instance ID", function () {
+      expect(() => gateway(undefined)).to.throw("ha.holderId");
+    });
+
+    it("should not send or append audit entries once fenced out", function () {
+      const cluster = gateway("a");
+      const [service] = cluster.services;
+      cluster.elector._tick();
+
+      service._audit("retry", { requestId: "1" }, { retry: 1 });
+      expect(() => service._assertLeader()).not.to.throw();
+
+      fs.writeFileSync(
+        leaseFile,
+        JSON.stringify({
+          holder: "b",
+          term: 2,
+          acquiredAt: Date.now(),
+          expiresAt: Date.now() + 1000,
+        })
+      );
+      service._audit("retry", { requestId: "1" }, { retry: 2 });
+      expect(() => service._assertLeader()).to.throw("the leader is b");
+      close(cluster);
+
+      const entries = fs
+        .readFileSync(path.join(dir, "audit.jsonl"), "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(entries.map(({ retry, term }) => ({ retry, term }))).to.deep.equal(
+        [{ retry: 1, term: 1 }]
+      );
+    });
+  });
+});
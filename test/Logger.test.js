@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { Logger } = require("../scripts/gateway/logger");
+
+describe("Logger", function () {
+  let lines;
+  let stream;
+
+  function logger(options = {}) {
+    return new Logger({ stream, ...options });
+  }
+
+  function records() {
+    return lines.map((line) => JSON.parse(line));
+  }
+
+  beforeEach(function () {
+    lines = [];
+    stream = { write: (chunk) => lines.push(chunk.replace(/\n$/, "")) };
+  });
+
+  describe("Levels", function () {
+    it("should drop lines below the configured level", function () {
+      const log = logger({ level: "warn" });
+      log.debug("debug line");
+      log.info("info line");
+      log.warn("warn line");
+      log.error("error line");
+
+      expect(records().map((record) => record.level)).to.deep.equal([
+        "warn",
+        "error",
+      ]);
+    });
+
+    it("should default to info and refuse unknown levels and formats", function () {
+      const log = logger();
+      log.debug("debug line");
+      log.info("info line");
+      expect(records().map((record) => record.msg)).to.deep.equal([
+        "info line",
+      ]);
+
+      expect(() => logger({ level: "trace" })).to.throw(
+        "Unknown log level: trace"
+      );
+      expect(() => logger({ format: "xml" })).to.throw(
+        "Unknown log format: xml"
+      );
+    });
+
+    it("should pass its level on to child loggers", function () {
+      const child = logger({ level: "error" }).child({ contract: "futures" });
+      child.warn("warn line");
+      child.error("error line");
+
+      expect(records().map((record) => record.msg)).to.deep.equal([
+        "error line",
+      ]);
+    });
+  });
+
+  describe("Formats", function () {
+    it("should write one JSON object per line", function () {
+      const error = new Error("KMS unavailable");
+      error.code = "KMS_DOWN";
+      logger().info("Callback broadcast", {
+        requestId: "7",
+        cleartext: 2500n,
+        err: error,
+        reason: undefined,
+        hash: null,
+      });
+
+      expect(lines).to.have.lengthOf(1);
+      const [record] = records();
+      expect(record).to.include({
+        level: "info",
+        msg: "Callback broadcast",
+        requestId: "7",
+        cleartext: "2500",
+      });
+      expect(new Date(record.time).toISOString()).to.equal(record.time);
+      expect(record.err).to.include({
+        message: "KMS unavailable",
+        code: "KMS_DOWN",
+      });
+      expect(record).to.not.have.any.keys("reason", "hash");
+    });
+
+    it("should write key=value pairs in pretty mode", function () {
+      logger({ format: "pretty" }).warn("Timeout detected", {
+        requestId: "7",
+        reason: "no answer",
+        err: new Error("KMS unavailable"),
+        gas: { limit: 21000n },
+      });
+
+      expect(lines).to.have.lengthOf(1);
+      const [time, ...rest] = lines[0].split(" ");
+      expect(new Date(time).toISOString()).to.equal(time);
+      expect(rest.join(" ")).to.equal(
+        'WARN  Timeout detected requestId=7 reason="no answer" err="KMS unavailable" gas={"limit":"21000"}'
+      );
+    });
+  });
+
+  describe("Correlation", function () {
+    it("should add a child's bound fields to every line, letting a line override them", function () {
+      const child = logger()
+        .child({ contract: "futures" })
+        .child({ requestId: "7", attempt: 1 });
+      child.info("Request pending");
+      child.warn("Retrying", { attempt: 2 });
+
+      const [pending, retrying] = records();
+      expect(pending).to.include({
+        contract: "futures",
+        requestId: "7",
+        attempt: 1,
+      });
+      expect(retrying).to.include({
+        contract: "futures",
+        requestId: "7",
+        attempt: 2,
+      });
+    });
+  });
+});
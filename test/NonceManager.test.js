@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const NonceManager = require("../scripts/gateway/nonce-manager");
+const { Logger } = require("../scripts/gateway/logger");
+
+const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+const GWEI = 1000000000n;
+
+// A wallet on a chain whose base fee sits above the cap, so nothing is mined
+function stuckWallet() {
+  const sent = [];
+  const provider = {
+    pendingCountReads: 0,
+    async getFeeData() {
+      return { maxFeePerGas: 80n * GWEI, maxPriorityFeePerGas: 2n * GWEI };
+    },
+    async getBlock() {
+      return { baseFeePerGas: 60n * GWEI };
+    },
+    async getTransactionReceipt() {
+      return null;
+    },
+    async getTransactionCount(address, blockTag) {
+      if (blockTag === "pending") {
+        this.pendingCountReads++;
+      }
+      return 7;
+    },
+  };
+  return {
+    provider,
+    sent,
+    async getAddress() {
+      return "0x00000000000000000000000000000000000000A1";
+    },
+    async estimateGas() {
+      return 100000n;
+    },
+    async sendTransaction(tx) {
+      sent.push(tx);
+      return { hash: `0x${sent.length.toString(16).padStart(64, "0")}` };
+    },
+  };
+}
+
+describe("NonceManager", function () {
+  it("should give up on a transaction stuck at the fee cap with TX_STUCK", async function () {
+    const wallet = stuckWallet();
+    const manager = new NonceManager(wallet, {
+      stuckTimeout: 20,
+      pollInterval: 5,
+      maxPendingTime: 200,
+      maxFeePerGasCap: 100n * GWEI,
+      logger,
+    });
+
+    try {
+      await manager.send({ to: "0x00000000000000000000000000000000000000B2" });
+      expect.fail("send should have thrown");
+    } catch (error) {
+      expect(error.code).to.equal("TX_STUCK");
+      expect(error.nonce).to.equal(7);
+      expect(error.attempts.length).to.equal(wallet.sent.length);
+    }
+
+    // Replaced until the cap, then left alone with the same nonce
+    expect(wallet.sent.length).to.be.greaterThan(1);
+    expect(wallet.sent.every((tx) => tx.nonce === 7)).to.equal(true);
+    expect(wallet.sent[wallet.sent.length - 1].maxFeePerGas).to.equal(
+      100n * GWEI
+    );
+
+    // The next transaction re-reads the nonce from the chain
+    expect(manager.nextNonce).to.equal(null);
+    expect(await manager._allocateNonce()).to.equal(7);
+    expect(wallet.provider.pendingCountReads).to.equal(2);
+  });
+
+  it("should not broadcast once beforeBroadcast refuses", async function () {
+    const wallet = stuckWallet();
+    const manager = new NonceManager(wallet, { logger });
+
+    try {
+      await manager.send(
+        { to: "0x00000000000000000000000000000000000000B2" },
+        {
+          beforeBroadcast: () => {
+            throw new Error("This instance is on standby");
+          },
+        }
+      );
+      expect.fail("send should have thrown");
+    } catch (error) {
+      expect(error.message).to.equal("This instance is on standby");
+    }
+
+    expect(wallet.sent).to.deep.equal([]);
+    expect(manager.nextNonce).to.equal(null);
+  });
+});
@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ethers = require("ethers");
+const { RemoteSigner, loadSigner } = require("../scripts/gateway/signer");
+const SignerServer = require("../scripts/gateway/signer-server");
+const { callbackDigest } = require("../scripts/gateway/signing-committee");
+const { Logger } = require("../scripts/gateway/logger");
+
+const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+const TOKEN = "signer-token";
+const CONTRACT = ethers.getAddress(
+  "0x00000000000000000000000000000000000000f1"
+);
+const OTHER = ethers.getAddress("0x00000000000000000000000000000000000000f2");
+
+function transaction(to) {
+  return {
+    type: 2,
+    to,
+    data: "0x1234",
+    nonce: 3,
+    gasLimit: 100000n,
+    maxFeePerGas: 2000000000n,
+    maxPriorityFeePerGas: 1000000000n,
+    chainId: 31337n,
+  };
+}
+
+const RESULT = {
+  contractAddress: CONTRACT,
+  chainId: 31337n,
+  requestId: 7n,
+  cleartext: 2500n,
+};
+
+describe("RemoteSigner", function () {
+  let wallet;
+  let server;
+  let signer;
+
+  async function startServer(serverWallet, options = {}) {
+    server = new SignerServer(serverWallet, {
+      port: 0,
+      token: TOKEN,
+      allowedTo: [CONTRACT],
+      logger,
+      ...options,
+    });
+    await server.start();
+    signer = new RemoteSigner({
+      url: `http://127.0.0.1:${server.port}`,
+      token: TOKEN,
+    });
+  }
+
+  beforeEach(function () {
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  afterEach(async function () {
+    if (server) {
+      await server.stop();
+      server = null;
+    }
+  });
+
+  it("should sign transactions and callback digests with the server's key", async function () {
+    await startServer(wallet);
+
+    expect(await signer.getAddress()).to.equal(wallet.address);
+
+    const signed = ethers.Transaction.from(
+      await signer.signTransaction(transaction(CONTRACT))
+    );
+    expect(signed.from).to.equal(wallet.address);
+    expect(signed.to).to.equal(CONTRACT);
+    expect(signed.nonce).to.equal(3);
+
+    const signature = await signer.signCallbackDigest(RESULT);
+    expect(signature).to.equal(
+      await wallet.signMessage(ethers.getBytes(callbackDigest(RESULT)))
+    );
+  });
+
+  it("should reject signatures from a key other than the one reported", async function () {
+    const impostor = ethers.Wallet.createRandom();
+    await startServer({
+      address: wallet.address,
+      signingKey: impostor.signingKey,
+      signMessage: (message) => impostor.signMessage(message),
+    });
+
+    try {
+      await signer.signTransaction(transaction(CONTRACT));
+      expect.fail("signTransaction should have thrown");
+    } catch (error) {
+      expect(error.message).to.contain(
+        "Remote signer returned a signature for a different transaction or key"
+      );
+    }
+
+    try {
+      await signer.signCallbackDigest(RESULT);
+      expect.fail("signCallbackDigest should have thrown");
+    } catch (error) {
+      expect(error.message).to.contain(
+        "Remote signer returned a signature from a different key"
+      );
+    }
+  });
+
+  it("should be refused destinations outside allowedTo", async function () {
+    await startServer(wallet);
+
+    try {
+      await signer.signTransaction(transaction(OTHER));
+      expect.fail("signTransaction should have thrown");
+    } catch (error) {
+      expect(error.message).to.contain("(403)");
+      expect(error.message).to.contain(`Transactions to ${OTHER}`);
+    }
+
+    try {
+      await signer.signCallbackDigest({ ...RESULT, contractAddress: OTHER });
+      expect.fail("signCallbackDigest should have thrown");
+    } catch (error) {
+      expect(error.message).to.contain("(403)");
+    }
+  });
+
+  it("should not sign raw messages", async function () {
+    await startServer(wallet);
+
+    try {
+      await signer._request("POST", "/sign/message", {
+        message: ethers.hexlify(ethers.toUtf8Bytes("transfer everything")),
+      });
+      expect.fail("the server should have refused the message");
+    } catch (error) {
+      expect(error.message).to.contain("Unsupported message type");
+    }
+  });
+
+  it("should not sign transactions carrying value", async function () {
+    await startServer(wallet);
+
+    try {
+      await signer.signTransaction({ ...transaction(CONTRACT), value: 1n });
+      expect.fail("signTransaction should have thrown");
+    } catch (error) {
+      expect(error.message).to.contain("(403)");
+      expect(error.message).to.contain("Transactions carrying value (1 wei)");
+    }
+  });
+
+  it("should answer 413 to a body over maxBodyBytes", async function () {
+    await startServer(wallet, { maxBodyBytes: 1024 });
+
+    const response = await fetch(
+      `http://127.0.0.1:${server.port}/sign/transaction`,
+      {
+        method: "POST",
+        headers: { Authorization: `Bearer ${TOKEN}` },
+        body: JSON.stringify({ transaction: "0x" + "00".repeat(4096) }),
+      }
+    );
+    expect(response.status).to.equal(413);
+    expect((await response.json()).error).to.equal(
+      "Request body exceeds 1024 bytes"
+    );
+
+    // The connection survives for the next request
+    expect(await signer.getAddress()).to.equal(wallet.address);
+  });
+
+  it("should require allowedTo at startup", function () {
+    expect(() => new SignerServer(wallet, { token: TOKEN, logger })).to.throw(
+      "signerServer.allowedTo"
+    );
+  });
+});
+
+describe("Keystore", function () {
+  const PASSWORD = "correct horse battery staple";
+  let dir;
+  let wallet;
+  let keystore;
+
+  function writeFile(name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-keystore-"));
+    wallet = ethers.Wallet.createRandom();
+    // A light scrypt keeps decryption fast in tests
+    const json = ethers.encryptKeystoreJsonSync(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      PASSWORD,
+      { scrypt: { N: 1024 } }
+    );
+    keystore = { path: writeFile("keystore.json", json) };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should decrypt keystore.path with the passphrase in keystore.passwordFile", async function () {
+    keystore.passwordFile = writeFile("password", `${PASSWORD}\n`);
+
+    const signer = await loadSigner({ keystore });
+    expect(signer.address).to.equal(wallet.address);
+    expect(signer.privateKey).to.equal(wallet.privateKey);
+  });
+
+  it("should report a wrong passphrase", async function () {
+    keystore.passwordFile = writeFile("password", "not the passphrase\n");
+
+    try {
+      await loadSigner({ keystore });
+      expect.fail("loadSigner should have thrown");
+    } catch (error) {
+      expect(error.message).to.contain(
+        `Could not decrypt keystore ${keystore.path}`
+      );
+      expect(error.message).to.contain("incorrect password");
+    }
+  });
+
+  it("should report a missing password file", async function () {
+    keystore.passwordFile = path.join(dir, "missing");
+
+    try {
+      await loadSigner({ keystore });
+      expect.fail("loadSigner should have thrown");
+    } catch (error) {
+      expect(error.message).to.contain(
+        `Could not read keystore passwordFile ${keystore.passwordFile}`
+      );
+      expect(error.message).to.contain("ENOENT");
+    }
+  });
+});
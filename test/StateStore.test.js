@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  JournalStateStore,
+  createState,
+  applyTransition,
+  serializeState,
+  deserializeState,
+} = require("../scripts/gateway/state-store");
+
+const REQUEST = { requestId: "1", kind: "settlement", retries: 0 };
+
+describe("StateStore", function () {
+  let dir;
+  let file;
+
+  function replay(entries) {
+    return entries.reduce(applyTransition, createState());
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-state-"));
+    file = path.join(dir, "journal.jsonl");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("JournalStateStore", function () {
+    it("should drop a torn final line and append after the last complete one", function () {
+      const store = new JournalStateStore(file);
+      store.append({ type: "pending", requestId: "1", request: REQUEST });
+      store.append({ type: "checkpoint", block: 10 });
+      store.close();
+      fs.appendFileSync(file, '{"type":"processed","requestId":"1"');
+
+      const reopened = new JournalStateStore(file);
+      expect(reopened.load().map((entry) => entry.type)).to.deep.equal([
+        "pending",
+        "checkpoint",
+      ]);
+      expect(fs.readFileSync(file, "utf8").endsWith("}\n")).to.equal(true);
+
+      reopened.append({ type: "processed", requestId: "1" });
+      reopened.close();
+      expect(
+        new JournalStateStore(file).load().map((entry) => entry.type)
+      ).to.deep.equal(["pending", "checkpoint", "processed"]);
+    });
+
+    it("should refuse a corrupt entry before the final line", function () {
+      fs.writeFileSync(
+        file,
+        '{"type":"checkpoint","block":1}\nnot json\n{"type":"checkpoint","block":2}\n'
+      );
+
+      expect(() => new JournalStateStore(file).load()).to.throw(
+        "Corrupt journal entry at line 2"
+      );
+    });
+
+    it("should compact through a temporary file renamed over the journal", function () {
+      const store = new JournalStateStore(file, { compactThreshold: 3 });
+      store.append({ type: "pending", requestId: "1", request: REQUEST });
+      store.append({ type: "processed", requestId: "1" });
+      expect(store.shouldCompact()).to.equal(false);
+      store.append({ type: "checkpoint", block: 10 });
+      expect(store.shouldCompact()).to.equal(true);
+
+      // Left behind by a compaction that crashed before its rename
+      fs.writeFileSync(`${file}.tmp`, "torn snapshot");
+      const inode = fs.statSync(file).ino;
+
+      store.compact({ lastProcessedBlock: 10, processedRequests: ["1"] });
+      expect(fs.statSync(file).ino).to.not.equal(inode);
+      expect(fs.existsSync(`${file}.tmp`)).to.equal(false);
+      expect(store.shouldCompact()).to.equal(false);
+
+      // Appends go to the new file, not the replaced one
+      store.append({ type: "checkpoint", block: 11 });
+      store.close();
+
+      const entries = new JournalStateStore(file).load();
+      expect(entries.map((entry) => entry.type)).to.deep.equal([
+        "snapshot",
+        "checkpoint",
+      ]);
+      const state = replay(entries);
+      expect(state.lastProcessedBlock).to.equal(11);
+      expect(Array.from(state.processedRequests)).to.deep.equal(["1"]);
+    });
+  });
+
+  describe("Replay", function () {
+    it("should apply every transition type", function () {
+      const state = replay([
+        { type: "pending", requestId: "1", request: REQUEST },
+        {
+          type: "pending",
+          requestId: "2",
+          request: { ...REQUEST, requestId: "2" },
+        },
+        {
+          type: "pending",
+          requestId: "3",
+          request: { ...REQUEST, requestId: "3" },
+        },
+        { type: "updated", requestId: "1", changes: { retries: 1 } },
+        { type: "failed", requestId: "1", failure: { reason: "Max retries" } },
+        { type: "processed", requestId: "2" },
+        { type: "dropped", requestId: "3" },
+        { type: "checkpoint", block: 12 },
+        { type: "from-a-newer-version", requestId: "9" },
+      ]);
+
+      expect(Array.from(state.pendingRequests.keys())).to.deep.equal([]);
+      expect(state.failedRequests.get("1")).to.deep.equal({
+        request: { ...REQUEST, retries: 1 },
+        reason: "Max retries",
+      });
+      expect(Array.from(state.processedRequests)).to.deep.equal(["2"]);
+      expect(state.lastProcessedBlock).to.equal(12);
+      expect(
+        state.requestHistory.get("1").map((entry) => entry.type)
+      ).to.deep.equal(["pending", "updated", "failed"]);
+
+      applyTransition(state, {
+        type: "requeued",
+        requestId: "1",
+        request: { ...REQUEST, retries: 0 },
+      });
+      expect(state.failedRequests.has("1")).to.equal(false);
+      expect(state.pendingRequests.get("1")).to.deep.equal(REQUEST);
+
+      applyTransition(state, { type: "processed", requestId: "1" });
+      expect(Array.from(state.processedRequests)).to.deep.equal(["2", "1"]);
+    });
+
+    it("should restore a snapshot and the entries after it", function () {
+      const before = replay([
+        { type: "pending", requestId: "1", request: REQUEST },
+        { type: "checkpoint", block: 5 },
+      ]);
+
+      const state = replay([
+        { type: "checkpoint", block: 1 },
+        { type: "snapshot", state: serializeState(before) },
+        { type: "processed", requestId: "1" },
+      ]);
+
+      expect(state.pendingRequests.size).to.equal(0);
+      expect(Array.from(state.processedRequests)).to.deep.equal(["1"]);
+      expect(state.lastProcessedBlock).to.equal(5);
+    });
+  });
+
+  describe("Snapshots", function () {
+    it("should keep the history of open requests only", function () {
+      const state = replay([
+        { type: "pending", requestId: "1", request: REQUEST },
+        {
+          type: "pending",
+          requestId: "2",
+          request: { ...REQUEST, requestId: "2" },
+        },
+        {
+          type: "pending",
+          requestId: "3",
+          request: { ...REQUEST, requestId: "3" },
+        },
+        {
+          type: "updated",
+          requestId: "2",
+          changes: { attempts: [{ error: "x" }] },
+        },
+        { type: "processed", requestId: "2" },
+        { type: "failed", requestId: "3", failure: { reason: "Max retries" } },
+      ]);
+
+      const restored = deserializeState(
+        JSON.parse(JSON.stringify(serializeState(state)))
+      );
+      expect(Array.from(restored.requestHistory.keys())).to.deep.equal([
+        "1",
+        "3",
+      ]);
+      expect(Array.from(restored.processedRequests)).to.deep.equal(["2"]);
+      expect(restored.failedRequests.get("3").reason).to.equal("Max retries");
+    });
+  });
+});
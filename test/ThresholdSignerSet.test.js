@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  LocalSigningCommittee,
+  callbackDigest,
+} = require("../scripts/gateway/signing-committee");
+
+describe("ThresholdSignerSet", function () {
+  let contract;
+  let contractAddress;
+  let chainId;
+  let signerWallets;
+
+  const REQUEST_ID = 42n;
+  const PRICE = 31337;
+
+  // Three committee members, two signatures required
+  async function deployFixture() {
+    const ThresholdSignerSetMock = await ethers.getContractFactory(
+      "ThresholdSignerSetMock"
+    );
+    const instance = await ThresholdSignerSetMock.deploy();
+    await instance.waitForDeployment();
+    await instance.setSignerSet(
+      signerWallets.map((wallet) => wallet.address),
+      2
+    );
+
+    return { contract: instance, contractAddress: await instance.getAddress() };
+  }
+
+  function committee(wallets = signerWallets, threshold = 2) {
+    return new LocalSigningCommittee({
+      privateKeys: wallets.map((wallet) => wallet.privateKey),
+      threshold,
+    });
+  }
+
+  function sign(signingCommittee, requestId, cleartext, address = contractAddress) {
+    return signingCommittee.sign({
+      contractAddress: address,
+      chainId,
+      requestId,
+      cleartext,
+    });
+  }
+
+  before(async function () {
+    signerWallets = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+    chainId = (await ethers.provider.getNetwork()).chainId;
+  });
+
+  beforeEach(async function () {
+    ({ contract, contractAddress } = await deployFixture());
+  });
+
+  describe("Signer set", function () {
+    it("should register the signers and threshold", async function () {
+      expect(await contract.signerThreshold()).to.equal(2);
+      expect(await contract.getSigners()).to.deep.equal(
+        signerWallets.map((wallet) => wallet.address)
+      );
+      for (const wallet of signerWallets) {
+        expect(await contract.isSigner(wallet.address)).to.be.true;
+      }
+    });
+
+    it("should reject a threshold above the number of signers", async function () {
+      await expect(
+        contract.setSignerSet([signerWallets[0].address], 2)
+      ).to.be.revertedWith("SignerSet: Invalid threshold");
+    });
+
+    it("should reject a zero threshold", async function () {
+      await expect(
+        contract.setSignerSet([signerWallets[0].address], 0)
+      ).to.be.revertedWith("SignerSet: Invalid threshold");
+    });
+
+    it("should reject duplicate signers", async function () {
+      const address = signerWallets[0].address;
+      await expect(
+        contract.setSignerSet([address, address], 1)
+      ).to.be.revertedWith("SignerSet: Duplicate signer");
+    });
+
+    it("should remove signers dropped from the set", async function () {
+      await contract.setSignerSet([signerWallets[0].address], 1);
+
+      expect(await contract.isSigner(signerWallets[0].address)).to.be.true;
+      expect(await contract.isSigner(signerWallets[1].address)).to.be.false;
+    });
+
+    it("should match the gateway's callback digest", async function () {
+      expect(await contract.callbackDigest(REQUEST_ID, PRICE)).to.equal(
+        callbackDigest({
+          contractAddress,
+          chainId,
+          requestId: REQUEST_ID,
+          cleartext: PRICE,
+        })
+      );
+    });
+  });
+
+  describe("Callback verification", function () {
+    it("should accept a price signed by the threshold of signers", async function () {
+      const signatures = await sign(committee(), REQUEST_ID, PRICE);
+
+      await expect(
+        contract.processSettlementCallback(REQUEST_ID, PRICE, signatures)
+      )
+        .to.emit(contract, "SettlementAccepted")
+        .withArgs(REQUEST_ID, PRICE);
+      expect(await contract.settlementPrices(REQUEST_ID)).to.equal(PRICE);
+    });
+
+    it("should reject a forged price submitted with valid signatures", async function () {
+      const signatures = await sign(committee(), REQUEST_ID, PRICE);
+
+      await expect(
+        contract.processSettlementCallback(REQUEST_ID, PRICE + 1, signatures)
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+    });
+
+    it("should reject signatures made for another request", async function () {
+      const signatures = await sign(committee(), REQUEST_ID + 1n, PRICE);
+
+      await expect(
+        contract.processSettlementCallback(REQUEST_ID, PRICE, signatures)
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+    });
+
+    it("should reject signatures made for another contract", async function () {
+      const other = ethers.Wallet.createRandom().address;
+      const signatures = await sign(committee(), REQUEST_ID, PRICE, other);
+
+      await expect(
+        contract.processSettlementCallback(REQUEST_ID, PRICE, signatures)
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+    });
+
+    it("should reject a price signed by keys outside the set", async function () {
+      const outsiders = [0, 1].map(() => ethers.Wallet.createRandom());
+      const signatures = await sign(committee(outsiders), REQUEST_ID, PRICE);
+
+      await expect(
+        contract.processSettlementCallback(REQUEST_ID, PRICE, signatures)
+      ).to.be.revertedWith("SignerSet: Invalid signature");
+    });
+
+    it("should reject fewer signatures than the threshold", async function () {
+      const signatures = await sign(committee(signerWallets, 1), REQUEST_ID, PRICE);
+
+      await expect(
+        contract.processSettlementCallback(REQUEST_ID, PRICE, signatures)
+      ).to.be.revertedWith("SignerSet: Not enough signatures");
+    });
+
+    it("should not count the same signer twice", async function () {
+      const [signature] = await sign(committee(signerWallets, 1), REQUEST_ID, PRICE);
+
+      await expect(
+        contract.processSettlementCallback(REQUEST_ID, PRICE, [signature, signature])
+      ).to.be.revertedWith("SignerSet: Signatures not ordered by signer");
+    });
+
+    it("should reject callbacks before a signer set is registered", async function () {
+      const ThresholdSignerSetMock = await ethers.getContractFactory(
+        "ThresholdSignerSetMock"
+      );
+      const unconfigured = await ThresholdSignerSetMock.deploy();
+
+      await expect(
+        unconfigured.processSettlementCallback(REQUEST_ID, PRICE, [])
+      ).to.be.revertedWith("SignerSet: Signer set not configured");
+    });
+  });
+});
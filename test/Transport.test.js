@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const ethers = require("ethers");
+const { WebSocketServer } = require("ws");
+const {
+  FailoverProvider,
+  SubscriptionTransport,
+} = require("../scripts/gateway/transport");
+const { Logger } = require("../scripts/gateway/logger");
+
+const logger = new Logger({ level: "error", stream: { write: () => {} } });
+
+const CHAIN_ID = 31337;
+
+// JSON-RPC endpoint whose answers and failures the test controls
+function fakeEndpoint(name, { chainId = CHAIN_ID, head = 100 } = {}) {
+  return {
+    name,
+    chainId,
+    head,
+    down: false,
+    calls: 0,
+    async _send(payload) {
+      this.calls++;
+      if (this.down) {
+        throw new Error(`${name} unreachable`);
+      }
+      const results = { eth_chainId: this.chainId, eth_blockNumber: this.head };
+      return [].concat(payload).map(({ id, method }) => ({
+        id,
+        result: ethers.toQuantity(results[method] ?? 0),
+      }));
+    },
+    destroy() {},
+  };
+}
+
+describe("Transport", function () {
+  describe("FailoverProvider", function () {
+    let provider;
+    let endpoints;
+    let reconnects;
+
+    function call() {
+      return provider._send({
+        id: 1,
+        jsonrpc: "2.0",
+        method: "eth_blockNumber",
+        params: [],
+      });
+    }
+
+    beforeEach(function () {
+      reconnects = [];
+      provider = new FailoverProvider(
+        ["http://rpc-a.test", "http://rpc-b.test", "http://rpc-c.test"],
+        {
+          network: ethers.Network.from(CHAIN_ID),
+          logger,
+          onReconnect: (reason) => reconnects.push(reason),
+        }
+      );
+      endpoints = provider.endpoints.map(({ name }, i) => {
+        const endpoint = fakeEndpoint(name);
+        provider.endpoints[i].provider.destroy();
+        provider.endpoints[i].provider = endpoint;
+        return endpoint;
+      });
+    });
+
+    afterEach(function () {
+      provider.destroy();
+    });
+
+    it("should stay on the active endpoint while it answers", async function () {
+      await call();
+      await call();
+
+      expect(endpoints.map((endpoint) => endpoint.calls)).to.deep.equal([
+        2, 0, 0,
+      ]);
+      expect(reconnects).to.deep.equal([]);
+    });
+
+    it("should fail over to the next endpoint and report the reconnect", async function () {
+      endpoints[0].down = true;
+
+      const [response] = await call();
+      expect(response.result).to.equal(ethers.toQuantity(100));
+      expect(provider.active.name).to.equal("rpc-b.test");
+      expect(reconnects).to.deep.equal([
+        "Failover from rpc-a.test to rpc-b.test",
+      ]);
+
+      const [a, b] = provider.status();
+      expect(a).to.include({ active: false, score: 0.7 });
+      expect(a.lastError).to.equal("rpc-a.test unreachable");
+      expect(b).to.include({ active: true, score: 1 });
+    });
+
+    it("should prefer higher-scoring endpoints once the active one is unhealthy", async function () {
+      // b fails twice and drops below minScore; a then fails too
+      endpoints[1].down = true;
+      provider.active = provider.endpoints[1];
+      await call();
+      provider.active = provider.endpoints[1];
+      await call();
+      endpoints[1].down = false;
+      expect(provider.status()[1]).to.include({ healthy: false, score: 0.49 });
+
+      endpoints[0].down = true;
+      await call();
+      expect(provider.active.name).to.equal("rpc-c.test");
+    });
+
+    it("should move off an endpoint lagging behind the others", async function () {
+      endpoints[0].head = 90;
+      endpoints[1].head = 100;
+      endpoints[2].head = 99;
+
+      await provider.probe();
+      expect(provider.status()[0]).to.include({
+        healthy: false,
+        lagBlocks: 10,
+      });
+
+      await call();
+      expect(provider.active.name).to.equal("rpc-b.test");
+    });
+
+    it("should disable an endpoint on another chain", async function () {
+      endpoints[2].chainId = 1;
+
+      await provider.probe();
+      expect(provider.status()[2].disabled).to.equal(
+        "Chain 1 differs from 31337 on rpc-a.test"
+      );
+      const probed = endpoints[2].calls;
+
+      endpoints[0].down = true;
+      endpoints[1].down = true;
+      try {
+        await call();
+        expect.fail("the call should have failed");
+      } catch (error) {
+        expect(error.message).to.equal("rpc-b.test unreachable");
+      }
+      expect(endpoints[2].calls).to.equal(probed);
+    });
+
+    it("should report the end of an outage", async function () {
+      endpoints.forEach((endpoint) => {
+        endpoint.down = true;
+      });
+      try {
+        await call();
+        expect.fail("the call should have failed");
+      } catch (error) {
+        expect(error.message).to.contain("unreachable");
+      }
+
+      endpoints[0].down = false;
+      await call();
+      expect(reconnects).to.deep.equal(["rpc-a.test recovered"]);
+    });
+  });
+
+  describe("SubscriptionTransport", function () {
+    let server;
+    let transport;
+
+    // Answers just enough JSON-RPC for ethers' WebSocketProvider
+    beforeEach(async function () {
+      server = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+      server.on("connection", (socket) => {
+        socket.on("message", (data) => {
+          const { id, method } = JSON.parse(data);
+          const result =
+            method === "eth_subscribe" ? "0x1" : ethers.toQuantity(CHAIN_ID);
+          socket.send(JSON.stringify({ id, jsonrpc: "2.0", result }));
+        });
+      });
+      await new Promise((resolve) => server.on("listening", resolve));
+
+      transport = new SubscriptionTransport(
+        { getNetwork: async () => ethers.Network.from(CHAIN_ID) },
+        {
+          wsUrls: [`ws://127.0.0.1:${server.address().port}`],
+          reconnectBaseDelay: 10,
+          logger,
+        }
+      );
+    });
+
+    afterEach(async function () {
+      await transport.stop();
+      for (const client of server.clients) {
+        client.terminate();
+      }
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    function nextReconnect() {
+      return new Promise((resolve) => transport.once("reconnected", resolve));
+    }
+
+    it("should fall back to polling when the socket drops and reconnect", async function () {
+      const connected = nextReconnect();
+      transport.start();
+      expect(await connected).to.deep.equal({
+        mode: "websocket",
+        reason: "WebSocket connected",
+      });
+      expect(transport.status().mode).to.equal("websocket");
+
+      const lost = nextReconnect();
+      for (const client of server.clients) {
+        client.terminate();
+      }
+      expect(await lost).to.deep.equal({
+        mode: "polling",
+        reason: "WebSocket closed",
+      });
+      expect(transport.provider).to.equal(transport.pollingProvider);
+
+      expect(await nextReconnect()).to.deep.equal({
+        mode: "websocket",
+        reason: "WebSocket connected",
+      });
+      expect(transport.status().reconnectAttempts).to.equal(0);
+    });
+
+    it("should keep polling and retry while the socket cannot connect", async function () {
+      await new Promise((resolve) => server.close(resolve));
+      transport.connectTimeout = 20;
+      transport.start();
+
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      expect(transport.mode).to.equal("polling");
+      expect(transport.status().reconnectAttempts).to.be.at.least(2);
+
+      server = { clients: [], close: (resolve) => resolve() };
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { WorkQueue } = require("../scripts/gateway/work-queue");
+
+// A promise the test resolves by hand
+function gate() {
+  let open;
+  const promise = new Promise((resolve) => {
+    open = resolve;
+  });
+  return { promise, open };
+}
+
+describe("WorkQueue", function () {
+  describe("Backoff", function () {
+    it("should start at baseDelay for the first retry and double from there", function () {
+      const queue = new WorkQueue({
+        baseDelay: 1000,
+        maxDelay: 10000,
+        random: () => 1,
+      });
+
+      expect(
+        [1, 2, 3, 4].map((attempt) => queue.backoff(attempt))
+      ).to.deep.equal([1000, 2000, 4000, 8000]);
+      expect(queue.backoff(5)).to.equal(10000);
+      expect(queue.backoff(0)).to.equal(1000);
+    });
+
+    it("should randomise the jitter fraction of each delay", function () {
+      const low = new WorkQueue({ baseDelay: 1000, random: () => 0 });
+      const high = new WorkQueue({
+        baseDelay: 1000,
+        jitter: 0.2,
+        random: () => 0,
+      });
+
+      expect(low.backoff(2)).to.equal(1000);
+      expect(high.backoff(2)).to.equal(1600);
+    });
+  });
+
+  describe("Scheduling", function () {
+    it("should run settlements before withdrawals, oldest first", async function () {
+      const queue = new WorkQueue({ concurrency: 1 });
+      const blocker = gate();
+      const order = [];
+      const job = (key, kind, timestamp) => ({
+        key,
+        kind,
+        timestamp,
+        run: async () => {
+          order.push(key);
+        },
+      });
+
+      queue.enqueue({ key: "blocker", run: () => blocker.promise });
+      queue.enqueue(job("withdrawal-old", "withdrawal", 100));
+      queue.enqueue(job("settlement-new", "settlement", 300));
+      queue.enqueue(job("settlement-old", "settlement", 200));
+
+      expect(queue.locate("settlement-old")).to.include({
+        state: "queued",
+        position: 1,
+      });
+      expect(queue.locate("withdrawal-old").position).to.equal(3);
+
+      blocker.open();
+      await queue.idle();
+
+      expect(order).to.deep.equal([
+        "settlement-old",
+        "settlement-new",
+        "withdrawal-old",
+      ]);
+    });
+
+    it("should never run more than concurrency jobs at once", async function () {
+      const queue = new WorkQueue({ concurrency: 2 });
+      const gates = [0, 1, 2, 3, 4].map(() => gate());
+      let running = 0;
+      let maxRunning = 0;
+
+      gates.forEach(({ promise }, i) => {
+        queue.enqueue({
+          key: `job-${i}`,
+          kind: "settlement",
+          run: async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await promise;
+            running--;
+          },
+        });
+      });
+
+      expect(queue.snapshot().running).to.have.length(2);
+      expect(queue.snapshot().queued).to.have.length(3);
+
+      gates.forEach(({ open }) => open());
+      await queue.idle();
+
+      expect(maxRunning).to.equal(2);
+      expect(queue.snapshot().queued).to.deep.equal([]);
+    });
+
+    it("should run a job again if it was enqueued while running", async function () {
+      const queue = new WorkQueue({ concurrency: 1 });
+      const first = gate();
+      let runs = 0;
+      const job = {
+        key: "request-1",
+        run: async () => {
+          runs++;
+          if (runs === 1) {
+            await first.promise;
+          }
+        },
+      };
+
+      queue.enqueue(job);
+      expect(queue.enqueue(job)).to.equal(false);
+      expect(queue.locate("request-1")).to.deep.equal({ state: "running" });
+
+      first.open();
+      await queue.idle();
+      expect(runs).to.equal(2);
+    });
+
+    it("should start a delayed job once its delay has passed", async function () {
+      const queue = new WorkQueue();
+      const started = [];
+
+      queue.enqueue(
+        { key: "later", run: async () => started.push("later") },
+        50
+      );
+      queue.enqueue({ key: "now", run: async () => started.push("now") });
+      await queue.idle();
+      expect(started).to.deep.equal(["now"]);
+
+      await new Promise((resolve) => setTimeout(resolve, 80));
+      expect(started).to.deep.equal(["now", "later"]);
+      queue.stop();
+    });
+  });
+});